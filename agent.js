@@ -0,0 +1,252 @@
+/**
+ * API Performance Monitor - Probe Agent Entry Point
+ * Runs the endpoints assigned to this agent's location and reports the
+ * results to the backend. No database is needed.
+ *
+ * AGENT_BACKEND_URL  Backend API URL, e.g. https://monitor.example.com/api
+ * AGENT_TOKEN        Token shown when the agent was created
+ */
+
+require("dotenv").config();
+const os = require("os");
+const axios = require("axios");
+const {
+  Endpoint,
+  AuthProfile,
+  NetworkProfile,
+  TransactionStep,
+} = require("./models");
+const monitorService = require("./services/monitorService");
+const Scheduler = require("./utils/scheduler");
+const { version } = require("./package.json");
+
+const BACKEND_URL = (process.env.AGENT_BACKEND_URL || "").replace(/\/+$/, "");
+const SYNC_INTERVAL = parseInt(process.env.AGENT_SYNC_INTERVAL) || 60000;
+const REPORT_INTERVAL = parseInt(process.env.AGENT_REPORT_INTERVAL) || 5000;
+// Results kept while the backend is unreachable; the oldest are dropped first
+const MAX_PENDING_RESULTS =
+  parseInt(process.env.AGENT_MAX_PENDING_RESULTS) || 10000;
+const REPORT_BATCH_SIZE = 100;
+
+if (!BACKEND_URL || !process.env.AGENT_TOKEN) {
+  console.error("AGENT_BACKEND_URL and AGENT_TOKEN are required");
+  process.exit(1);
+}
+
+const backend = axios.create({
+  baseURL: BACKEND_URL,
+  timeout: 30000,
+  headers: { Authorization: `Bearer ${process.env.AGENT_TOKEN}` },
+});
+const scheduler = new Scheduler({
+  maxConcurrency: parseInt(process.env.MONITORING_MAX_CONCURRENCY) || 10,
+});
+let endpoints = [];
+// Environment variables by endpoint id, as sent by the backend
+let environmentVariables = new Map();
+let pendingResults = [];
+
+/**
+ * Queue a result for the next report
+ * @param {Object} metric - Metric data
+ * @param {Error} error - Probe error, if the probe got no response
+ */
+const queueResult = (metric, error) => {
+  pendingResults.push({
+    metric,
+    error: error
+      ? {
+          message: error.message,
+          code: error.code,
+          status: error.response?.status,
+        }
+      : undefined,
+  });
+
+  if (pendingResults.length > MAX_PENDING_RESULTS) {
+    pendingResults = pendingResults.slice(-MAX_PENDING_RESULTS);
+  }
+};
+
+/**
+ * Probe an endpoint and queue its results
+ * @param {Object} endpoint - Endpoint built from the backend definition
+ * @param {Object} environment - { name, variables } to probe in (optional)
+ * @returns {Promise<void>}
+ */
+const runEndpointCheck = async (endpoint, environment = null) => {
+  const { metric, error } = await monitorService.runCheck(
+    endpoint,
+    (interim) => queueResult(interim),
+    environment
+  );
+  queueResult(metric, error);
+};
+
+/**
+ * Environments an endpoint is probed in
+ * @param {Object} endpoint - Endpoint built from the backend definition
+ * @returns {Array<Object|null>} [{ name, variables }], or [null] when the
+ * endpoint is probed as defined
+ */
+const getEndpointEnvironments = (endpoint) => {
+  const variables = environmentVariables.get(endpoint.id) || {};
+  const names = Object.keys(variables);
+  if (names.length === 0) return [null];
+
+  return names.map((name) => ({ name, variables: variables[name] }));
+};
+
+/**
+ * Send queued results to the backend in batches
+ * Results stay queued when the backend can't be reached.
+ * @returns {Promise<void>}
+ */
+const reportResults = async () => {
+  while (pendingResults.length > 0) {
+    const batch = pendingResults.slice(0, REPORT_BATCH_SIZE);
+
+    try {
+      const response = await backend.post("/agent/results", {
+        results: batch,
+      });
+      pendingResults = pendingResults.slice(batch.length);
+
+      if (response.data.data.rejected > 0) {
+        console.warn(
+          `Backend rejected ${response.data.data.rejected} result(s) for endpoints no longer assigned`
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error reporting ${pendingResults.length} result(s):`,
+        error.response?.data?.message || error.message
+      );
+      return;
+    }
+  }
+};
+
+/**
+ * Fetch the assigned endpoints and (re)schedule their checks
+ * @returns {Promise<void>}
+ */
+const syncEndpoints = async () => {
+  try {
+    const response = await backend.get("/agent/endpoints");
+
+    environmentVariables = new Map(
+      response.data.data.map((data) => [data.id, data.environmentVariables])
+    );
+    // Build model instances so probes can use profile helpers as on the backend
+    endpoints = response.data.data.map((data) =>
+      Endpoint.build(data, {
+        include: [
+          { model: AuthProfile },
+          { model: NetworkProfile },
+          { model: TransactionStep, include: [{ model: AuthProfile }] },
+        ],
+      })
+    );
+  } catch (error) {
+    console.error(
+      "Error fetching assigned endpoints:",
+      error.response?.data?.message || error.message
+    );
+    return;
+  }
+
+  const jobNames = new Set();
+  endpoints.forEach((endpoint) => {
+    getEndpointEnvironments(endpoint).forEach((environment) => {
+      const environmentName = environment ? environment.name : null;
+      const jobName = environmentName
+        ? `endpoint:${endpoint.id}@${environmentName}`
+        : `endpoint:${endpoint.id}`;
+
+      jobNames.add(jobName);
+      scheduler.schedule(
+        jobName,
+        endpoint.checkInterval
+          ? endpoint.checkInterval * 1000
+          : monitorService.monitoringIntervalMs,
+        () => {
+          // Always probe the latest fetched version of the endpoint and its
+          // environment
+          const current = endpoints.find((e) => e.id === endpoint.id);
+          const currentEnvironment = current
+            ? getEndpointEnvironments(current).find(
+                (e) => (e ? e.name : null) === environmentName
+              )
+            : undefined;
+          return currentEnvironment !== undefined
+            ? runEndpointCheck(current, currentEnvironment)
+            : null;
+        },
+        { jitterMs: monitorService.startJitterMs }
+      );
+    });
+  });
+
+  scheduler
+    .jobNames()
+    .filter((name) => name.startsWith("endpoint:") && !jobNames.has(name))
+    .forEach((name) => scheduler.unschedule(name));
+};
+
+// Start agent
+const startAgent = async () => {
+  try {
+    const response = await backend.post("/agent/register", {
+      hostname: os.hostname(),
+      version,
+    });
+    const agent = response.data.data;
+
+    console.log(`=== API Performance Monitor Agent ===`);
+    console.log(`Agent: ${agent.name}`);
+    console.log(`Location: ${agent.location}`);
+    console.log(`Backend: ${BACKEND_URL}`);
+    console.log("=====================================");
+  } catch (error) {
+    console.error(
+      "Failed to register with the backend:",
+      error.response?.data?.message || error.message
+    );
+    process.exit(1);
+  }
+
+  await syncEndpoints();
+  console.log(`Probing ${endpoints.length} assigned endpoints`);
+
+  scheduler.schedule("sync-endpoints", SYNC_INTERVAL, syncEndpoints, {
+    limited: false,
+  });
+  scheduler.schedule("report-results", REPORT_INTERVAL, reportResults, {
+    limited: false,
+  });
+};
+
+// Handle unhandled promise rejections
+process.on("unhandledRejection", (reason, promise) => {
+  console.error("Unhandled Rejection at:", promise, "reason:", reason);
+});
+
+// Start the agent
+startAgent();
+
+// Report what is left before exiting
+const gracefulShutdown = async () => {
+  console.log("Shutting down agent...");
+  scheduler.stop();
+
+  // Force exit after 10 seconds
+  setTimeout(() => process.exit(1), 10000).unref();
+
+  await reportResults();
+  process.exit(0);
+};
+
+// Listen for termination signals
+process.on("SIGTERM", gracefulShutdown);
+process.on("SIGINT", gracefulShutdown);
@@ -31,8 +31,8 @@ app.use(
   })
 );
 
-// Body parsing middleware
-app.use(express.json());
+// Body parsing middleware (agent result reports can carry captured bodies)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "5mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logger
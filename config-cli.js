@@ -0,0 +1,200 @@
+/**
+ * API Performance Monitor - Config CLI
+ * Exports the monitoring configuration to a file and applies a file back,
+ * showing the plan before anything is changed.
+ *
+ *   node config-cli.js export [--format yaml|json] [--managed] [--out FILE]
+ *   node config-cli.js plan FILE
+ *   node config-cli.js apply FILE [--yes]
+ *
+ * MONITOR_API_URL    Backend API URL, e.g. https://monitor.example.com/api
+ * MONITOR_TOKEN      Token of a user allowed to apply config, or
+ * MONITOR_USERNAME   and MONITOR_PASSWORD to log in with
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const readline = require("readline");
+const axios = require("axios");
+
+const API_URL = (process.env.MONITOR_API_URL || "").replace(/\/+$/, "");
+const USAGE = `Usage:
+  node config-cli.js export [--format yaml|json] [--managed] [--out FILE]
+  node config-cli.js plan FILE
+  node config-cli.js apply FILE [--yes]`;
+const SYMBOLS = { create: "+", update: "~", delete: "-" };
+
+/**
+ * Split command line arguments into positionals and options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { positionals, options }
+ */
+const parseArgs = (args) => {
+  const positionals = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+    } else if (["--format", "--out"].includes(arg)) {
+      options[arg.slice(2)] = args[++i];
+    } else {
+      options[arg.slice(2)] = true;
+    }
+  }
+  return { positionals, options };
+};
+
+/**
+ * Create an API client, logging in first when no token is given
+ * @returns {Promise<Object>} Axios instance
+ */
+const createClient = async () => {
+  let token = process.env.MONITOR_TOKEN;
+  if (!token) {
+    const { data } = await axios.post(`${API_URL}/auth/login`, {
+      username: process.env.MONITOR_USERNAME,
+      password: process.env.MONITOR_PASSWORD,
+    });
+    token = data.token;
+  }
+
+  return axios.create({
+    baseURL: API_URL,
+    timeout: 60000,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+};
+
+/**
+ * Print a plan the way it would be applied
+ * @param {Object} plan - { valid, summary, changes }
+ */
+const printPlan = (plan) => {
+  plan.changes
+    .filter((change) => change.action !== "unchanged")
+    .forEach((change) => {
+      const notes = [
+        change.adopted ? "adopts an existing endpoint" : null,
+        change.drift ? "overwrites changes made outside the config" : null,
+      ].filter(Boolean);
+      console.log(
+        `${SYMBOLS[change.action]} ${change.key}` +
+          (notes.length ? ` (${notes.join(", ")})` : "")
+      );
+
+      (change.fields || []).forEach(({ field, from, to }) => {
+        console.log(
+          `    ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`
+        );
+      });
+      (change.errors || []).forEach((error) => {
+        console.log(`    error: ${error}`);
+      });
+    });
+
+  const { create, update, delete: deleted, unchanged } = plan.summary;
+  console.log(
+    `\nPlan: ${create} to create, ${update} to update, ${deleted} to delete, ${unchanged} unchanged`
+  );
+};
+
+/**
+ * Ask for confirmation on the terminal
+ * @param {string} question - Question
+ * @returns {Promise<boolean>} Confirmed
+ */
+const confirm = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase() === "yes");
+    });
+  });
+
+/**
+ * Run a command
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+const run = async (args) => {
+  const { positionals, options } = parseArgs(args);
+  const [command, file] = positionals;
+
+  if (!["export", "plan", "apply"].includes(command)) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (command !== "export" && !file) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (!API_URL) {
+    console.error("MONITOR_API_URL is required");
+    return 1;
+  }
+
+  const client = await createClient();
+
+  if (command === "export") {
+    const { data } = await client.get("/config/export", {
+      params: {
+        format: options.format || "yaml",
+        managed: options.managed ? "true" : undefined,
+      },
+    });
+    if (options.out) {
+      fs.writeFileSync(options.out, data.data.document);
+      console.log(`Exported ${data.data.count} endpoints to ${options.out}`);
+    } else {
+      process.stdout.write(data.data.document);
+    }
+    return 0;
+  }
+
+  const document = fs.readFileSync(file, "utf8");
+  const { data } = await client.post("/config/plan", { document });
+  const plan = data.data;
+  printPlan(plan);
+
+  if (!plan.valid) {
+    console.error("\nThe config has errors, fix them before applying");
+    return 1;
+  }
+  if (command === "plan") return 0;
+
+  const { create, update, delete: deleted } = plan.summary;
+  if (create + update + deleted === 0) {
+    console.log("Nothing to apply");
+    return 0;
+  }
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      console.error("Pass --yes to apply without a terminal");
+      return 1;
+    }
+    if (!(await confirm("\nApply these changes? Type yes to continue: "))) {
+      console.log("Cancelled");
+      return 1;
+    }
+  }
+
+  const applied = await client.post("/config/apply", { document });
+  console.log(applied.data.message);
+  return 0;
+};
+
+run(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    const body = error.response && error.response.data;
+    console.error(body && body.message ? body.message : error.message);
+    if (body && Array.isArray(body.errors)) {
+      body.errors.forEach((detail) => console.error(JSON.stringify(detail)));
+    }
+    process.exit(1);
+  });
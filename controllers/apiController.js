@@ -15,8 +15,33 @@ const {
   Alert,
   User,
   SystemStatus,
+  AuthProfile,
+  NetworkProfile,
+  TransactionStep,
+  Certificate,
+  SchemaDrift,
+  Agent,
+  ApiKey,
+  Environment,
+  MaintenanceWindow,
 } = require("../models");
+const { sequelize } = require("../config/database");
+const { getEnvironmentNames } = require("../utils/environments");
+const {
+  HEARTBEAT_PING_KINDS,
+  MAX_HEARTBEAT_MESSAGE_LENGTH,
+  generateHeartbeatToken,
+} = require("../utils/heartbeats");
 const monitorService = require("../services/monitorService");
+const authProfileService = require("../services/authProfileService");
+const agentService = require("../services/agentService");
+const apiKeyService = require("../services/apiKeyService");
+const trafficService = require("../services/trafficService");
+const ingestService = require("../services/ingestService");
+const importService = require("../services/importService");
+const configService = require("../services/configService");
+const environmentService = require("../services/environmentService");
+const certificateService = require("../services/certificateService");
 const securityMonitorService = require("../services/securityMonitorService");
 
 // ==========================================
@@ -24,57 +49,1616 @@ const securityMonitorService = require("../services/securityMonitorService");
 // ==========================================
 
 /**
- * Register a new user
- * @route POST /api/auth/register
+ * Register a new user
+ * @route POST /api/auth/register
+ */
+const registerUser = async (req, res, next) => {
+  try {
+    const { username, email, password, role = "VIEWER" } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({
+      where: {
+        [Op.or]: [{ username }, { email }],
+      },
+    });
+
+    if (existingUser) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: "Username or email already in use",
+      });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    // Create user
+    const user = await User.create({
+      username,
+      email,
+      password: hashedPassword,
+      role,
+    });
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId: user.id, username: user.username, role: user.role },
+      process.env.JWT_SECRET || "api-monitor-secret-key",
+      { expiresIn: "24h" }
+    );
+
+    // Return success response
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "User registered successfully",
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Login user
+ * @route POST /api/auth/login
+ */
+const loginUser = async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+
+    // Find user
+    const user = await User.findOne({
+      where: {
+        [Op.or]: [{ username }, { email: username }],
+      },
+    });
+
+    if (!user) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: "Account is disabled. Please contact an administrator.",
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: "Invalid credentials",
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId: user.id, username: user.username, role: user.role },
+      process.env.JWT_SECRET || "api-monitor-secret-key",
+      { expiresIn: "24h" }
+    );
+
+    // Return success response
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Login successful",
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Endpoint Controllers
+// ==========================================
+
+/**
+ * Get all endpoints
+ * @route GET /api/endpoints
+ */
+const getAllEndpoints = async (req, res, next) => {
+  try {
+    // Get query params
+    const { active } = req.query;
+
+    // Prepare query
+    const query = {};
+    if (active === "true") {
+      query.isActive = true;
+    } else if (active === "false") {
+      query.isActive = false;
+    }
+
+    // Get endpoints
+    const endpoints = await Endpoint.findAll({
+      where: query,
+      include: [
+        { model: AuthProfile, attributes: ["id", "name", "type"] },
+        { model: NetworkProfile, attributes: ["id", "name"] },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+
+    // Flag managed endpoints changed outside their config document
+    const drift = await configService.getDrift(endpoints);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: endpoints.length,
+      data: endpoints.map((endpoint) => ({
+        ...endpoint.toJSON(),
+        configDrift: drift.get(endpoint.id) || false,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single endpoint
+ * @route GET /api/endpoints/:id
+ */
+const getEndpoint = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Get endpoint
+    const endpoint = await Endpoint.findByPk(id, {
+      include: [
+        { model: AuthProfile, attributes: ["id", "name", "type"] },
+        { model: NetworkProfile, attributes: ["id", "name"] },
+        { model: TransactionStep },
+      ],
+      order: [[TransactionStep, "stepOrder", "ASC"]],
+    });
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    const drift = await configService.getDrift([endpoint]);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        ...endpoint.toJSON(),
+        configDrift: drift.get(endpoint.id) || false,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create endpoint
+ * @route POST /api/endpoints
+ */
+const createEndpoint = async (req, res, next) => {
+  try {
+    // Create endpoint
+    const endpoint = await Endpoint.create(req.body);
+
+    // Reload endpoints in monitor service
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "Endpoint created successfully",
+      data: endpoint,
+    });
+  } catch (error) {
+    // Handle unique constraint error
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An endpoint with this path already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update endpoint
+ * @route PUT /api/endpoints/:id
+ */
+const updateEndpoint = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Get endpoint
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    // Update endpoint
+    await endpoint.update(req.body);
+
+    // Reload endpoints in monitor service
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Endpoint updated successfully",
+      data: endpoint,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete endpoint
+ * @route DELETE /api/endpoints/:id
+ */
+const deleteEndpoint = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Get endpoint
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    // Delete endpoint
+    await endpoint.destroy();
+
+    // Reload endpoints in monitor service
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Endpoint deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Toggle endpoint active status
+ * @route PATCH /api/endpoints/:id/toggle
+ */
+const toggleEndpoint = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Get endpoint
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    // Toggle status
+    endpoint.isActive = !endpoint.isActive;
+    await endpoint.save();
+
+    // Reload endpoints in monitor service
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Endpoint ${
+        endpoint.isActive ? "activated" : "deactivated"
+      } successfully`,
+      data: endpoint,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the ping token of a heartbeat endpoint (the old ping URL stops
+ * working)
+ * @route POST /api/endpoints/:id/heartbeat-token
+ */
+const rotateHeartbeatToken = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+    if (endpoint.checkType !== "HEARTBEAT") {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: "Only heartbeat endpoints have a ping token",
+      });
+    }
+
+    await endpoint.update({ heartbeatToken: generateHeartbeatToken() });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Heartbeat token rotated, update the ping URL of the job",
+      data: endpoint,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the ordered steps of a transaction endpoint
+ * @route GET /api/endpoints/:id/steps
+ */
+const getTransactionSteps = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    const steps = await TransactionStep.findAll({
+      where: { endpointId: id },
+      order: [["stepOrder", "ASC"]],
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: steps.length,
+      data: steps,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the steps of a transaction endpoint
+ * Steps run in the order they are given in the request body.
+ * @route PUT /api/endpoints/:id/steps
+ */
+const updateTransactionSteps = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { steps } = req.body;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: "steps must be a non-empty array",
+      });
+    }
+
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    if (endpoint.checkType !== "TRANSACTION") {
+      return res.status(StatusCodes.BAD_REQUEST).json({
+        success: false,
+        message: "Steps can only be set on TRANSACTION endpoints",
+      });
+    }
+
+    // Validate every step up front so a bad step keeps the old list intact
+    const stepRecords = steps.map((step, index) =>
+      TransactionStep.build({
+        ...step,
+        id: undefined,
+        endpointId: endpoint.id,
+        stepOrder: index,
+      })
+    );
+    for (const stepRecord of stepRecords) {
+      await stepRecord.validate();
+    }
+
+    const savedSteps = await sequelize.transaction(async (transaction) => {
+      await TransactionStep.destroy({ where: { endpointId: id }, transaction });
+
+      for (const stepRecord of stepRecords) {
+        await stepRecord.save({ transaction });
+      }
+      return stepRecords;
+    });
+
+    // Reload endpoints in monitor service
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Transaction steps updated successfully",
+      count: savedSteps.length,
+      data: savedSteps,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the schema drift events of an endpoint, newest first
+ * Each event holds the known-good and the new response shape and their diff.
+ * Endpoints probed in environments drift per environment (?environment=).
+ * @route GET /api/endpoints/:id/drift
+ */
+const getSchemaDrift = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { breaking, environment, limit = 20, offset = 0 } = req.query;
+
+    const endpoint = await Endpoint.findByPk(id);
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    const query = { endpointId: id };
+    if (environment) {
+      query.environment = environment;
+    }
+    if (breaking === "true") {
+      query.breaking = true;
+    } else if (breaking === "false") {
+      query.breaking = false;
+    }
+
+    const drifts = await SchemaDrift.findAndCountAll({
+      where: query,
+      order: [["timestamp", "DESC"]],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: drifts.count,
+      data: {
+        currentShape: environment
+          ? endpoint.responseShapes?.[environment] || null
+          : endpoint.responseShape,
+        drifts: drifts.rows,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Import Controllers
+// ==========================================
+
+/**
+ * Preview the endpoints an API description would create or change
+ * Nothing is saved.
+ * @route POST /api/import/:format/preview
+ */
+const previewImport = async (req, res, next) => {
+  try {
+    const { document, source, baseUrl } = req.body;
+
+    const plan = await importService.preview(req.params.format, {
+      document,
+      source,
+      baseUrl,
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create and update the endpoints of an API description
+ * @route POST /api/import/:format/commit
+ */
+const commitImport = async (req, res, next) => {
+  try {
+    const result = await importService.commit(req.params.format, req.body);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Imported ${result.created.length} new and ${result.updated.length} updated endpoints`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export an endpoint's probe request as a cURL command
+ * Auth profile credentials are not included. Endpoints probed in
+ * environments are exported for the one given by ?environment=.
+ * @route GET /api/endpoints/:id/curl
+ */
+const exportEndpointCurl = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const endpoint = await Endpoint.findByPk(id, {
+      include: [{ model: AuthProfile, attributes: ["id", "name", "type"] }],
+    });
+
+    if (!endpoint) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Endpoint not found",
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        command: await importService.exportCurl(
+          endpoint,
+          req.query.environment
+        ),
+        authProfile: endpoint.AuthProfile,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Config Controllers
+// ==========================================
+
+/**
+ * Export endpoints as a config document
+ * Query: format (yaml or json), managed (true for managed endpoints only)
+ * @route GET /api/config/export
+ */
+const exportConfig = async (req, res, next) => {
+  try {
+    const { format, managed } = req.query;
+
+    const result = await configService.exportConfig({
+      format,
+      managedOnly: managed === "true",
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Show the changes applying a config document would make
+ * Nothing is saved.
+ * @route POST /api/config/plan
+ */
+const planConfig = async (req, res, next) => {
+  try {
+    const plan = await configService.plan(req.body.document);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply a config document
+ * Managed endpoints missing from the document are deleted.
+ * @route POST /api/config/apply
+ */
+const applyConfig = async (req, res, next) => {
+  try {
+    const plan = await configService.apply(req.body.document);
+    const { create, update, delete: deleted } = plan.summary;
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: `Config applied: ${create} created, ${update} updated, ${deleted} deleted`,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Auth Profile Controllers
+// ==========================================
+
+/**
+ * Get all auth profiles (credentials are never returned)
+ * @route GET /api/auth-profiles
+ */
+const getAllAuthProfiles = async (req, res, next) => {
+  try {
+    const authProfiles = await AuthProfile.findAll({
+      order: [["createdAt", "DESC"]],
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: authProfiles.length,
+      data: authProfiles,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single auth profile (credentials are never returned)
+ * @route GET /api/auth-profiles/:id
+ */
+const getAuthProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const authProfile = await AuthProfile.findByPk(id);
+
+    if (!authProfile) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Auth profile not found",
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: authProfile,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create auth profile
+ * @route POST /api/auth-profiles
+ */
+const createAuthProfile = async (req, res, next) => {
+  try {
+    const { name, type, description, config, credentials } = req.body;
+
+    const authProfile = await AuthProfile.create({
+      name,
+      type,
+      description,
+      config,
+      credentials,
+    });
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "Auth profile created successfully",
+      data: authProfile,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An auth profile with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update auth profile (credentials are only replaced when provided)
+ * @route PUT /api/auth-profiles/:id
+ */
+const updateAuthProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const authProfile = await AuthProfile.findByPk(id);
+
+    if (!authProfile) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Auth profile not found",
+      });
+    }
+
+    const { name, type, description, config, credentials } = req.body;
+    const updatedFields = { name, type, description, config, credentials };
+    Object.keys(updatedFields).forEach(
+      (key) => updatedFields[key] === undefined && delete updatedFields[key]
+    );
+
+    await authProfile.update(updatedFields);
+
+    // Make sure probes stop using tokens issued for the old settings
+    authProfileService.invalidate(authProfile.id);
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Auth profile updated successfully",
+      data: authProfile,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete auth profile
+ * @route DELETE /api/auth-profiles/:id
+ */
+const deleteAuthProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const authProfile = await AuthProfile.findByPk(id);
+
+    if (!authProfile) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Auth profile not found",
+      });
+    }
+
+    await authProfile.destroy();
+
+    authProfileService.invalidate(authProfile.id);
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Auth profile deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Network Profile Controllers
+// ==========================================
+
+/**
+ * Get all network profiles (client keys and passwords are never returned)
+ * @route GET /api/network-profiles
+ */
+const getAllNetworkProfiles = async (req, res, next) => {
+  try {
+    const networkProfiles = await NetworkProfile.findAll({
+      order: [["createdAt", "DESC"]],
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: networkProfiles.length,
+      data: networkProfiles,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single network profile (client keys and passwords are never returned)
+ * @route GET /api/network-profiles/:id
+ */
+const getNetworkProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const networkProfile = await NetworkProfile.findByPk(id);
+
+    if (!networkProfile) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Network profile not found",
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: networkProfile,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create network profile
+ * @route POST /api/network-profiles
+ */
+const createNetworkProfile = async (req, res, next) => {
+  try {
+    const {
+      name,
+      description,
+      proxyUrl,
+      caBundle,
+      clientCert,
+      servername,
+      credentials,
+    } = req.body;
+
+    const networkProfile = await NetworkProfile.create({
+      name,
+      description,
+      proxyUrl,
+      caBundle,
+      clientCert,
+      servername,
+      credentials,
+    });
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "Network profile created successfully",
+      data: networkProfile,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "A network profile with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update network profile (credentials are only replaced when provided)
+ * @route PUT /api/network-profiles/:id
+ */
+const updateNetworkProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const networkProfile = await NetworkProfile.findByPk(id);
+
+    if (!networkProfile) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Network profile not found",
+      });
+    }
+
+    const {
+      name,
+      description,
+      proxyUrl,
+      caBundle,
+      clientCert,
+      servername,
+      credentials,
+    } = req.body;
+    const updatedFields = {
+      name,
+      description,
+      proxyUrl,
+      caBundle,
+      clientCert,
+      servername,
+      credentials,
+    };
+    Object.keys(updatedFields).forEach(
+      (key) => updatedFields[key] === undefined && delete updatedFields[key]
+    );
+
+    await networkProfile.update(updatedFields);
+
+    // Probes hold the profile loaded with their endpoint
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Network profile updated successfully",
+      data: networkProfile,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "A network profile with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete network profile
+ * @route DELETE /api/network-profiles/:id
+ */
+const deleteNetworkProfile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const networkProfile = await NetworkProfile.findByPk(id);
+
+    if (!networkProfile) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Network profile not found",
+      });
+    }
+
+    await networkProfile.destroy();
+
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Network profile deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Environment Controllers
+// ==========================================
+
+/**
+ * Get all environments (secret values are never returned, only their names)
+ * @route GET /api/environments
+ */
+const getAllEnvironments = async (req, res, next) => {
+  try {
+    const environments = await Environment.findAll({
+      order: [["name", "ASC"]],
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: environments.length,
+      data: environments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single environment with the endpoints probed in it
+ * @route GET /api/environments/:id
+ */
+const getEnvironment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const environment = await Environment.findByPk(id);
+
+    if (!environment) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Environment not found",
+      });
+    }
+
+    const endpoints = await environmentService.findEndpointsUsing(
+      environment.name,
+      { attributes: ["id", "method", "path", "environments"] }
+    );
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        ...environment.toJSON(),
+        endpoints: endpoints.map(({ id, method, path }) => ({
+          id,
+          method,
+          path,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create environment
+ * @route POST /api/environments
+ */
+const createEnvironment = async (req, res, next) => {
+  try {
+    const { name, description, variables, secrets } = req.body;
+
+    const environment = await environmentService.createEnvironment({
+      name,
+      description,
+      variables,
+      secrets,
+    });
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "Environment created successfully",
+      data: environment,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An environment with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update environment (secrets are only replaced when provided; a new name is
+ * carried over to the endpoints probed in the environment)
+ * @route PUT /api/environments/:id
+ */
+const updateEnvironment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const environment = await Environment.findByPk(id);
+
+    if (!environment) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Environment not found",
+      });
+    }
+
+    const { name, description, variables, secrets } = req.body;
+    const updatedFields = { name, description, variables, secrets };
+    Object.keys(updatedFields).forEach(
+      (key) => updatedFields[key] === undefined && delete updatedFields[key]
+    );
+
+    await environmentService.updateEnvironment(environment, updatedFields);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Environment updated successfully",
+      data: environment,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An environment with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Delete environment (only when no endpoint is probed in it)
+ * @route DELETE /api/environments/:id
+ */
+const deleteEnvironment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const environment = await Environment.findByPk(id);
+
+    if (!environment) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Environment not found",
+      });
+    }
+
+    const endpoints = await environmentService.findEndpointsUsing(
+      environment.name,
+      { attributes: ["id", "environments"] }
+    );
+    if (endpoints.length > 0) {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: `Environment is used by ${endpoints.length} endpoint(s); remove it from them first`,
+      });
+    }
+
+    await environment.destroy();
+
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Environment deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Maintenance Window Controllers
+// ==========================================
+
+/**
+ * Pick the maintenance window settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Provided settings
+ */
+const getMaintenanceWindowFields = (body) => {
+  const {
+    name,
+    description,
+    scope,
+    endpointIds,
+    tags,
+    startsAt,
+    endsAt,
+    cron,
+    durationMinutes,
+    timezone,
+    isActive,
+  } = body;
+  const fields = {
+    name,
+    description,
+    scope,
+    endpointIds,
+    tags,
+    startsAt,
+    endsAt,
+    cron,
+    durationMinutes,
+    timezone,
+    isActive,
+  };
+  Object.keys(fields).forEach(
+    (key) => fields[key] === undefined && delete fields[key]
+  );
+  return fields;
+};
+
+/**
+ * Get all maintenance windows, flagging the ones open right now
+ * @route GET /api/maintenance-windows
+ */
+const getAllMaintenanceWindows = async (req, res, next) => {
+  try {
+    const windows = await MaintenanceWindow.findAll({
+      order: [["createdAt", "DESC"]],
+    });
+    const openIds = monitorService
+      .getOpenMaintenanceWindows()
+      .map((window) => window.id);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: windows.length,
+      data: windows.map((window) => ({
+        ...window.toJSON(),
+        isOpen: openIds.includes(window.id),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single maintenance window
+ * @route GET /api/maintenance-windows/:id
+ */
+const getMaintenanceWindow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const window = await MaintenanceWindow.findByPk(id);
+
+    if (!window) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Maintenance window not found",
+      });
+    }
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        ...window.toJSON(),
+        isOpen: monitorService
+          .getOpenMaintenanceWindows()
+          .some((open) => open.id === window.id),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create maintenance window
+ * @route POST /api/maintenance-windows
+ */
+const createMaintenanceWindow = async (req, res, next) => {
+  try {
+    const window = await MaintenanceWindow.create({
+      ...getMaintenanceWindowFields(req.body),
+      createdBy: req.user?.username,
+    });
+
+    // Probes read the loaded windows
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "Maintenance window created successfully",
+      data: window,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update maintenance window
+ * @route PUT /api/maintenance-windows/:id
+ */
+const updateMaintenanceWindow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const window = await MaintenanceWindow.findByPk(id);
+
+    if (!window) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Maintenance window not found",
+      });
+    }
+
+    await window.update(getMaintenanceWindowFields(req.body));
+
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Maintenance window updated successfully",
+      data: window,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete maintenance window (metrics it flagged stay flagged)
+ * @route DELETE /api/maintenance-windows/:id
+ */
+const deleteMaintenanceWindow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const window = await MaintenanceWindow.findByPk(id);
+
+    if (!window) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Maintenance window not found",
+      });
+    }
+
+    await window.destroy();
+
+    await monitorService.loadEndpoints();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Maintenance window deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Agent Controllers
+// ==========================================
+
+/**
+ * Get all probe agents (tokens are never returned)
+ * @route GET /api/agents
+ */
+const getAllAgents = async (req, res, next) => {
+  try {
+    const agents = await Agent.findAll({
+      order: [
+        ["location", "ASC"],
+        ["name", "ASC"],
+      ],
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: agents.length,
+      data: agents,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create probe agent
+ * The token is only included in this response.
+ * @route POST /api/agents
+ */
+const createAgent = async (req, res, next) => {
+  try {
+    const { name, location, description } = req.body;
+
+    const { agent, token } = await agentService.createAgent({
+      name,
+      location,
+      description,
+    });
+
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "Agent created successfully, store the token now",
+      data: { ...agent.toJSON(), token },
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An agent with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Update probe agent
+ * @route PUT /api/agents/:id
+ */
+const updateAgent = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const agent = await Agent.findByPk(id);
+
+    if (!agent) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Agent not found",
+      });
+    }
+
+    const { name, location, description, isActive } = req.body;
+    const updatedFields = { name, location, description, isActive };
+    Object.keys(updatedFields).forEach(
+      (key) => updatedFields[key] === undefined && delete updatedFields[key]
+    );
+
+    await agent.update(updatedFields);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Agent updated successfully",
+      data: agent,
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An agent with this name already exists",
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * Replace the token of a probe agent
+ * @route POST /api/agents/:id/rotate-token
+ */
+const rotateAgentToken = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const agent = await Agent.findByPk(id);
+
+    if (!agent) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Agent not found",
+      });
+    }
+
+    const token = await agentService.rotateToken(agent);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Agent token rotated, store the new token now",
+      data: { ...agent.toJSON(), token },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete probe agent
+ * @route DELETE /api/agents/:id
+ */
+const deleteAgent = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const agent = await Agent.findByPk(id);
+
+    if (!agent) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "Agent not found",
+      });
+    }
+
+    await agent.destroy();
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      message: "Agent deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Agent API Controllers (called by agents)
+// ==========================================
+
+/**
+ * Register a starting agent
+ * @route POST /api/agent/register
+ */
+const registerAgent = async (req, res, next) => {
+  try {
+    const { hostname, version } = req.body;
+
+    const agent = await agentService.register(req.agent, {
+      hostname,
+      version,
+    });
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: agent,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the endpoints assigned to the calling agent
+ * @route GET /api/agent/endpoints
+ */
+const getAgentEndpoints = async (req, res, next) => {
+  try {
+    const endpoints = await agentService.getAssignedEndpoints(req.agent);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      count: endpoints.length,
+      data: endpoints,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report probe results from the calling agent
+ * @route POST /api/agent/results
+ */
+const reportAgentResults = async (req, res, next) => {
+  try {
+    const { results } = req.body;
+
+    const summary = await agentService.recordResults(req.agent, results);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// API Key Controllers
+// ==========================================
+
+/**
+ * Get all API keys (keys are never returned)
+ * @route GET /api/api-keys
  */
-const registerUser = async (req, res, next) => {
+const getAllApiKeys = async (req, res, next) => {
   try {
-    const { username, email, password, role = "VIEWER" } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      where: {
-        [Op.or]: [{ username }, { email }],
-      },
-    });
-
-    if (existingUser) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        message: "Username or email already in use",
-      });
-    }
-
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user
-    const user = await User.create({
-      username,
-      email,
-      password: hashedPassword,
-      role,
+    const apiKeys = await ApiKey.findAll({
+      order: [["name", "ASC"]],
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET || "api-monitor-secret-key",
-      { expiresIn: "24h" }
-    );
-
-    // Return success response
-    return res.status(StatusCodes.CREATED).json({
+    return res.status(StatusCodes.OK).json({
       success: true,
-      message: "User registered successfully",
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
+      count: apiKeys.length,
+      data: apiKeys,
     });
   } catch (error) {
     next(error);
@@ -82,103 +1666,100 @@ const registerUser = async (req, res, next) => {
 };
 
 /**
- * Login user
- * @route POST /api/auth/login
+ * Create API key
+ * The key is only included in this response.
+ * @route POST /api/api-keys
  */
-const loginUser = async (req, res, next) => {
+const createApiKey = async (req, res, next) => {
   try {
-    const { username, password } = req.body;
+    const { name, scopes, expiresAt } = req.body;
 
-    // Find user
-    const user = await User.findOne({
-      where: {
-        [Op.or]: [{ username }, { email: username }],
-      },
+    const { apiKey, key } = await apiKeyService.createKey({
+      name,
+      scopes,
+      expiresAt,
     });
 
-    if (!user) {
-      return res.status(StatusCodes.UNAUTHORIZED).json({
+    return res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: "API key created successfully, store the key now",
+      data: { ...apiKey.toJSON(), key },
+    });
+  } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
         success: false,
-        message: "Invalid credentials",
+        message: "An API key with this name already exists",
       });
     }
+    next(error);
+  }
+};
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(StatusCodes.UNAUTHORIZED).json({
-        success: false,
-        message: "Account is disabled. Please contact an administrator.",
-      });
-    }
+/**
+ * Update API key
+ * @route PUT /api/api-keys/:id
+ */
+const updateApiKey = async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(StatusCodes.UNAUTHORIZED).json({
+    const apiKey = await ApiKey.findByPk(id);
+
+    if (!apiKey) {
+      return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
-        message: "Invalid credentials",
+        message: "API key not found",
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET || "api-monitor-secret-key",
-      { expiresIn: "24h" }
+    const { name, scopes, isActive, expiresAt } = req.body;
+    const updatedFields = { name, scopes, isActive, expiresAt };
+    Object.keys(updatedFields).forEach(
+      (key) => updatedFields[key] === undefined && delete updatedFields[key]
     );
 
-    // Return success response
+    await apiKey.update(updatedFields);
+
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
+      message: "API key updated successfully",
+      data: apiKey,
     });
   } catch (error) {
+    if (error.name === "SequelizeUniqueConstraintError") {
+      return res.status(StatusCodes.CONFLICT).json({
+        success: false,
+        message: "An API key with this name already exists",
+      });
+    }
     next(error);
   }
 };
 
-// ==========================================
-// Endpoint Controllers
-// ==========================================
-
 /**
- * Get all endpoints
- * @route GET /api/endpoints
+ * Replace an API key
+ * @route POST /api/api-keys/:id/rotate
  */
-const getAllEndpoints = async (req, res, next) => {
+const rotateApiKey = async (req, res, next) => {
   try {
-    // Get query params
-    const { active } = req.query;
+    const { id } = req.params;
 
-    // Prepare query
-    const query = {};
-    if (active === "true") {
-      query.isActive = true;
-    } else if (active === "false") {
-      query.isActive = false;
+    const apiKey = await ApiKey.findByPk(id);
+
+    if (!apiKey) {
+      return res.status(StatusCodes.NOT_FOUND).json({
+        success: false,
+        message: "API key not found",
+      });
     }
 
-    // Get endpoints
-    const endpoints = await Endpoint.findAll({
-      where: query,
-      order: [["createdAt", "DESC"]],
-    });
+    const key = await apiKeyService.rotateKey(apiKey);
 
     return res.status(StatusCodes.OK).json({
       success: true,
-      count: endpoints.length,
-      data: endpoints,
+      message: "API key rotated, store the new key now",
+      data: { ...apiKey.toJSON(), key },
     });
   } catch (error) {
     next(error);
@@ -186,122 +1767,176 @@ const getAllEndpoints = async (req, res, next) => {
 };
 
 /**
- * Get single endpoint
- * @route GET /api/endpoints/:id
+ * Delete API key
+ * @route DELETE /api/api-keys/:id
  */
-const getEndpoint = async (req, res, next) => {
+const deleteApiKey = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Get endpoint
-    const endpoint = await Endpoint.findByPk(id);
+    const apiKey = await ApiKey.findByPk(id);
 
-    if (!endpoint) {
+    if (!apiKey) {
       return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
-        message: "Endpoint not found",
+        message: "API key not found",
       });
     }
 
+    await apiKey.destroy();
+
     return res.status(StatusCodes.OK).json({
       success: true,
-      data: endpoint,
+      message: "API key deleted successfully",
     });
   } catch (error) {
     next(error);
   }
 };
 
+// ==========================================
+// Ingest Controllers (called with API keys)
+// ==========================================
+
 /**
- * Create endpoint
- * @route POST /api/endpoints
+ * Report real traffic from the traffic middleware
+ * @route POST /api/ingest/traffic
  */
-const createEndpoint = async (req, res, next) => {
+const ingestTraffic = async (req, res, next) => {
   try {
-    // Create endpoint
-    const endpoint = await Endpoint.create(req.body);
+    const { events } = req.body;
 
-    // Reload endpoints in monitor service
-    await monitorService.loadEndpoints();
+    const summary = await trafficService.ingestEvents(req.apiKey, events);
 
-    return res.status(StatusCodes.CREATED).json({
+    return res.status(StatusCodes.OK).json({
       success: true,
-      message: "Endpoint created successfully",
-      data: endpoint,
+      data: summary,
     });
   } catch (error) {
-    // Handle unique constraint error
-    if (error.name === "SequelizeUniqueConstraintError") {
-      return res.status(StatusCodes.CONFLICT).json({
-        success: false,
-        message: "An endpoint with this path already exists",
-      });
-    }
     next(error);
   }
 };
 
 /**
- * Update endpoint
- * @route PUT /api/endpoints/:id
+ * Push metric points measured by other systems
+ * Accepts a JSON array (or { points: [...] }) or NDJSON, one point per line.
+ * @route POST /api/ingest/metrics
  */
-const updateEndpoint = async (req, res, next) => {
+const ingestMetrics = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const points =
+      typeof req.body === "string"
+        ? ingestService.parseNdjson(req.body)
+        : Array.isArray(req.body)
+        ? req.body
+        : req.body.points;
 
-    // Get endpoint
-    const endpoint = await Endpoint.findByPk(id);
+    const summary = await ingestService.ingestMetrics(req.apiKey, points);
+
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// Heartbeat Controllers (called by monitored jobs, no login)
+// ==========================================
+
+/**
+ * Record a ping from a job watched by a heartbeat endpoint
+ * The ping kind (success, start or fail) defaults to success; a fail ping
+ * can send a message as plain text or as { message }.
+ * @route GET|POST /api/heartbeat/:token/:kind?
+ */
+const recordHeartbeat = async (req, res, next) => {
+  try {
+    const { token, kind = "success" } = req.params;
+
+    const endpoint = HEARTBEAT_PING_KINDS.includes(kind)
+      ? await Endpoint.findOne({
+          where: { heartbeatToken: token, checkType: "HEARTBEAT" },
+        })
+      : null;
 
     if (!endpoint) {
       return res.status(StatusCodes.NOT_FOUND).json({
         success: false,
-        message: "Endpoint not found",
+        message: "Heartbeat not found",
+      });
+    }
+    if (!endpoint.isActive) {
+      return res.status(StatusCodes.OK).json({
+        success: true,
+        message: "Heartbeat endpoint is inactive, ping ignored",
       });
     }
 
-    // Update endpoint
-    await endpoint.update(req.body);
+    const body =
+      typeof req.body === "string" ? req.body : req.body && req.body.message;
+    const message =
+      typeof body === "string" && body.trim()
+        ? body.trim().slice(0, MAX_HEARTBEAT_MESSAGE_LENGTH)
+        : undefined;
 
-    // Reload endpoints in monitor service
-    await monitorService.loadEndpoints();
+    await monitorService.recordHeartbeat(endpoint, kind, message);
 
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: "Endpoint updated successfully",
-      data: endpoint,
+      message: `Heartbeat ${kind} recorded`,
     });
   } catch (error) {
     next(error);
   }
 };
 
+// ==========================================
+// Certificate Controllers
+// ==========================================
+
 /**
- * Delete endpoint
- * @route DELETE /api/endpoints/:id
+ * Get TLS certificates of monitored hosts
+ * @route GET /api/certificates
  */
-const deleteEndpoint = async (req, res, next) => {
+const getCertificates = async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    // Get endpoint
-    const endpoint = await Endpoint.findByPk(id);
+    const { expiringWithin } = req.query;
 
-    if (!endpoint) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        success: false,
-        message: "Endpoint not found",
-      });
+    const whereClause = {};
+    if (expiringWithin) {
+      whereClause.daysUntilExpiry = { [Op.lte]: parseInt(expiringWithin) };
     }
 
-    // Delete endpoint
-    await endpoint.destroy();
+    const certificates = await Certificate.findAll({
+      where: whereClause,
+      order: [["validTo", "ASC"]],
+    });
 
-    // Reload endpoints in monitor service
-    await monitorService.loadEndpoints();
+    // Attach the endpoints served by each certificate
+    const endpoints = await Endpoint.findAll({
+      attributes: ["id", "path", "baseUrl", "method", "checkType"],
+    });
+    const groups = certificateService.groupEndpointsByHost(endpoints);
 
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: "Endpoint deleted successfully",
+      count: certificates.length,
+      data: certificates.map((certificate) => {
+        const group = groups.get(`${certificate.host}:${certificate.port}`);
+        return {
+          ...certificate.toJSON(),
+          endpoints: group
+            ? group.endpoints.map((endpoint) => ({
+                id: endpoint.id,
+                path: endpoint.path,
+                method: endpoint.method,
+              }))
+            : [],
+        };
+      }),
     });
   } catch (error) {
     next(error);
@@ -309,36 +1944,21 @@ const deleteEndpoint = async (req, res, next) => {
 };
 
 /**
- * Toggle endpoint active status
- * @route PATCH /api/endpoints/:id/toggle
+ * Check certificates of all monitored hosts now
+ * @route POST /api/certificates/check
  */
-const toggleEndpoint = async (req, res, next) => {
+const checkCertificates = async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    // Get endpoint
-    const endpoint = await Endpoint.findByPk(id);
-
-    if (!endpoint) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        success: false,
-        message: "Endpoint not found",
-      });
+    if (!monitorService.isRunning) {
+      await monitorService.loadEndpoints();
     }
 
-    // Toggle status
-    endpoint.isActive = !endpoint.isActive;
-    await endpoint.save();
-
-    // Reload endpoints in monitor service
-    await monitorService.loadEndpoints();
+    const certificates = await monitorService.checkCertificates();
 
     return res.status(StatusCodes.OK).json({
       success: true,
-      message: `Endpoint ${
-        endpoint.isActive ? "activated" : "deactivated"
-      } successfully`,
-      data: endpoint,
+      message: `Checked ${certificates.length} certificates`,
+      data: certificates,
     });
   } catch (error) {
     next(error);
@@ -356,12 +1976,14 @@ const toggleEndpoint = async (req, res, next) => {
 const getEndpointMetrics = async (req, res, next) => {
   try {
     const { endpointId } = req.params;
-    const { timeRange = "24h" } = req.query;
+    const { timeRange = "24h", location, environment } = req.query;
 
     // Get detailed metrics from monitor service
     const metrics = await monitorService.getEndpointMetrics(
       endpointId,
-      timeRange
+      timeRange,
+      location,
+      environment
     );
 
     return res.status(StatusCodes.OK).json({
@@ -379,8 +2001,8 @@ const getEndpointMetrics = async (req, res, next) => {
  */
 const getMetricsSummary = async (req, res, next) => {
   try {
-    // Get time range from query
-    const { timeRange = "24h" } = req.query;
+    // Get time range (and optional environment) from query
+    const { timeRange = "24h", environment } = req.query;
 
     console.log(`Processing metrics summary for timeRange: ${timeRange}`);
 
@@ -420,10 +2042,15 @@ const getMetricsSummary = async (req, res, next) => {
     const startTime = moment().subtract(value, timeUnit).toDate();
     console.log(`Start time for metrics: ${startTime}`);
 
-    // Get endpoints
-    const endpoints = await Endpoint.findAll({
-      where: { isActive: true },
-    });
+    // Get endpoints (only those probed in the environment, if given)
+    const endpoints = (
+      await Endpoint.findAll({
+        where: { isActive: true },
+      })
+    ).filter(
+      (endpoint) =>
+        !environment || getEnvironmentNames(endpoint).includes(environment)
+    );
 
     console.log(`Found ${endpoints.length} active endpoints`);
 
@@ -440,6 +2067,9 @@ const getMetricsSummary = async (req, res, next) => {
           where: {
             endpointId: endpoint.id,
             timestamp: { [Op.gte]: startTime },
+            isInterim: false,
+            inMaintenance: false,
+            ...(environment ? { environment } : {}),
           },
         });
 
@@ -548,6 +2178,7 @@ const getMetricsSummary = async (req, res, next) => {
       success: true,
       data: {
         timeRange,
+        environment: environment || null,
         overall: {
           totalRequests,
           successRate: parseFloat(overallSuccessRate.toFixed(2)),
@@ -583,7 +2214,13 @@ const getMetricsSummary = async (req, res, next) => {
 const getAllIncidents = async (req, res, next) => {
   try {
     // Get query params
-    const { status, endpointId, limit = 20, offset = 0 } = req.query;
+    const {
+      status,
+      endpointId,
+      environment,
+      limit = 20,
+      offset = 0,
+    } = req.query;
 
     // Prepare query
     const query = {};
@@ -593,6 +2230,9 @@ const getAllIncidents = async (req, res, next) => {
     if (endpointId) {
       query.endpointId = endpointId;
     }
+    if (environment) {
+      query.environment = environment;
+    }
 
     // Get incidents
     const incidents = await Incident.findAndCountAll({
@@ -721,7 +2361,13 @@ const updateIncidentStatus = async (req, res, next) => {
 const getAllAlerts = async (req, res, next) => {
   try {
     // Get query params
-    const { status, endpointId, limit = 20, offset = 0 } = req.query;
+    const {
+      status,
+      endpointId,
+      environment,
+      limit = 20,
+      offset = 0,
+    } = req.query;
 
     // Prepare query
     const query = {};
@@ -731,6 +2377,9 @@ const getAllAlerts = async (req, res, next) => {
     if (endpointId) {
       query.endpointId = endpointId;
     }
+    if (environment) {
+      query.environment = environment;
+    }
 
     // Get alerts
     const alerts = await Alert.findAndCountAll({
@@ -943,6 +2592,7 @@ const getMonitoringStatus = async (req, res, next) => {
         isRunning: monitorService.isRunning,
         monitoringInterval: monitorService.monitoringIntervalMs,
         activeEndpointsCount: monitorService.endpoints.length,
+        jobs: monitorService.scheduler.getStatus(),
       },
     });
   } catch (error) {
@@ -1245,6 +2895,76 @@ module.exports = {
   updateEndpoint,
   deleteEndpoint,
   toggleEndpoint,
+  rotateHeartbeatToken,
+  getTransactionSteps,
+  updateTransactionSteps,
+  getSchemaDrift,
+
+  // Import
+  previewImport,
+  commitImport,
+  exportEndpointCurl,
+
+  // Config
+  exportConfig,
+  planConfig,
+  applyConfig,
+
+  // Auth Profiles
+  getAllAuthProfiles,
+  getAuthProfile,
+  createAuthProfile,
+  updateAuthProfile,
+  deleteAuthProfile,
+
+  // Network Profiles
+  getAllNetworkProfiles,
+  getNetworkProfile,
+  createNetworkProfile,
+  updateNetworkProfile,
+  deleteNetworkProfile,
+
+  // Environments
+  getAllEnvironments,
+  getEnvironment,
+  createEnvironment,
+  updateEnvironment,
+  deleteEnvironment,
+
+  // Maintenance windows
+  getAllMaintenanceWindows,
+  getMaintenanceWindow,
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow,
+
+  // Agents
+  getAllAgents,
+  createAgent,
+  updateAgent,
+  rotateAgentToken,
+  deleteAgent,
+  registerAgent,
+  getAgentEndpoints,
+  reportAgentResults,
+
+  // API Keys
+  getAllApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  deleteApiKey,
+
+  // Ingest
+  ingestTraffic,
+  ingestMetrics,
+
+  // Heartbeats
+  recordHeartbeat,
+
+  // Certificates
+  getCertificates,
+  checkCertificates,
 
   // Metrics
   getEndpointMetrics,
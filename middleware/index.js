@@ -5,6 +5,8 @@
 
 const jwt = require("jsonwebtoken");
 const { StatusCodes } = require("http-status-codes");
+const agentService = require("../services/agentService");
+const apiKeyService = require("../services/apiKeyService");
 
 // ==========================================
 // Error Handling Middleware
@@ -99,6 +101,66 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Agent authentication middleware
+ * Verifies the agent token from the Authorization header (Bearer agt_...)
+ */
+const authenticateAgent = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: "Agent token required",
+      });
+    }
+
+    const agent = await agentService.authenticate(authHeader.split(" ")[1]);
+    if (!agent) {
+      return res.status(StatusCodes.UNAUTHORIZED).json({
+        success: false,
+        message: "Invalid or inactive agent token",
+      });
+    }
+
+    req.agent = agent;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * API key authentication middleware
+ * Verifies the key from the X-API-Key header and that it has the scope
+ * @param {string} scope - Required scope, e.g. "traffic:write"
+ */
+const authenticateApiKey = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.authenticate(req.headers["x-api-key"]);
+      if (!apiKey) {
+        return res.status(StatusCodes.UNAUTHORIZED).json({
+          success: false,
+          message: "Valid API key required",
+        });
+      }
+
+      if (!apiKeyService.hasScope(apiKey, scope)) {
+        return res.status(StatusCodes.FORBIDDEN).json({
+          success: false,
+          message: `API key lacks the ${scope} scope`,
+        });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 // ==========================================
 // Request Logging Middleware
 // ==========================================
@@ -155,6 +217,8 @@ module.exports = {
   errorHandler,
   notFoundHandler,
   authenticate,
+  authenticateAgent,
+  authenticateApiKey,
   requestLogger,
   corsMiddleware,
 };
@@ -3,8 +3,525 @@
  * Defines all Sequelize models for the application
  */
 
+const tls = require("tls");
 const { DataTypes } = require("sequelize");
 const { sequelize } = require("../config/database");
+const { encryptSecret, decryptSecret } = require("../utils/helpers");
+const { validateAssertions } = require("../utils/assertions");
+const { validateSchemaDefinition } = require("../utils/schemaValidator");
+const { validateExtractors } = require("../utils/variables");
+const { validateCheckConfig } = require("../utils/checkConfig");
+const { validateContentTypes } = require("../utils/bodyCapture");
+const { generateHeartbeatToken } = require("../utils/heartbeats");
+const {
+  MAINTENANCE_SCOPES,
+  validateMaintenanceWindow,
+} = require("../utils/maintenance");
+const { LOCAL_LOCATION, validateLocations } = require("../utils/locations");
+const {
+  validateEnvironmentName,
+  validateVariables,
+  validateEnvironmentList,
+} = require("../utils/environments");
+
+/**
+ * Validate that a JSON column holds a flat map of string values
+ * @param {*} value - Column value
+ * @param {string} label - Field label used in the error message
+ */
+const validateStringMap = (value, label) => {
+  if (value === null || value === undefined) return;
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${label} must be an object of key/value pairs`);
+  }
+
+  Object.entries(value).forEach(([key, val]) => {
+    if (typeof val !== "string" && typeof val !== "number") {
+      throw new Error(
+        `${label} value for "${key}" must be a string or a number`
+      );
+    }
+  });
+};
+
+/**
+ * Validate that a request body can be encoded the way its bodyType says
+ * @param {string|null} body - Stored body text
+ * @param {string} bodyType - NONE, JSON, FORM or RAW
+ */
+const validateRequestBody = (body, bodyType) => {
+  if (body === null || body === undefined) return;
+
+  if (bodyType === "JSON") {
+    try {
+      JSON.parse(body);
+    } catch (error) {
+      throw new Error("Body must be valid JSON when bodyType is JSON");
+    }
+  }
+
+  if (bodyType === "FORM") {
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      throw new Error(
+        "Body must be an object of form fields when bodyType is FORM"
+      );
+    }
+    validateStringMap(parsed, "Form body");
+  }
+};
+
+// ==========================================
+// Shared request attributes (endpoints and transaction steps)
+// ==========================================
+const requestAttributes = () => ({
+  // Request headers sent with every probe, e.g. { "Accept": "application/json" }
+  headers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isStringMap(value) {
+        validateStringMap(value, "Headers");
+      },
+    },
+  },
+  // Query parameters appended to the probe URL
+  queryParams: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isStringMap(value) {
+        validateStringMap(value, "Query parameters");
+      },
+    },
+  },
+  bodyType: {
+    type: DataTypes.ENUM("NONE", "JSON", "FORM", "RAW"),
+    allowNull: false,
+    defaultValue: "NONE",
+    validate: {
+      // Updates only validate the fields they change, so a new bodyType is
+      // checked against the stored body here
+      matchesBody(value) {
+        validateRequestBody(this.getDataValue("body"), value);
+      },
+    },
+  },
+  // Request body, stored as text and encoded according to bodyType
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue("body");
+      if (value && this.getDataValue("bodyType") !== "RAW") {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return value;
+        }
+      }
+      return value;
+    },
+    set(val) {
+      if (val !== null && typeof val === "object") {
+        this.setDataValue("body", JSON.stringify(val));
+      } else {
+        this.setDataValue("body", val);
+      }
+    },
+    validate: {
+      // Make sure the stored body can be encoded the way bodyType says
+      matchesBodyType(value) {
+        validateRequestBody(value, this.getDataValue("bodyType"));
+      },
+    },
+  },
+});
+
+// ==========================================
+// Auth Profile Model (credentials used by probes)
+// ==========================================
+
+// Non-secret settings each auth profile type requires
+const AUTH_PROFILE_REQUIRED_CONFIG = {
+  BEARER: [],
+  BASIC: ["username"],
+  API_KEY: ["name", "location"],
+  OAUTH2_CLIENT_CREDENTIALS: ["tokenUrl", "clientId"],
+};
+
+// Secrets each auth profile type requires
+const AUTH_PROFILE_REQUIRED_CREDENTIALS = {
+  BEARER: ["token"],
+  BASIC: ["password"],
+  API_KEY: ["value"],
+  OAUTH2_CLIENT_CREDENTIALS: ["clientSecret"],
+};
+
+const AuthProfile = sequelize.define(
+  "AuthProfile",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    type: {
+      type: DataTypes.ENUM(
+        "BEARER",
+        "BASIC",
+        "API_KEY",
+        "OAUTH2_CLIENT_CREDENTIALS"
+      ),
+      allowNull: false,
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Non-secret settings (username, API key name/location, token URL, client ID, scope)
+    config: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+    },
+    // Secrets (token, password, API key value, client secret), encrypted at rest
+    credentials: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      set(val) {
+        // Missing credentials stay empty, so they are reported as missing
+        this.setDataValue(
+          "credentials",
+          val === undefined || val === null
+            ? null
+            : encryptSecret(JSON.stringify(val))
+        );
+      },
+    },
+  },
+  {
+    // Model-level, so changing the type alone still checks the settings and
+    // secrets the new type requires
+    validate: {
+      hasRequiredSettings() {
+        const config = this.config || {};
+        const required = AUTH_PROFILE_REQUIRED_CONFIG[this.type] || [];
+        const missing = required.filter((key) => !config[key]);
+        if (missing.length > 0) {
+          throw new Error(
+            `Missing ${this.type} settings: ${missing.join(", ")}`
+          );
+        }
+
+        if (
+          this.type === "API_KEY" &&
+          !["HEADER", "QUERY"].includes(config.location)
+        ) {
+          throw new Error("API key location must be HEADER or QUERY");
+        }
+      },
+      hasRequiredSecrets() {
+        const stored = this.getDataValue("credentials");
+        const credentials = stored ? this.getCredentials() || {} : {};
+        const required = AUTH_PROFILE_REQUIRED_CREDENTIALS[this.type] || [];
+        const missing = required.filter((key) => !credentials[key]);
+        if (missing.length > 0) {
+          throw new Error(
+            `Missing ${this.type} credentials: ${missing.join(", ")}`
+          );
+        }
+      },
+    },
+  }
+);
+
+/**
+ * Decrypt the stored credentials of an auth profile
+ * @returns {Object} Plain credentials
+ */
+AuthProfile.prototype.getCredentials = function () {
+  return JSON.parse(decryptSecret(this.getDataValue("credentials")));
+};
+
+// Never serialize credentials into API responses
+AuthProfile.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.credentials;
+  return values;
+};
+
+// ==========================================
+// Network Profile Model (proxy and TLS settings used by probes)
+// ==========================================
+
+const PEM_CERTIFICATE_PATTERN =
+  /^\s*(-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----\s*)+$/;
+const PEM_PRIVATE_KEY_PATTERN =
+  /^\s*-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+-----END [A-Z ]*PRIVATE KEY-----\s*$/;
+
+const NetworkProfile = sequelize.define(
+  "NetworkProfile",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // HTTP proxy, e.g. http://proxy.corp:3128 (password goes in credentials)
+    proxyUrl: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: {
+        isProxyUrl(value) {
+          if (!value) return;
+
+          let url;
+          try {
+            url = new URL(value);
+          } catch (error) {
+            throw new Error("Proxy URL must be an absolute URL");
+          }
+          if (url.protocol !== "http:") {
+            throw new Error("Proxy URL must use http://");
+          }
+          if (url.password) {
+            throw new Error(
+              "Proxy URL must not contain a password, set credentials.proxyPassword instead"
+            );
+          }
+        },
+      },
+    },
+    // PEM bundle of extra CAs trusted for probe connections
+    caBundle: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        isPemCertificates(value) {
+          if (value && !PEM_CERTIFICATE_PATTERN.test(value)) {
+            throw new Error("CA bundle must contain PEM certificates");
+          }
+        },
+      },
+    },
+    // PEM client certificate for mutual TLS (its key is in credentials)
+    clientCert: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        isPemCertificate(value) {
+          if (value && !PEM_CERTIFICATE_PATTERN.test(value)) {
+            throw new Error("Client certificate must be a PEM certificate");
+          }
+        },
+      },
+    },
+    // SNI host name sent (and verified) instead of the URL host
+    servername: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    // Secrets (clientKey, passphrase, proxyPassword), encrypted at rest
+    credentials: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      set(val) {
+        // Proxy- or CA-only profiles have no credentials to encrypt
+        this.setDataValue(
+          "credentials",
+          val === undefined || val === null
+            ? null
+            : encryptSecret(JSON.stringify(val))
+        );
+      },
+    },
+  },
+  {
+    validate: {
+      hasMatchingClientKey() {
+        const { clientKey, proxyPassword } = this.getCredentials();
+
+        if (clientKey && !PEM_PRIVATE_KEY_PATTERN.test(clientKey)) {
+          throw new Error("Client key must be a PEM private key");
+        }
+        if (Boolean(clientKey) !== Boolean(this.clientCert)) {
+          throw new Error(
+            "Client certificate and client key must be set together"
+          );
+        }
+        if (proxyPassword && !this.proxyUrl) {
+          throw new Error("Proxy password requires a proxy URL");
+        }
+      },
+    },
+  }
+);
+
+/**
+ * Decrypt the stored credentials of a network profile
+ * @returns {Object} Plain credentials
+ */
+NetworkProfile.prototype.getCredentials = function () {
+  const credentials = this.getDataValue("credentials");
+  return credentials ? JSON.parse(decryptSecret(credentials)) || {} : {};
+};
+
+/**
+ * Options for the probe HTTP(S) agents
+ * @returns {Object} { tls: { ca, cert, key, passphrase, servername }, proxyUrl }
+ */
+NetworkProfile.prototype.getAgentOptions = function () {
+  const { clientKey, passphrase, proxyPassword } = this.getCredentials();
+  const tlsOptions = {};
+
+  if (this.caBundle) {
+    // Extend, rather than replace, the default trust store
+    tlsOptions.ca = [...tls.rootCertificates, this.caBundle];
+  }
+  if (this.clientCert) {
+    tlsOptions.cert = this.clientCert;
+    tlsOptions.key = clientKey;
+    if (passphrase) tlsOptions.passphrase = passphrase;
+  }
+  if (this.servername) {
+    tlsOptions.servername = this.servername;
+  }
+
+  let proxyUrl = null;
+  if (this.proxyUrl) {
+    const url = new URL(this.proxyUrl);
+    if (proxyPassword) url.password = proxyPassword;
+    proxyUrl = url.toString();
+  }
+
+  return { tls: tlsOptions, proxyUrl };
+};
+
+// Never serialize credentials (client key, passphrase, proxy password)
+NetworkProfile.prototype.toJSON = function () {
+  const values = { ...this.get() };
+
+  // Only say which secrets are set (when they were loaded at all)
+  if ("credentials" in values) {
+    const { clientKey, proxyPassword } = this.getCredentials();
+    values.hasClientKey = Boolean(clientKey);
+    values.hasProxyPassword = Boolean(proxyPassword);
+    delete values.credentials;
+  }
+  return values;
+};
+
+// ==========================================
+// Environment Model (variables endpoints are probed with, e.g. dev or prod)
+// ==========================================
+const Environment = sequelize.define(
+  "Environment",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        isEnvironmentName(value) {
+          validateEnvironmentName(value);
+        },
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Values for {{placeholders}} in endpoint definitions, e.g.
+    // { "baseUrl": "https://staging.example.com", "tenantId": "t-42" }
+    variables: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      validate: {
+        isVariableMap(value) {
+          validateVariables(value, "Variables");
+        },
+      },
+    },
+    // Secret variables (tokens, passwords), encrypted at rest; used like
+    // variables and winning over a variable with the same name
+    secrets: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      set(val) {
+        // No secrets leaves the column empty rather than encrypting "undefined"
+        this.setDataValue(
+          "secrets",
+          val === undefined || val === null
+            ? null
+            : encryptSecret(JSON.stringify(val))
+        );
+      },
+    },
+  },
+  {
+    validate: {
+      hasValidSecrets() {
+        validateVariables(this.getSecrets(), "Secrets");
+      },
+    },
+  }
+);
+
+/**
+ * Decrypt the stored secrets of an environment
+ * @returns {Object} Secret values by name
+ */
+Environment.prototype.getSecrets = function () {
+  const secrets = this.getDataValue("secrets");
+  return secrets ? JSON.parse(decryptSecret(secrets)) || {} : {};
+};
+
+/**
+ * All values probes in this environment fill placeholders with
+ * @returns {Object} Variable and secret values by name
+ */
+Environment.prototype.getVariables = function () {
+  return { ...(this.variables || {}), ...this.getSecrets() };
+};
+
+// Never serialize secret values, only their names
+Environment.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  if ("secrets" in values) {
+    values.secretNames = Object.keys(this.getSecrets());
+    delete values.secrets;
+  }
+  return values;
+};
 
 // ==========================================
 // Endpoint Model
@@ -27,6 +544,47 @@ const Endpoint = sequelize.define("Endpoint", {
     allowNull: false,
     defaultValue: "GET",
   },
+  // HTTP probes a single request, TRANSACTION runs the endpoint's ordered steps,
+  // GRAPHQL posts the query in checkConfig to the endpoint URL, WEBSOCKET and
+  // SSE open a stream and wait for a message;
+  // TCP, UDP and DNS probe the target in checkConfig (path is just a label);
+  // HEARTBEAT isn't probed but waits for pings (see utils/heartbeats.js)
+  checkType: {
+    type: DataTypes.ENUM(
+      "HTTP",
+      "TRANSACTION",
+      "GRAPHQL",
+      "WEBSOCKET",
+      "SSE",
+      "TCP",
+      "UDP",
+      "DNS",
+      "HEARTBEAT"
+    ),
+    allowNull: false,
+    defaultValue: "HTTP",
+    validate: {
+      hasCheckConfig(value) {
+        const checkConfig = this.getDataValue("checkConfig");
+        // A newly set config is checked by its own validator
+        if (checkConfig && this.changed("checkConfig")) return;
+        validateCheckConfig(value, checkConfig);
+      },
+    },
+  },
+  // Query, target or message options of non-HTTP check types
+  // (see utils/checkConfig.js)
+  checkConfig: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      matchesCheckType(value) {
+        // A missing config is reported by the checkType validator
+        if (!value) return;
+        validateCheckConfig(this.getDataValue("checkType"), value);
+      },
+    },
+  },
   description: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -36,6 +594,97 @@ const Endpoint = sequelize.define("Endpoint", {
     allowNull: false,
     defaultValue: true,
   },
+  // Seconds between probes; falls back to MONITORING_INTERVAL when empty
+  checkInterval: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 5,
+    },
+  },
+  // Extra attempts made right away when a probe fails
+  retryCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0,
+      max: 10,
+    },
+  },
+  // Delay before the first retry, doubled for every further retry
+  retryBackoffMs: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1000,
+    validate: {
+      min: 0,
+    },
+  },
+  // Failed checks in a row needed before a failure is counted and alerted
+  failureThreshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+    },
+  },
+  // Where the endpoint is probed from: "local" (this backend) and/or the
+  // locations of remote agents; empty means local only
+  locations: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isLocationList(value) {
+        validateLocations(value);
+      },
+    },
+  },
+  // Only raise failure alerts and incidents once this many locations fail
+  minFailingLocations: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+    },
+  },
+  // Names of the environments the definition is probed in, each with its own
+  // {{variables}}; empty means the definition is probed as it is
+  environments: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isEnvironmentList(value) {
+        validateEnvironmentList(value);
+      },
+    },
+  },
+  // Request timeout in milliseconds; falls back to 30 seconds when empty
+  timeoutMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 100,
+      max: 300000,
+    },
+  },
+  // When false, a 3xx response is the final response of the probe
+  followRedirects: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  maxRedirects: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5,
+    validate: {
+      min: 0,
+      max: 20,
+    },
+  },
   responseTimeThreshold: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -62,25 +711,233 @@ const Endpoint = sequelize.define("Endpoint", {
       max: 100,
     },
   },
-  baseUrl: {
-    type: DataTypes.STRING(255),
+  baseUrl: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  authProfileId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: AuthProfile,
+      key: "id",
+    },
+  },
+  // Proxy and TLS settings for HTTP, GraphQL, transaction and realtime probes
+  networkProfileId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: NetworkProfile,
+      key: "id",
+    },
+  },
+  ...requestAttributes(),
+  // Response assertions evaluated on every probe (see utils/assertions.js)
+  assertions: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isValidAssertionList(value) {
+        validateAssertions(value);
+      },
+    },
+  },
+  // JSON Schema every response body must conform to
+  responseSchema: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isValidSchema(value) {
+        validateSchemaDefinition(value);
+      },
+    },
+  },
+  // Last known-good shape of JSON responses, maintained by the monitor
+  // (see utils/shape.js); drift is measured against it
+  responseShape: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Known-good shapes of endpoints probed in environments, by environment
+  // name; responses differ between environments, so each has its own
+  responseShapes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Raise SCHEMA_DRIFT alerts (drift is recorded either way)
+  driftAlertsEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Which response bodies are stored on metrics (redacted): OFF, ON_FAILURE,
+  // SAMPLED (every failure plus bodyCaptureSampleRate % of successes) or ALWAYS
+  bodyCapture: {
+    type: DataTypes.ENUM("OFF", "ON_FAILURE", "SAMPLED", "ALWAYS"),
+    allowNull: false,
+    defaultValue: "OFF",
+  },
+  bodyCaptureSampleRate: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 10, // percentage
+    validate: {
+      min: 0,
+      max: 100,
+    },
+  },
+  bodyCaptureMaxBytes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 16384,
+    validate: {
+      min: 1,
+      max: 1048576,
+    },
+  },
+  // Content types to capture, "*" wildcards allowed; empty uses the defaults
+  // in utils/bodyCapture.js
+  bodyCaptureContentTypes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    validate: {
+      isValidContentTypeList(value) {
+        validateContentTypes(value);
+      },
+    },
+  },
+
+  tags: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    get() {
+      const value = this.getDataValue("tags");
+      return value ? value.split(",") : [];
+    },
+
+    set(val) {
+      if (Array.isArray(val)) {
+        this.setDataValue("tags", val.join(","));
+      } else {
+        this.setDataValue("tags", val);
+      }
+    },
+  },
+  // Set on imported endpoints: the document they came from (e.g. the API
+  // title) and the operation within it (e.g. "GET /pets/{petId}"), so a
+  // re-import updates them instead of creating duplicates
+  importSource: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: "endpoints_import_source_key",
+  },
+  sourceKey: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: "endpoints_import_source_key",
+  },
+  // Set on endpoints managed by a config document (see configService): their
+  // key in the document and a hash of the applied settings, so later edits
+  // made outside the document show up as drift
+  configKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true,
+  },
+  configHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+  },
+  // Secret part of the ping URL of HEARTBEAT endpoints, and when the job
+  // last pinged it (success or fail) or reported a run as started
+  heartbeatToken: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    defaultValue: () => generateHeartbeatToken(),
+  },
+  lastHeartbeatAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  heartbeatStartedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// ==========================================
+// Transaction Step Model (ordered requests of a TRANSACTION endpoint)
+// ==========================================
+const TransactionStep = sequelize.define("TransactionStep", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  endpointId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Endpoint,
+      key: "id",
+    },
+  },
+  stepOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+    },
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  method: {
+    type: DataTypes.ENUM("GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"),
+    allowNull: false,
+    defaultValue: "GET",
+  },
+  // Absolute URL, or a path appended to the endpoint's baseUrl; may use {{variables}}
+  path: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  ...requestAttributes(),
+  // Overrides the endpoint's auth profile for this step
+  authProfileId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: AuthProfile,
+      key: "id",
+    },
+  },
+  assertions: {
+    type: DataTypes.JSON,
     allowNull: true,
+    validate: {
+      isValidAssertionList(value) {
+        validateAssertions(value);
+      },
+    },
   },
-
-  tags: {
-    type: DataTypes.STRING(255),
+  // Values pulled from the response into variables for later steps
+  extractors: {
+    type: DataTypes.JSON,
     allowNull: true,
-    get() {
-      const value = this.getDataValue("tags");
-      return value ? value.split(",") : [];
-    },
-
-    set(val) {
-      if (Array.isArray(val)) {
-        this.setDataValue("tags", val.join(","));
-      } else {
-        this.setDataValue("tags", val);
-      }
+    validate: {
+      isValidExtractorList(value) {
+        validateExtractors(value);
+      },
     },
   },
 });
@@ -97,6 +954,8 @@ const Metric = sequelize.define("Metric", {
   endpointId: {
     type: DataTypes.INTEGER,
     allowNull: false,
+    // Together with dedupeKey
+    unique: "metrics_endpoint_dedupe_key",
     references: {
       model: Endpoint,
       key: "id",
@@ -114,6 +973,11 @@ const Metric = sequelize.define("Metric", {
       min: 0,
     },
   },
+  // Per-phase durations in ms: { dns, tcp, tls, firstByte, download }
+  timings: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
   statusCode: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -135,6 +999,48 @@ const Metric = sequelize.define("Metric", {
       min: 0,
     },
   },
+  // Attempt number within a check (1 = first try, 2+ = retries)
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+  },
+  // Where the probe ran: "local" or the location of the reporting agent
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    defaultValue: LOCAL_LOCATION,
+  },
+  // Environment the probe ran in, for endpoints probed in several
+  environment: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  // Retry attempts that were superseded and failures not yet confirmed;
+  // kept for visibility but left out of availability and error rates
+  isInterim: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Probe ran inside a maintenance window; left out of uptime and health
+  // numbers and never alerted on
+  inMaintenance: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  // Outcome of each endpoint assertion for this probe
+  assertionResults: {
+    type: DataTypes.JSON,
+    allowNull: true,
+  },
+  // Hash identifying a pushed metric point, so resent points are ignored
+  dedupeKey: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: "metrics_endpoint_dedupe_key",
+  },
   // Store additional metric data as JSON
   metaData: {
     type: DataTypes.JSON,
@@ -190,6 +1096,11 @@ const Incident = sequelize.define("Incident", {
     type: DataTypes.INTEGER,
     allowNull: true,
   },
+  // Environment the failing checks ran in
+  environment: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
   resolvedBy: {
     type: DataTypes.STRING(100),
     allowNull: true,
@@ -231,6 +1142,15 @@ const Alert = sequelize.define("Alert", {
       "ERROR_RATE",
       "AVAILABILITY",
       "STATUS_CODE",
+      "ASSERTION",
+      "CONTRACT",
+      "TRANSACTION",
+      "GRAPHQL",
+      "REDIRECT",
+      "CERTIFICATE_EXPIRY",
+      "CERTIFICATE_HOSTNAME",
+      "SCHEMA_DRIFT",
+      "HEARTBEAT",
       "OTHER"
     ),
     allowNull: false,
@@ -252,6 +1172,11 @@ const Alert = sequelize.define("Alert", {
     type: DataTypes.FLOAT,
     allowNull: true,
   },
+  // Environment the checks that raised the alert ran in
+  environment: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
   status: {
     type: DataTypes.ENUM("NEW", "ACKNOWLEDGED", "RESOLVED"),
     allowNull: false,
@@ -417,6 +1342,455 @@ const SecurityAlert = sequelize.define("SecurityAlert", {
   },
 });
 
+// ==========================================
+// Certificate Model
+// ==========================================
+// One row per HTTPS host:port, shared by all endpoints on that host
+const Certificate = sequelize.define(
+  "Certificate",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    host: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+    },
+    port: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 443,
+    },
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    subjectAltNames: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    issuer: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+    validFrom: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    validTo: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    daysUntilExpiry: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    fingerprint: {
+      type: DataTypes.STRING(128),
+      allowNull: true,
+    },
+    // Leaf first: [{ subject, issuer, validTo, fingerprint }]
+    chain: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    protocol: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    cipher: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    authorized: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+    },
+    authorizationError: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+    hostnameValid: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+    },
+    hostnameError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // Smallest expiry threshold (days) already alerted for this certificate
+    lastAlertThreshold: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    checkError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ unique: true, fields: ["host", "port"] }],
+  }
+);
+
+// ==========================================
+// Schema Drift Model
+// ==========================================
+// One row per detected change in the JSON shape of an endpoint's responses
+const SchemaDrift = sequelize.define("SchemaDrift", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  endpointId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Endpoint,
+      key: "id",
+    },
+  },
+  // Metric of the probe whose response drifted
+  metricId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  // Environment the probe ran in, for endpoints probed in several
+  environment: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  previousHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  currentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  // Shapes as produced by utils/shape.js ({ "$.id": "number", ... })
+  previousShape: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  currentShape: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  // { added: [{ path, type }], removed: [{ path, type }], changed: [{ path, from, to }] }
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+  },
+  // Fields disappeared or changed type
+  breaking: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+});
+
+// ==========================================
+// Agent Model
+// ==========================================
+// Remote probe agent; runs the endpoints assigned to its location
+const Agent = sequelize.define("Agent", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  location: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      is: /^[\w.-]+$/,
+      notLocal(value) {
+        if (value === LOCAL_LOCATION) {
+          throw new Error(`"${LOCAL_LOCATION}" is reserved for the backend`);
+        }
+      },
+    },
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  // SHA-256 of the agent token; the token itself is only shown once
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  // Reported by the agent when it registers
+  hostname: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+  },
+  version: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// Never serialize the token hash into API responses
+Agent.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.tokenHash;
+  return values;
+};
+
+// ==========================================
+// API Key Model
+// ==========================================
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ["traffic:write", "metrics:write"];
+
+// Key for services pushing data to the ingest routes
+const ApiKey = sequelize.define("ApiKey", {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true,
+    },
+  },
+  // First characters of the key, to tell keys apart in listings
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+  },
+  // SHA-256 of the key; the key itself is only shown once
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isKnownScopes(value) {
+        if (
+          !Array.isArray(value) ||
+          value.some((scope) => !API_KEY_SCOPES.includes(scope))
+        ) {
+          throw new Error(
+            `Scopes must be an array of: ${API_KEY_SCOPES.join(", ")}`
+          );
+        }
+      },
+    },
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+});
+
+// Never serialize the key hash into API responses
+ApiKey.prototype.toJSON = function () {
+  const values = { ...this.get() };
+  delete values.keyHash;
+  return values;
+};
+
+// ==========================================
+// Traffic Event Model
+// ==========================================
+// A real request served by one of our services, reported by the traffic
+// middleware (sdk/trafficMonitor.js); kept apart from probe metrics
+const TrafficEvent = sequelize.define(
+  "TrafficEvent",
+  {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    endpointId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: Endpoint,
+        key: "id",
+      },
+    },
+    apiKeyId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: ApiKey,
+        key: "id",
+      },
+    },
+    timestamp: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    // Route as reported, e.g. /users/:id
+    route: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+    },
+    method: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+    },
+    statusCode: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    latencyMs: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+      },
+    },
+    clientIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true,
+    },
+    // Hashed by the middleware; raw user IDs never reach the backend
+    userIdHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+    },
+  },
+  {
+    indexes: [{ fields: ["endpointId", "timestamp"] }],
+  }
+);
+
+// ==========================================
+// Maintenance Window Model
+// ==========================================
+// Planned downtime: probes keep running, but alerts and incidents are
+// suppressed and the metrics are flagged (see utils/maintenance.js)
+const MaintenanceWindow = sequelize.define(
+  "MaintenanceWindow",
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+      },
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    // ALL endpoints, the ENDPOINTS in endpointIds or those with one of tags
+    scope: {
+      type: DataTypes.ENUM(...MAINTENANCE_SCOPES),
+      allowNull: false,
+      defaultValue: "ALL",
+    },
+    endpointIds: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    // One-off window
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    // Recurring window: opens when the cron expression fires, e.g.
+    // "0 2 * * 0" (Sundays 02:00), for durationMinutes
+    cron: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+    durationMinutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    // Time zone the cron expression is read in
+    timezone: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: "UTC",
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    createdBy: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+    },
+  },
+  {
+    validate: {
+      isConsistent() {
+        validateMaintenanceWindow(this);
+      },
+    },
+  }
+);
+
 // ==========================================
 // Define Relationships
 // ==========================================
@@ -444,15 +1818,75 @@ Endpoint.hasMany(SecurityAlert, {
 });
 SecurityAlert.belongsTo(Endpoint, { foreignKey: "endpointId" });
 
+// Endpoint to SchemaDrifts (One-to-Many)
+Endpoint.hasMany(SchemaDrift, {
+  foreignKey: "endpointId",
+  onDelete: "CASCADE",
+});
+SchemaDrift.belongsTo(Endpoint, { foreignKey: "endpointId" });
+
+// Endpoint to TrafficEvents (One-to-Many)
+Endpoint.hasMany(TrafficEvent, {
+  foreignKey: "endpointId",
+  onDelete: "CASCADE",
+});
+TrafficEvent.belongsTo(Endpoint, { foreignKey: "endpointId" });
+
+// ApiKey to TrafficEvents (One-to-Many)
+ApiKey.hasMany(TrafficEvent, {
+  foreignKey: "apiKeyId",
+  onDelete: "SET NULL",
+});
+TrafficEvent.belongsTo(ApiKey, { foreignKey: "apiKeyId" });
+
+// Endpoint to TransactionSteps (One-to-Many)
+Endpoint.hasMany(TransactionStep, {
+  foreignKey: "endpointId",
+  onDelete: "CASCADE",
+});
+TransactionStep.belongsTo(Endpoint, { foreignKey: "endpointId" });
+
+// AuthProfile to TransactionSteps (One-to-Many)
+AuthProfile.hasMany(TransactionStep, {
+  foreignKey: "authProfileId",
+  onDelete: "SET NULL",
+});
+TransactionStep.belongsTo(AuthProfile, { foreignKey: "authProfileId" });
+
+// AuthProfile to Endpoints (One-to-Many)
+AuthProfile.hasMany(Endpoint, {
+  foreignKey: "authProfileId",
+  onDelete: "SET NULL",
+});
+Endpoint.belongsTo(AuthProfile, { foreignKey: "authProfileId" });
+
+// NetworkProfile to Endpoints (One-to-Many)
+NetworkProfile.hasMany(Endpoint, {
+  foreignKey: "networkProfileId",
+  onDelete: "SET NULL",
+});
+Endpoint.belongsTo(NetworkProfile, { foreignKey: "networkProfileId" });
+
 // ==========================================
 // Export models
 // ==========================================
 module.exports = {
+  AuthProfile,
+  NetworkProfile,
+  Environment,
   Endpoint,
+  TransactionStep,
   Metric,
   Incident,
   Alert,
   User,
   SystemStatus,
   SecurityAlert,
+  Certificate,
+  SchemaDrift,
+  Agent,
+  ApiKey,
+  TrafficEvent,
+  MaintenanceWindow,
+  API_KEY_SCOPES,
 };
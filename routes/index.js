@@ -6,7 +6,11 @@
 const express = require("express");
 const router = express.Router();
 const apiController = require("../controllers/apiController");
-const { authenticate } = require("../middleware");
+const {
+  authenticate,
+  authenticateAgent,
+  authenticateApiKey,
+} = require("../middleware");
 
 // Create a simple authorize middleware function
 const authorize = (roles = []) => {
@@ -65,6 +69,298 @@ router.patch(
   authorize(["ADMIN", "USER"]),
   apiController.toggleEndpoint
 );
+router.get(
+  "/endpoints/:id/steps",
+  authenticate,
+  apiController.getTransactionSteps
+);
+router.put(
+  "/endpoints/:id/steps",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.updateTransactionSteps
+);
+router.get("/endpoints/:id/drift", authenticate, apiController.getSchemaDrift);
+router.get(
+  "/endpoints/:id/curl",
+  authenticate,
+  apiController.exportEndpointCurl
+);
+router.post(
+  "/endpoints/:id/heartbeat-token",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.rotateHeartbeatToken
+);
+
+// ==========================================
+// Import Routes
+// ==========================================
+router.post(
+  "/import/:format/preview",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.previewImport
+);
+router.post(
+  "/import/:format/commit",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.commitImport
+);
+
+// ==========================================
+// Config Routes
+// ==========================================
+router.get("/config/export", authenticate, apiController.exportConfig);
+router.post(
+  "/config/plan",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.planConfig
+);
+router.post(
+  "/config/apply",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.applyConfig
+);
+
+// ==========================================
+// Auth Profile Routes
+// ==========================================
+router.get("/auth-profiles", authenticate, apiController.getAllAuthProfiles);
+router.get("/auth-profiles/:id", authenticate, apiController.getAuthProfile);
+router.post(
+  "/auth-profiles",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.createAuthProfile
+);
+router.put(
+  "/auth-profiles/:id",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.updateAuthProfile
+);
+router.delete(
+  "/auth-profiles/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.deleteAuthProfile
+);
+
+// ==========================================
+// Network Profile Routes
+// ==========================================
+router.get(
+  "/network-profiles",
+  authenticate,
+  apiController.getAllNetworkProfiles
+);
+router.get(
+  "/network-profiles/:id",
+  authenticate,
+  apiController.getNetworkProfile
+);
+router.post(
+  "/network-profiles",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.createNetworkProfile
+);
+router.put(
+  "/network-profiles/:id",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.updateNetworkProfile
+);
+router.delete(
+  "/network-profiles/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.deleteNetworkProfile
+);
+
+// ==========================================
+// Environment Routes
+// ==========================================
+router.get("/environments", authenticate, apiController.getAllEnvironments);
+router.get("/environments/:id", authenticate, apiController.getEnvironment);
+router.post(
+  "/environments",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.createEnvironment
+);
+router.put(
+  "/environments/:id",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.updateEnvironment
+);
+router.delete(
+  "/environments/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.deleteEnvironment
+);
+
+// ==========================================
+// Maintenance Window Routes
+// ==========================================
+router.get(
+  "/maintenance-windows",
+  authenticate,
+  apiController.getAllMaintenanceWindows
+);
+router.get(
+  "/maintenance-windows/:id",
+  authenticate,
+  apiController.getMaintenanceWindow
+);
+router.post(
+  "/maintenance-windows",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.createMaintenanceWindow
+);
+router.put(
+  "/maintenance-windows/:id",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.updateMaintenanceWindow
+);
+router.delete(
+  "/maintenance-windows/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.deleteMaintenanceWindow
+);
+
+// ==========================================
+// Agent Routes
+// ==========================================
+router.get(
+  "/agents",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.getAllAgents
+);
+router.post(
+  "/agents",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.createAgent
+);
+router.put(
+  "/agents/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.updateAgent
+);
+router.post(
+  "/agents/:id/rotate-token",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.rotateAgentToken
+);
+router.delete(
+  "/agents/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.deleteAgent
+);
+
+// Called by agents with their agent token
+router.post("/agent/register", authenticateAgent, apiController.registerAgent);
+router.get(
+  "/agent/endpoints",
+  authenticateAgent,
+  apiController.getAgentEndpoints
+);
+router.post(
+  "/agent/results",
+  authenticateAgent,
+  apiController.reportAgentResults
+);
+
+// ==========================================
+// API Key Routes
+// ==========================================
+router.get(
+  "/api-keys",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.getAllApiKeys
+);
+router.post(
+  "/api-keys",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.createApiKey
+);
+router.put(
+  "/api-keys/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.updateApiKey
+);
+router.post(
+  "/api-keys/:id/rotate",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.rotateApiKey
+);
+router.delete(
+  "/api-keys/:id",
+  authenticate,
+  authorize(["ADMIN"]),
+  apiController.deleteApiKey
+);
+
+// ==========================================
+// Ingest Routes (called with API keys)
+// ==========================================
+router.post(
+  "/ingest/traffic",
+  authenticateApiKey("traffic:write"),
+  apiController.ingestTraffic
+);
+router.post(
+  "/ingest/metrics",
+  authenticateApiKey("metrics:write"),
+  // NDJSON bodies; JSON ones are parsed by the app-wide parser
+  express.text({
+    type: ["application/x-ndjson", "application/ndjson"],
+    limit: process.env.JSON_BODY_LIMIT || "5mb",
+  }),
+  apiController.ingestMetrics
+);
+
+// ==========================================
+// Heartbeat Routes (pinged by monitored jobs, the token in the URL is the
+// only credential)
+// ==========================================
+// Plain text bodies carry the message of a ping, e.g. the tail of a job log
+const heartbeatBody = express.text({ type: "text/*", limit: "64kb" });
+router.get("/heartbeat/:token/:kind?", apiController.recordHeartbeat);
+router.post(
+  "/heartbeat/:token/:kind?",
+  heartbeatBody,
+  apiController.recordHeartbeat
+);
+
+// ==========================================
+// Certificate Routes
+// ==========================================
+router.get("/certificates", authenticate, apiController.getCertificates);
+router.post(
+  "/certificates/check",
+  authenticate,
+  authorize(["ADMIN", "USER"]),
+  apiController.checkCertificates
+);
 
 // ==========================================
 // Metrics Routes
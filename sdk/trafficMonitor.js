@@ -0,0 +1,173 @@
+/**
+ * Traffic Monitor Middleware
+ * Express middleware for our services that reports every request they serve
+ * (route, method, status, latency, client IP and a hash of the user ID) to
+ * the monitoring backend in batches. Needs an API key with the
+ * "traffic:write" scope.
+ *
+ * const { trafficMonitor } = require("api-monitoring-backend/sdk/trafficMonitor");
+ *
+ * app.use(
+ *   trafficMonitor({
+ *     backendUrl: "https://monitor.example.com/api",
+ *     apiKey: process.env.MONITOR_API_KEY,
+ *     getUserId: (req) => req.user && req.user.id,
+ *   })
+ * );
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+// Events sent per request to the backend (the backend accepts up to 1000)
+const DEFAULT_BATCH_SIZE = 500;
+// Events kept while the backend is unreachable; the oldest are dropped first
+const DEFAULT_MAX_QUEUE_SIZE = 10000;
+const DEFAULT_FLUSH_INTERVAL = 5000;
+
+/**
+ * Hash a user ID so the raw ID never leaves the service
+ * @param {*} userId - User ID
+ * @param {string} salt - Secret salt shared by the service's instances
+ * @returns {string} SHA-256 hex digest
+ */
+const hashUserId = (userId, salt = "") =>
+  crypto.createHash("sha256").update(`${salt}${userId}`).digest("hex");
+
+/**
+ * Route pattern of a request, e.g. /users/:id
+ * Falls back to the request path when no route matched (e.g. 404s or
+ * requests rejected by app-level middleware).
+ * @param {Object} req - Express request
+ * @returns {string} Route
+ */
+const getRoute = (req) => {
+  if (req.route && typeof req.route.path === "string") {
+    return `${req.baseUrl || ""}${req.route.path}` || "/";
+  }
+  return (req.originalUrl || req.url || "/").split("?")[0];
+};
+
+/**
+ * Create the traffic monitor middleware
+ * @param {Object} options - Middleware options
+ * @param {string} options.backendUrl - Backend API URL
+ * @param {string} options.apiKey - API key with the traffic:write scope
+ * @param {string} options.host - Host the service is monitored at, when it
+ * differs from the Host header of its requests (e.g. behind a proxy)
+ * @param {Function} options.getUserId - Returns the user ID of a request
+ * @param {string} options.userIdSalt - Salt for user ID hashes
+ * @param {Function} options.skip - Returns true for requests not to report
+ * @param {number} options.flushInterval - Ms between reports
+ * @param {number} options.batchSize - Events per report
+ * @param {number} options.maxQueueSize - Events kept while reports fail
+ * @returns {Function} Express middleware, with flush() and stop()
+ */
+const trafficMonitor = ({
+  backendUrl,
+  apiKey,
+  host = null,
+  getUserId = null,
+  userIdSalt = "",
+  skip = null,
+  flushInterval = DEFAULT_FLUSH_INTERVAL,
+  batchSize = DEFAULT_BATCH_SIZE,
+  maxQueueSize = DEFAULT_MAX_QUEUE_SIZE,
+} = {}) => {
+  if (!backendUrl || !apiKey) {
+    throw new Error("trafficMonitor requires backendUrl and apiKey");
+  }
+
+  const backend = axios.create({
+    baseURL: backendUrl.replace(/\/+$/, ""),
+    timeout: 10000,
+    headers: { "X-API-Key": apiKey },
+  });
+  let queue = [];
+  let flushing = null;
+
+  /**
+   * Send queued events to the backend in batches
+   * Events stay queued when the backend can't be reached.
+   * @returns {Promise<void>}
+   */
+  const flush = () => {
+    // One flush at a time, so batches are never sent twice
+    if (!flushing) {
+      flushing = (async () => {
+        while (queue.length > 0) {
+          const batch = queue.slice(0, batchSize);
+
+          try {
+            await backend.post("/ingest/traffic", { events: batch });
+            queue = queue.slice(batch.length);
+          } catch (error) {
+            console.error(
+              `Error reporting ${queue.length} traffic event(s):`,
+              error.response?.data?.message || error.message
+            );
+            return;
+          }
+        }
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  const timer = setInterval(flush, flushInterval);
+  // Don't keep the service alive just to report traffic
+  timer.unref();
+
+  const middleware = (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    const start = process.hrtime.bigint();
+    const timestamp = new Date().toISOString();
+
+    res.on("finish", () => {
+      let userId = null;
+      try {
+        userId = getUserId ? getUserId(req) : null;
+      } catch (error) {
+        // Report the request without a user
+      }
+
+      queue.push({
+        route: getRoute(req),
+        method: req.method,
+        // Tells apart services with the same routes
+        host: host || req.hostname || null,
+        statusCode: res.statusCode,
+        latencyMs: Number(process.hrtime.bigint() - start) / 1e6,
+        clientIp: req.ip || null,
+        userIdHash:
+          userId !== null && userId !== undefined
+            ? hashUserId(userId, userIdSalt)
+            : null,
+        timestamp,
+      });
+
+      if (queue.length > maxQueueSize) {
+        queue = queue.slice(-maxQueueSize);
+      }
+      if (queue.length >= batchSize) {
+        flush();
+      }
+    });
+
+    next();
+  };
+
+  middleware.flush = flush;
+  // Stop reporting; call flush() afterwards to send what is left
+  middleware.stop = () => clearInterval(timer);
+
+  return middleware;
+};
+
+module.exports = {
+  trafficMonitor,
+  hashUserId,
+};
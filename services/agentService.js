@@ -0,0 +1,301 @@
+/**
+ * Agent Service
+ * Tokens, endpoint assignment and result ingestion for remote probe agents
+ * (see agent.js). Agents run the endpoints whose locations include their own
+ * location and report the results back to this backend.
+ */
+
+const crypto = require("crypto");
+const {
+  Agent,
+  Endpoint,
+  AuthProfile,
+  NetworkProfile,
+  TransactionStep,
+  Metric,
+  Environment,
+} = require("../models");
+const monitorService = require("./monitorService");
+const { getEndpointLocations } = require("../utils/locations");
+const { getEnvironmentNames } = require("../utils/environments");
+
+// Results accepted in a single report
+const MAX_RESULTS_PER_REPORT = 500;
+
+class AgentService {
+  /**
+   * Generate a new agent token
+   * @returns {string} Token (only ever shown to the user once)
+   */
+  generateToken() {
+    return `agt_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  /**
+   * Hash an agent token for storage and lookup
+   * @param {string} token - Agent token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Create an agent and its token
+   * @param {Object} data - { name, location, description }
+   * @returns {Promise<Object>} { agent, token }
+   */
+  async createAgent({ name, location, description }) {
+    const token = this.generateToken();
+    const agent = await Agent.create({
+      name,
+      location,
+      description,
+      tokenHash: this.hashToken(token),
+    });
+
+    return { agent, token };
+  }
+
+  /**
+   * Replace the token of an agent; the old token stops working immediately
+   * @param {Object} agent - Agent object
+   * @returns {Promise<string>} New token
+   */
+  async rotateToken(agent) {
+    const token = this.generateToken();
+    await agent.update({ tokenHash: this.hashToken(token) });
+    return token;
+  }
+
+  /**
+   * Find the active agent a token belongs to
+   * @param {string} token - Agent token
+   * @returns {Promise<Object|null>} Agent, or null if the token is unknown
+   */
+  async authenticate(token) {
+    if (!token) return null;
+
+    return Agent.findOne({
+      where: { tokenHash: this.hashToken(token), isActive: true },
+    });
+  }
+
+  /**
+   * Record an agent (re)starting
+   * @param {Object} agent - Agent object
+   * @param {Object} info - { hostname, version } reported by the agent
+   * @returns {Promise<Object>} Updated agent
+   */
+  async register(agent, { hostname, version } = {}) {
+    return agent.update({
+      hostname: hostname ? String(hostname).slice(0, 255) : agent.hostname,
+      version: version ? String(version).slice(0, 50) : agent.version,
+      lastSeenAt: new Date(),
+    });
+  }
+
+  /**
+   * Check whether an endpoint is assigned to an agent's location
+   * Heartbeat endpoints are never assigned, they wait for pings instead.
+   * @param {Object} agent - Agent object
+   * @param {Object} endpoint - Endpoint object
+   * @returns {boolean} Is assigned
+   */
+  isAssigned(agent, endpoint) {
+    return (
+      endpoint.checkType !== "HEARTBEAT" &&
+      getEndpointLocations(endpoint).includes(agent.location)
+    );
+  }
+
+  /**
+   * Get the endpoints an agent should probe
+   * Auth and network profiles and environment variables are sent with their
+   * secrets, since the agent has to apply them itself.
+   * @param {Object} agent - Agent object
+   * @returns {Promise<Array<Object>>} Endpoint definitions
+   */
+  async getAssignedEndpoints(agent) {
+    const endpoints = await Endpoint.findAll({
+      where: { isActive: true },
+      include: [
+        { model: AuthProfile },
+        { model: NetworkProfile },
+        { model: TransactionStep, include: [{ model: AuthProfile }] },
+      ],
+      order: [[TransactionStep, "stepOrder", "ASC"]],
+    });
+
+    await agent.update({ lastSeenAt: new Date() });
+
+    const assigned = endpoints.filter((endpoint) =>
+      this.isAssigned(agent, endpoint)
+    );
+    const environmentNames = [
+      ...new Set(assigned.flatMap((endpoint) => getEnvironmentNames(endpoint))),
+    ];
+    const environments = environmentNames.length
+      ? await Environment.findAll({ where: { name: environmentNames } })
+      : [];
+
+    return assigned.map((endpoint) =>
+      this.serializeEndpoint(endpoint, environments)
+    );
+  }
+
+  /**
+   * Serialize an endpoint, including profile secrets, for an agent
+   * @param {Object} endpoint - Endpoint with profiles and steps loaded
+   * @param {Array<Object>} environments - Environments of the endpoints
+   * @returns {Object} Endpoint definition
+   */
+  serializeEndpoint(endpoint, environments = []) {
+    const withCredentials = (profile) =>
+      profile
+        ? { ...profile.toJSON(), credentials: profile.getCredentials() }
+        : null;
+
+    return {
+      ...endpoint.toJSON(),
+      // Only needed by the backend's drift detection
+      responseShape: undefined,
+      responseShapes: undefined,
+      AuthProfile: withCredentials(endpoint.AuthProfile),
+      NetworkProfile: withCredentials(endpoint.NetworkProfile),
+      TransactionSteps: (endpoint.TransactionSteps || []).map((step) => ({
+        ...step.toJSON(),
+        AuthProfile: withCredentials(step.AuthProfile),
+      })),
+      // Variables (secrets included) of each environment to probe in
+      environmentVariables: Object.fromEntries(
+        environments
+          .filter((environment) =>
+            getEnvironmentNames(endpoint).includes(environment.name)
+          )
+          .map((environment) => [environment.name, environment.getVariables()])
+      ),
+    };
+  }
+
+  /**
+   * Store results reported by an agent and run the alert pipeline
+   * Interim attempts (retries) are only stored; final results go through the
+   * same confirmation and alerting as local checks.
+   * @param {Object} agent - Agent object
+   * @param {Array<Object>} results - [{ metric, error }] from the agent
+   * @returns {Promise<Object>} { accepted, rejected }
+   */
+  async recordResults(agent, results) {
+    if (!Array.isArray(results) || results.length > MAX_RESULTS_PER_REPORT) {
+      const error = new Error(
+        `Results must be an array of at most ${MAX_RESULTS_PER_REPORT} items`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const endpointIds = [
+      ...new Set(results.map((result) => Number(result?.metric?.endpointId))),
+    ].filter(Number.isInteger);
+    const endpoints = await Endpoint.findAll({
+      where: { id: endpointIds, isActive: true },
+    });
+    const endpointMap = new Map(
+      endpoints
+        .filter((endpoint) => this.isAssigned(agent, endpoint))
+        .map((endpoint) => [endpoint.id, endpoint])
+    );
+
+    let accepted = 0;
+    let rejected = 0;
+
+    // In order, so consecutive failures are counted like local checks
+    for (const result of results) {
+      const endpoint = endpointMap.get(Number(result?.metric?.endpointId));
+      if (!endpoint || !this.isKnownEnvironment(endpoint, result.metric)) {
+        rejected += 1;
+        continue;
+      }
+
+      const metric = this.toMetric(agent, endpoint, result.metric);
+      if (metric.isInterim) {
+        await Metric.create({
+          ...metric,
+          inMaintenance: monitorService.isInMaintenance(
+            endpoint,
+            metric.timestamp
+          ),
+        });
+      } else {
+        await monitorService.recordCheckResult(endpoint, {
+          metric,
+          error: result.error ? this.toError(result.error) : undefined,
+        });
+      }
+      accepted += 1;
+    }
+
+    await agent.update({ lastSeenAt: new Date() });
+
+    return { accepted, rejected };
+  }
+
+  /**
+   * Check that a reported metric ran in one of the endpoint's environments
+   * @param {Object} endpoint - Endpoint object
+   * @param {Object} reported - Metric as sent by the agent
+   * @returns {boolean} Is known (no environment for endpoints without any)
+   */
+  isKnownEnvironment(endpoint, reported) {
+    const names = getEnvironmentNames(endpoint);
+    return reported.environment
+      ? names.includes(reported.environment)
+      : names.length === 0;
+  }
+
+  /**
+   * Build a metric from an agent report, keeping only known fields
+   * @param {Object} agent - Reporting agent
+   * @param {Object} endpoint - Endpoint the metric belongs to
+   * @param {Object} reported - Metric as sent by the agent
+   * @returns {Object} Metric data
+   */
+  toMetric(agent, endpoint, reported) {
+    const timestamp = new Date(reported.timestamp);
+
+    return {
+      endpointId: endpoint.id,
+      location: agent.location,
+      environment: reported.environment || null,
+      timestamp: isNaN(timestamp) ? new Date() : timestamp,
+      responseTime: reported.responseTime,
+      timings: reported.timings,
+      statusCode: reported.statusCode,
+      success: reported.success === true,
+      errorMessage: reported.errorMessage,
+      requestCount: reported.requestCount || 1,
+      attempt: reported.attempt || 1,
+      isInterim: reported.isInterim === true,
+      assertionResults: reported.assertionResults,
+      metaData: { ...(reported.metaData || {}), agent: agent.name },
+    };
+  }
+
+  /**
+   * Rebuild a probe error reported by an agent
+   * @param {Object} reported - { message, code, status }
+   * @returns {Error} Error shaped like the ones local probes produce
+   */
+  toError({ message, code, status }) {
+    const error = new Error(message || "Unknown error");
+    if (code) error.code = code;
+    if (status) error.response = { status };
+    return error;
+  }
+}
+
+// Create singleton instance
+const agentService = new AgentService();
+
+module.exports = agentService;
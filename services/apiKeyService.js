@@ -0,0 +1,103 @@
+/**
+ * API Key Service
+ * Keys for services that push data to the ingest routes. Each key carries
+ * scopes naming the ingest routes it may use (see API_KEY_SCOPES).
+ */
+
+const crypto = require("crypto");
+const { ApiKey } = require("../models");
+
+// lastUsedAt is refreshed at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Generate a new API key
+   * @returns {string} Key (only ever shown to the user once)
+   */
+  generateKey() {
+    return `apk_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} data - { name, scopes, expiresAt }
+   * @returns {Promise<Object>} { apiKey, key }
+   */
+  async createKey({ name, scopes, expiresAt }) {
+    const key = this.generateKey();
+    const apiKey = await ApiKey.create({
+      name,
+      scopes,
+      expiresAt,
+      keyPrefix: key.slice(0, 12),
+      keyHash: this.hashKey(key),
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Replace an API key; the old key stops working immediately
+   * @param {Object} apiKey - ApiKey object
+   * @returns {Promise<string>} New key
+   */
+  async rotateKey(apiKey) {
+    const key = this.generateKey();
+    await apiKey.update({
+      keyPrefix: key.slice(0, 12),
+      keyHash: this.hashKey(key),
+    });
+    return key;
+  }
+
+  /**
+   * Find the active, unexpired API key a key string belongs to
+   * @param {string} key - API key
+   * @returns {Promise<Object|null>} ApiKey, or null if the key is unknown
+   */
+  async authenticate(key) {
+    if (!key) return null;
+
+    const apiKey = await ApiKey.findOne({
+      where: { keyHash: this.hashKey(key), isActive: true },
+    });
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+      return null;
+    }
+
+    // Ingest routes are hit constantly, so don't write on every request
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+    ) {
+      await apiKey.update({ lastUsedAt: new Date() });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Check whether an API key was granted a scope
+   * @param {Object} apiKey - ApiKey object
+   * @param {string} scope - Scope, e.g. "traffic:write"
+   * @returns {boolean} Has scope
+   */
+  hasScope(apiKey, scope) {
+    return Array.isArray(apiKey.scopes) && apiKey.scopes.includes(scope);
+  }
+}
+
+// Create singleton instance
+const apiKeyService = new ApiKeyService();
+
+module.exports = apiKeyService;
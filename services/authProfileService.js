@@ -0,0 +1,166 @@
+/**
+ * Auth Profile Service
+ * Applies auth profiles to probe requests and caches OAuth2 access tokens
+ */
+
+const axios = require("axios");
+
+class AuthProfileService {
+  constructor() {
+    // Refresh OAuth2 tokens this long before they actually expire
+    this.tokenRefreshMarginMs =
+      process.env.OAUTH2_TOKEN_REFRESH_MARGIN || 60000; // 1 minute default
+    this.tokenCache = new Map();
+    this.pendingTokenRequests = new Map();
+    this.httpClient = axios.create({
+      timeout: 30000, // 30 second timeout
+    });
+  }
+
+  /**
+   * Add authentication to a probe request config
+   * @param {Object} authProfile - AuthProfile object from database
+   * @param {Object} requestConfig - Axios request config (mutated)
+   * @returns {Promise<Object>} Request config with authentication applied
+   */
+  async applyAuth(authProfile, requestConfig) {
+    if (!authProfile) {
+      return requestConfig;
+    }
+
+    const config = authProfile.config || {};
+    const credentials = authProfile.getCredentials();
+    requestConfig.headers = requestConfig.headers || {};
+
+    switch (authProfile.type) {
+      case "BEARER":
+        requestConfig.headers["Authorization"] = `Bearer ${credentials.token}`;
+        break;
+      case "BASIC":
+        requestConfig.headers["Authorization"] = `Basic ${Buffer.from(
+          `${config.username}:${credentials.password}`
+        ).toString("base64")}`;
+        break;
+      case "API_KEY":
+        if (config.location === "QUERY") {
+          requestConfig.params = {
+            ...(requestConfig.params || {}),
+            [config.name]: credentials.value,
+          };
+        } else {
+          requestConfig.headers[config.name] = credentials.value;
+        }
+        break;
+      case "OAUTH2_CLIENT_CREDENTIALS": {
+        const accessToken = await this.getOAuth2Token(authProfile);
+        requestConfig.headers["Authorization"] = `Bearer ${accessToken}`;
+        break;
+      }
+      default:
+        throw new Error(`Unsupported auth profile type: ${authProfile.type}`);
+    }
+
+    return requestConfig;
+  }
+
+  /**
+   * Get an OAuth2 access token, using the cache while it is still fresh
+   * @param {Object} authProfile - OAUTH2_CLIENT_CREDENTIALS auth profile
+   * @returns {Promise<string>} Access token
+   */
+  async getOAuth2Token(authProfile) {
+    const cacheKey = this.getCacheKey(authProfile);
+    const cached = this.tokenCache.get(cacheKey);
+
+    if (cached && Date.now() < cached.expiresAt - this.tokenRefreshMarginMs) {
+      return cached.accessToken;
+    }
+
+    // Share one token request between probes that need it at the same time
+    if (!this.pendingTokenRequests.has(cacheKey)) {
+      const request = this.fetchOAuth2Token(authProfile)
+        .then((token) => {
+          // Tokens of earlier versions of the profile are never used again
+          this.invalidate(authProfile.id);
+          this.tokenCache.set(cacheKey, token);
+          return token.accessToken;
+        })
+        .finally(() => {
+          this.pendingTokenRequests.delete(cacheKey);
+        });
+
+      this.pendingTokenRequests.set(cacheKey, request);
+    }
+
+    return this.pendingTokenRequests.get(cacheKey);
+  }
+
+  /**
+   * Request a new access token from the OAuth2 token endpoint
+   * @param {Object} authProfile - OAUTH2_CLIENT_CREDENTIALS auth profile
+   * @returns {Promise<Object>} Access token and expiry timestamp
+   */
+  async fetchOAuth2Token(authProfile) {
+    const config = authProfile.config || {};
+    const credentials = authProfile.getCredentials();
+
+    const form = new URLSearchParams({ grant_type: "client_credentials" });
+    if (config.scope) form.append("scope", config.scope);
+    if (config.audience) form.append("audience", config.audience);
+
+    const response = await this.httpClient({
+      method: "POST",
+      url: config.tokenUrl,
+      data: form.toString(),
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${Buffer.from(
+          `${config.clientId}:${credentials.clientSecret}`
+        ).toString("base64")}`,
+      },
+    });
+
+    const { access_token: accessToken, expires_in: expiresIn } =
+      response.data || {};
+    if (!accessToken) {
+      throw new Error(
+        `OAuth2 token endpoint for auth profile "${authProfile.name}" returned no access_token`
+      );
+    }
+
+    return {
+      accessToken,
+      // Tokens without expires_in are refreshed hourly
+      expiresAt: Date.now() + (parseInt(expiresIn) || 3600) * 1000,
+    };
+  }
+
+  /**
+   * Drop cached tokens for an auth profile (e.g. after an update or a 401)
+   * @param {number} authProfileId - AuthProfile ID
+   */
+  invalidate(authProfileId) {
+    for (const key of this.tokenCache.keys()) {
+      if (key.startsWith(`${authProfileId}:`)) {
+        this.tokenCache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Cache key for an auth profile, so edits never reuse a stale token
+   * @param {Object} authProfile - AuthProfile object
+   * @returns {string} Cache key
+   */
+  getCacheKey(authProfile) {
+    const updatedAt = authProfile.updatedAt
+      ? new Date(authProfile.updatedAt).getTime()
+      : 0;
+    return `${authProfile.id}:${updatedAt}`;
+  }
+}
+
+// Create singleton instance
+const authProfileService = new AuthProfileService();
+
+module.exports = authProfileService;
@@ -0,0 +1,239 @@
+/**
+ * Certificate Service
+ * Inspects TLS certificates of monitored HTTPS hosts and stores their details
+ */
+
+const net = require("net");
+const tls = require("tls");
+const moment = require("moment");
+const { Certificate } = require("../models");
+const { NETWORK_CHECK_TYPES } = require("../utils/checkConfig");
+
+class CertificateService {
+  constructor() {
+    this.connectTimeoutMs = parseInt(process.env.TLS_CHECK_TIMEOUT) || 10000;
+    // Days before expiry at which to alert, e.g. "30,14,7,1"
+    this.expiryThresholds = (process.env.TLS_EXPIRY_THRESHOLDS || "30,14,7,1")
+      .split(",")
+      .map((days) => parseInt(days))
+      .filter((days) => !isNaN(days))
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Group HTTPS (and WSS) endpoints by host and port, so each certificate is checked once
+   * @param {Array} endpoints - Endpoint objects
+   * @returns {Map<string, Object>} Groups keyed by "host:port"
+   */
+  groupEndpointsByHost(endpoints) {
+    const groups = new Map();
+
+    endpoints.forEach((endpoint) => {
+      if (
+        NETWORK_CHECK_TYPES.includes(endpoint.checkType) ||
+        endpoint.checkType === "HEARTBEAT"
+      ) {
+        return;
+      }
+
+      const target = endpoint.baseUrl
+        ? `${endpoint.baseUrl}${
+            endpoint.checkType === "TRANSACTION" ? "" : endpoint.path
+          }`
+        : endpoint.path;
+
+      // Templated URLs can only be resolved at probe time
+      if (!target || target.includes("{{")) return;
+
+      let url;
+      try {
+        url = new URL(target);
+      } catch (error) {
+        return;
+      }
+      if (!["https:", "wss:"].includes(url.protocol)) return;
+
+      const host = url.hostname;
+      const port = parseInt(url.port) || 443;
+      const key = `${host}:${port}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { host, port, endpoints: [] });
+      }
+      groups.get(key).endpoints.push(endpoint);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Open a TLS connection and read the certificate chain
+   * @param {string} host - Hostname
+   * @param {number} port - Port
+   * @returns {Promise<Object>} Certificate details
+   */
+  fetchCertificate(host, port) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host,
+        port,
+        // SNI is only sent for hostnames, never for IP addresses
+        servername: net.isIP(host) ? undefined : host,
+        // Invalid certificates are reported, not refused
+        rejectUnauthorized: false,
+      });
+
+      socket.setTimeout(this.connectTimeoutMs, () => {
+        socket.destroy(
+          new Error(`TLS connection to ${host}:${port} timed out`)
+        );
+      });
+
+      socket.once("error", reject);
+
+      socket.once("secureConnect", () => {
+        try {
+          const peerCertificate = socket.getPeerCertificate(true);
+          if (!peerCertificate || !peerCertificate.raw) {
+            throw new Error(`No certificate presented by ${host}:${port}`);
+          }
+
+          const hostnameError = tls.checkServerIdentity(host, peerCertificate);
+          const cipher = socket.getCipher();
+
+          resolve({
+            ...this.describeCertificate(peerCertificate),
+            chain: this.getChain(peerCertificate),
+            protocol: socket.getProtocol(),
+            cipher: cipher ? cipher.name : null,
+            authorized: socket.authorized,
+            authorizationError: socket.authorizationError
+              ? String(socket.authorizationError)
+              : null,
+            hostnameValid: !hostnameError,
+            hostnameError: hostnameError ? hostnameError.message : null,
+          });
+        } catch (error) {
+          reject(error);
+        } finally {
+          socket.end();
+        }
+      });
+    });
+  }
+
+  /**
+   * Summarize a peer certificate
+   * @param {Object} certificate - Certificate from getPeerCertificate()
+   * @returns {Object} Certificate summary
+   */
+  describeCertificate(certificate) {
+    const validTo = new Date(certificate.valid_to);
+
+    return {
+      subject: this.formatName(certificate.subject),
+      issuer: this.formatName(certificate.issuer),
+      subjectAltNames: certificate.subjectaltname
+        ? certificate.subjectaltname
+            .split(",")
+            .map((name) => name.trim().replace(/^DNS:/, ""))
+        : [],
+      validFrom: new Date(certificate.valid_from),
+      validTo,
+      daysUntilExpiry: Math.floor(moment(validTo).diff(moment(), "days", true)),
+      fingerprint: certificate.fingerprint256,
+    };
+  }
+
+  /**
+   * Walk the issuer chain of a peer certificate (leaf first)
+   * @param {Object} certificate - Certificate from getPeerCertificate(true)
+   * @returns {Array<Object>} Chain entries
+   */
+  getChain(certificate) {
+    const chain = [];
+    const seen = new Set();
+    let current = certificate;
+
+    while (current && current.raw && !seen.has(current.fingerprint256)) {
+      seen.add(current.fingerprint256);
+      chain.push({
+        subject: this.formatName(current.subject),
+        issuer: this.formatName(current.issuer),
+        validTo: new Date(current.valid_to),
+        fingerprint: current.fingerprint256,
+      });
+      current = current.issuerCertificate;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Format a certificate subject/issuer object as a string
+   * @param {Object} name - Subject or issuer fields
+   * @returns {string} e.g. "CN=example.com, O=Example"
+   */
+  formatName(name) {
+    if (!name) return null;
+    return Object.entries(name)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(", ");
+  }
+
+  /**
+   * Get the expiry threshold a certificate has crossed
+   * @param {number} daysUntilExpiry - Days left
+   * @returns {number|null} Smallest crossed threshold, or null if none
+   */
+  getCrossedThreshold(daysUntilExpiry) {
+    const crossed = this.expiryThresholds.filter(
+      (days) => daysUntilExpiry <= days
+    );
+    return crossed.length ? crossed[crossed.length - 1] : null;
+  }
+
+  /**
+   * Check a host and store the result
+   * @param {string} host - Hostname
+   * @param {number} port - Port
+   * @returns {Promise<Object>} { certificate, previous } where previous holds
+   * the values stored before this check (null on the first check)
+   */
+  async checkHost(host, port) {
+    const [certificate] = await Certificate.findOrCreate({
+      where: { host, port },
+    });
+    const previous = certificate.lastCheckedAt
+      ? certificate.get({ plain: true })
+      : null;
+
+    try {
+      const details = await this.fetchCertificate(host, port);
+
+      // A new certificate (renewal) starts its expiry alerts from scratch
+      if (certificate.fingerprint !== details.fingerprint) {
+        certificate.lastAlertThreshold = null;
+      }
+
+      certificate.set({
+        ...details,
+        checkError: null,
+        lastCheckedAt: new Date(),
+      });
+    } catch (error) {
+      certificate.set({
+        checkError: error.message,
+        lastCheckedAt: new Date(),
+      });
+    }
+
+    await certificate.save();
+    return { certificate, previous };
+  }
+}
+
+// Create singleton instance
+const certificateService = new CertificateService();
+
+module.exports = certificateService;
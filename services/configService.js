@@ -0,0 +1,677 @@
+/**
+ * Config Service
+ * Monitoring configuration as code. Endpoints with their thresholds, tags and
+ * alert settings are exported to a YAML or JSON document and applied back
+ * from one. Applying is planned first (create, update, delete); endpoints
+ * applied from a document are managed by it, and changes made to them through
+ * the API afterwards are reported as drift.
+ */
+
+const crypto = require("crypto");
+const yaml = require("js-yaml");
+const { Op } = require("sequelize");
+const {
+  Endpoint,
+  TransactionStep,
+  AuthProfile,
+  NetworkProfile,
+  Environment,
+} = require("../models");
+const { sequelize } = require("../config/database");
+const monitorService = require("./monitorService");
+const { toComparable } = require("../utils/helpers");
+const { loadDocument } = require("../utils/openapi");
+
+const CONFIG_VERSION = 1;
+const FORMATS = ["yaml", "json"];
+// Endpoint settings kept in the document, in the order they are exported
+const ENDPOINT_FIELDS = [
+  "method",
+  "path",
+  "checkType",
+  "baseUrl",
+  "description",
+  "isActive",
+  "checkConfig",
+  "headers",
+  "queryParams",
+  "bodyType",
+  "body",
+  "assertions",
+  "responseSchema",
+  "checkInterval",
+  "timeoutMs",
+  "retryCount",
+  "retryBackoffMs",
+  "followRedirects",
+  "maxRedirects",
+  "locations",
+  "environments",
+  "responseTimeThreshold",
+  "errorRateThreshold",
+  "availabilityThreshold",
+  "failureThreshold",
+  "minFailingLocations",
+  "driftAlertsEnabled",
+  "bodyCapture",
+  "bodyCaptureSampleRate",
+  "bodyCaptureMaxBytes",
+  "bodyCaptureContentTypes",
+  "tags",
+];
+// Transaction step settings kept in the document
+const STEP_FIELDS = [
+  "name",
+  "method",
+  "path",
+  "headers",
+  "queryParams",
+  "bodyType",
+  "body",
+  "assertions",
+  "extractors",
+];
+// Fields always exported, even when they hold the default
+const ALWAYS_EXPORTED = ["method", "path"];
+const KEY_PATTERN = /^[A-Za-z0-9][\w.-]{0,99}$/;
+
+/**
+ * Create an error the global error handler reports as 400
+ * @param {string} message - Error message
+ * @param {Array} errors - Details
+ * @returns {Error} Error
+ */
+const badRequest = (message, errors = null) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Default value of a model attribute
+ * @param {Object} model - Sequelize model
+ * @param {string} field - Attribute name
+ * @returns {*} Default, or null
+ */
+const defaultOf = (model, field) => {
+  const { defaultValue } = model.rawAttributes[field];
+  return defaultValue === undefined ? null : defaultValue;
+};
+
+/**
+ * Empty values ("", [], {}) as null, so they compare and export alike
+ * @param {*} value - Field value
+ * @returns {*} Value
+ */
+const orNull = (value) => (toComparable(value) === "null" ? null : value);
+
+class ConfigService {
+  /**
+   * Load the profiles and environments endpoints refer to by name
+   * @returns {Promise<Object>} { authProfiles, networkProfiles, environments }
+   * as [{ id, name }]
+   */
+  async loadProfiles() {
+    const [authProfiles, networkProfiles, environments] = await Promise.all([
+      AuthProfile.findAll({ attributes: ["id", "name"], raw: true }),
+      NetworkProfile.findAll({ attributes: ["id", "name"], raw: true }),
+      Environment.findAll({ attributes: ["id", "name"], raw: true }),
+    ]);
+    return { authProfiles, networkProfiles, environments };
+  }
+
+  /**
+   * Document settings of an endpoint
+   * @param {Object} endpoint - Endpoint instance
+   * @param {Array<Object>} steps - Its transaction steps, in order
+   * @param {Object} profiles - Result of loadProfiles()
+   * @returns {Object} Settings by field, empty values as null
+   */
+  toConfig(endpoint, steps, profiles) {
+    const nameOf = (list, id) =>
+      (id && (list.find((profile) => profile.id === id) || {}).name) || null;
+
+    const config = {};
+    ENDPOINT_FIELDS.forEach((field) => {
+      config[field] = orNull(endpoint[field]);
+    });
+    config.authProfile = nameOf(profiles.authProfiles, endpoint.authProfileId);
+    config.networkProfile = nameOf(
+      profiles.networkProfiles,
+      endpoint.networkProfileId
+    );
+    config.steps = orNull(
+      steps.map((step) => {
+        const stepConfig = {};
+        STEP_FIELDS.forEach((field) => {
+          stepConfig[field] = orNull(step[field]);
+        });
+        stepConfig.authProfile = nameOf(
+          profiles.authProfiles,
+          step.authProfileId
+        );
+        return stepConfig;
+      })
+    );
+    return config;
+  }
+
+  /**
+   * Hash of endpoint settings, stored when they are applied
+   * @param {Object} config - Result of toConfig()
+   * @returns {string} SHA-256 hex digest
+   */
+  hashConfig(config) {
+    return crypto
+      .createHash("sha256")
+      .update(toComparable(config))
+      .digest("hex");
+  }
+
+  /**
+   * Check managed endpoints for changes made since their config was applied
+   * @param {Array<Object>} endpoints - Endpoint instances
+   * @returns {Promise<Map<number, boolean>>} Drift by endpoint ID, managed
+   * endpoints only
+   */
+  async getDrift(endpoints) {
+    const ids = endpoints
+      .filter((endpoint) => endpoint.configKey)
+      .map((endpoint) => endpoint.id);
+    const drift = new Map();
+    if (ids.length === 0) return drift;
+
+    const [managed, profiles] = await Promise.all([
+      Endpoint.findAll({ where: { id: ids }, include: [TransactionStep] }),
+      this.loadProfiles(),
+    ]);
+    managed.forEach((endpoint) => {
+      const config = this.toConfig(
+        endpoint,
+        this.sortSteps(endpoint.TransactionSteps),
+        profiles
+      );
+      drift.set(endpoint.id, this.hashConfig(config) !== endpoint.configHash);
+    });
+    return drift;
+  }
+
+  /**
+   * Transaction steps in the order they run
+   * @param {Array<Object>} steps - Steps
+   * @returns {Array<Object>} Sorted copy
+   */
+  sortSteps(steps) {
+    return [...(steps || [])].sort((a, b) => a.stepOrder - b.stepOrder);
+  }
+
+  /**
+   * Export endpoints as a config document
+   * Endpoints that aren't managed yet get a key made from their method and
+   * path; applying the document adopts them instead of creating copies.
+   * Settings that hold their default value are left out.
+   * @param {Object} options - { format, managedOnly }
+   * @returns {Promise<Object>} { format, count, document } where document is
+   * the YAML or JSON text
+   */
+  async exportConfig({ format = "yaml", managedOnly = false } = {}) {
+    if (!FORMATS.includes(format)) {
+      throw badRequest(`Format must be one of: ${FORMATS.join(", ")}`);
+    }
+
+    const where = managedOnly ? { configKey: { [Op.ne]: null } } : {};
+    const [endpoints, profiles] = await Promise.all([
+      Endpoint.findAll({
+        where,
+        include: [TransactionStep],
+        order: [["id", "ASC"]],
+      }),
+      this.loadProfiles(),
+    ]);
+
+    const usedKeys = new Set(
+      endpoints.map((endpoint) => endpoint.configKey).filter(Boolean)
+    );
+    const entries = endpoints.map((endpoint) => {
+      const key = endpoint.configKey || this.generateKey(endpoint, usedKeys);
+      const config = this.toConfig(
+        endpoint,
+        this.sortSteps(endpoint.TransactionSteps),
+        profiles
+      );
+      return this.toEntry(key, config);
+    });
+
+    const data = { version: CONFIG_VERSION, endpoints: entries };
+    return {
+      format,
+      count: entries.length,
+      document:
+        format === "json"
+          ? `${JSON.stringify(data, null, 2)}\n`
+          : yaml.dump(data, { noRefs: true, lineWidth: -1 }),
+    };
+  }
+
+  /**
+   * Key for an endpoint that isn't managed yet, e.g. "get-users-id"
+   * @param {Object} endpoint - Endpoint
+   * @param {Set<string>} usedKeys - Keys taken so far, updated
+   * @returns {string} Unique key
+   */
+  generateKey(endpoint, usedKeys) {
+    const base =
+      `${endpoint.method}-${endpoint.path}`
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 90) || `endpoint-${endpoint.id}`;
+
+    let key = base;
+    for (let suffix = 2; usedKeys.has(key); suffix++) {
+      key = `${base}-${suffix}`;
+    }
+    usedKeys.add(key);
+    return key;
+  }
+
+  /**
+   * Document entry for endpoint settings, without default values
+   * @param {string} key - Endpoint key
+   * @param {Object} config - Result of toConfig()
+   * @returns {Object} Entry
+   */
+  toEntry(key, config) {
+    const entry = { key };
+    ENDPOINT_FIELDS.forEach((field) => {
+      const isDefault =
+        toComparable(config[field]) ===
+        toComparable(defaultOf(Endpoint, field));
+      if (ALWAYS_EXPORTED.includes(field) || !isDefault) {
+        entry[field] = config[field];
+      }
+    });
+    if (config.authProfile) entry.authProfile = config.authProfile;
+    if (config.networkProfile) entry.networkProfile = config.networkProfile;
+    if (config.steps) {
+      entry.steps = config.steps.map((step) => {
+        const stepEntry = {};
+        Object.keys(step).forEach((field) => {
+          const isDefault =
+            field === "authProfile"
+              ? step[field] === null
+              : toComparable(step[field]) ===
+                toComparable(defaultOf(TransactionStep, field));
+          if (ALWAYS_EXPORTED.includes(field) || !isDefault) {
+            stepEntry[field] = step[field];
+          }
+        });
+        return stepEntry;
+      });
+    }
+    return entry;
+  }
+
+  /**
+   * Parse a config document
+   * @param {string|Object} document - YAML or JSON text, or a parsed document
+   * @returns {Array<Object>} Endpoint entries
+   * @throws {Error} When the document isn't a config document
+   */
+  parse(document) {
+    if (!document) {
+      throw badRequest("A config document is required");
+    }
+
+    let parsed;
+    try {
+      parsed = loadDocument(document);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+
+    if (parsed.version !== CONFIG_VERSION) {
+      throw badRequest(`Config documents must have version: ${CONFIG_VERSION}`);
+    }
+    if (parsed.endpoints !== undefined && !Array.isArray(parsed.endpoints)) {
+      throw badRequest("endpoints must be a list");
+    }
+    return parsed.endpoints || [];
+  }
+
+  /**
+   * Build the endpoint a document entry describes, without saving it
+   * @param {Object} entry - Document entry
+   * @param {Object} profiles - Result of loadProfiles()
+   * @returns {Promise<Object>} { endpoint, steps, config, hash, errors }
+   */
+  async buildEntry(entry, profiles) {
+    const errors = [];
+    const idOf = (list, name, label) => {
+      if (name === undefined || name === null) return null;
+      const profile = list.find((candidate) => candidate.name === name);
+      if (!profile) errors.push(`Unknown ${label} "${name}"`);
+      return profile ? profile.id : null;
+    };
+    const checkFields = (object, allowed, label) => {
+      Object.keys(object)
+        .filter((field) => !allowed.includes(field))
+        .forEach((field) => errors.push(`Unknown ${label} field "${field}"`));
+    };
+    const validate = async (instance, label) => {
+      try {
+        await instance.validate();
+      } catch (error) {
+        (error.errors || [error]).forEach((e) =>
+          errors.push(label ? `${label}: ${e.message}` : e.message)
+        );
+      }
+    };
+
+    checkFields(
+      entry,
+      ["key", ...ENDPOINT_FIELDS, "authProfile", "networkProfile", "steps"],
+      "endpoint"
+    );
+
+    const values = {};
+    ENDPOINT_FIELDS.forEach((field) => {
+      values[field] =
+        entry[field] === undefined ? defaultOf(Endpoint, field) : entry[field];
+    });
+    values.authProfileId = idOf(
+      profiles.authProfiles,
+      entry.authProfile,
+      "auth profile"
+    );
+    values.networkProfileId = idOf(
+      profiles.networkProfiles,
+      entry.networkProfile,
+      "network profile"
+    );
+    const endpoint = Endpoint.build(values);
+    await validate(endpoint);
+    if (Array.isArray(values.environments)) {
+      values.environments
+        .filter((name) => !profiles.environments.some((e) => e.name === name))
+        .forEach((name) => errors.push(`Unknown environment "${name}"`));
+    }
+
+    const steps = [];
+    if (entry.steps !== undefined && !Array.isArray(entry.steps)) {
+      errors.push("steps must be a list");
+    } else {
+      for (const [index, step] of (entry.steps || []).entries()) {
+        if (!step || typeof step !== "object" || Array.isArray(step)) {
+          errors.push(`Step ${index + 1} must be an object`);
+          continue;
+        }
+        checkFields(step, [...STEP_FIELDS, "authProfile"], "step");
+
+        const stepValues = { endpointId: 0, stepOrder: index };
+        STEP_FIELDS.forEach((field) => {
+          stepValues[field] =
+            step[field] === undefined
+              ? defaultOf(TransactionStep, field)
+              : step[field];
+        });
+        stepValues.authProfileId = idOf(
+          profiles.authProfiles,
+          step.authProfile,
+          "auth profile"
+        );
+        const stepRecord = TransactionStep.build(stepValues);
+        await validate(stepRecord, `Step ${index + 1}`);
+        steps.push(stepRecord);
+      }
+    }
+
+    if (endpoint.checkType === "TRANSACTION" && steps.length === 0) {
+      errors.push("TRANSACTION endpoints need at least one step");
+    }
+    if (endpoint.checkType !== "TRANSACTION" && steps.length > 0) {
+      errors.push("Only TRANSACTION endpoints have steps");
+    }
+
+    const config = this.toConfig(endpoint, steps, profiles);
+    return {
+      endpoint,
+      steps,
+      config,
+      hash: this.hashConfig(config),
+      errors,
+    };
+  }
+
+  /**
+   * Work out what applying a config document would change
+   * Entries are matched to managed endpoints by key. An entry without a
+   * managed endpoint adopts the one unmanaged endpoint with the same method,
+   * path and baseUrl, if there is exactly one, and creates an endpoint
+   * otherwise. Managed endpoints missing from the document are deleted;
+   * unmanaged endpoints are never touched.
+   * @param {string|Object} document - Config document
+   * @returns {Promise<Object>} { plan, built } where plan is { valid, summary,
+   * changes } and built maps keys to the result of buildEntry()
+   */
+  async buildPlan(document) {
+    const entries = this.parse(document);
+    const [endpoints, profiles] = await Promise.all([
+      Endpoint.findAll({ include: [TransactionStep] }),
+      this.loadProfiles(),
+    ]);
+
+    const managed = new Map(
+      endpoints
+        .filter((endpoint) => endpoint.configKey)
+        .map((endpoint) => [endpoint.configKey, endpoint])
+    );
+    const adopted = new Set();
+    const built = new Map();
+    const changes = [];
+
+    for (const [index, entry] of entries.entries()) {
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        changes.push({
+          key: null,
+          action: "create",
+          errors: [`Entry ${index + 1} must be an object`],
+        });
+        continue;
+      }
+
+      const { key } = entry;
+      const result = await this.buildEntry(entry, profiles);
+      if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+        result.errors.unshift(
+          `Entry ${index + 1} needs a key of letters, digits, ".", "_" and "-"`
+        );
+      } else if (built.has(key)) {
+        result.errors.unshift(`Key "${key}" is used more than once`);
+      } else {
+        built.set(key, result);
+      }
+
+      let endpoint = managed.get(key);
+      const adopt = !endpoint;
+      if (!endpoint) {
+        const candidates = endpoints.filter(
+          (candidate) =>
+            !candidate.configKey &&
+            !adopted.has(candidate.id) &&
+            candidate.method === result.config.method &&
+            candidate.path === result.config.path &&
+            (candidate.baseUrl || null) === result.config.baseUrl
+        );
+        if (candidates.length === 1) {
+          endpoint = candidates[0];
+          adopted.add(endpoint.id);
+        }
+      }
+
+      if (!endpoint) {
+        changes.push({ key, action: "create", errors: result.errors });
+        continue;
+      }
+
+      const current = this.toConfig(
+        endpoint,
+        this.sortSteps(endpoint.TransactionSteps),
+        profiles
+      );
+      const fields = Object.keys(result.config)
+        .filter(
+          (field) =>
+            toComparable(current[field]) !== toComparable(result.config[field])
+        )
+        .map((field) => ({
+          field,
+          from: current[field],
+          to: result.config[field],
+        }));
+
+      changes.push({
+        key,
+        action:
+          fields.length > 0 || adopt || endpoint.configHash !== result.hash
+            ? "update"
+            : "unchanged",
+        endpointId: endpoint.id,
+        adopted: adopt,
+        // Changed outside the document since it was last applied
+        drift: !adopt && this.hashConfig(current) !== endpoint.configHash,
+        fields,
+        errors: result.errors,
+      });
+    }
+
+    managed.forEach((endpoint, key) => {
+      if (!built.has(key)) {
+        changes.push({ key, action: "delete", endpointId: endpoint.id });
+      }
+    });
+
+    const summary = { create: 0, update: 0, delete: 0, unchanged: 0 };
+    changes.forEach((change) => {
+      summary[change.action] += 1;
+    });
+
+    return {
+      plan: {
+        valid: changes.every(
+          (change) => !change.errors || change.errors.length === 0
+        ),
+        summary,
+        changes,
+      },
+      built,
+    };
+  }
+
+  /**
+   * Show what applying a config document would change
+   * @param {string|Object} document - Config document
+   * @returns {Promise<Object>} { valid, summary, changes }
+   */
+  async plan(document) {
+    const { plan } = await this.buildPlan(document);
+    return plan;
+  }
+
+  /**
+   * Apply a config document
+   * All changes are made in one transaction, and only if every entry is valid.
+   * @param {string|Object} document - Config document
+   * @returns {Promise<Object>} The plan that was applied
+   */
+  async apply(document) {
+    const { plan, built } = await this.buildPlan(document);
+    if (!plan.valid) {
+      throw badRequest(
+        "The config document has errors, nothing was applied",
+        plan.changes
+          .filter((change) => change.errors && change.errors.length > 0)
+          .map((change) => ({ key: change.key, errors: change.errors }))
+      );
+    }
+
+    const valuesOf = (record, fields) => {
+      const raw = record.get({ raw: true });
+      const values = {};
+      fields.forEach((field) => {
+        values[field] = raw[field] === undefined ? null : raw[field];
+      });
+      return values;
+    };
+
+    await sequelize.transaction(async (transaction) => {
+      for (const change of plan.changes) {
+        if (change.action === "unchanged") continue;
+
+        if (change.action === "delete") {
+          await Endpoint.destroy({
+            where: { id: change.endpointId },
+            transaction,
+          });
+          continue;
+        }
+
+        const { endpoint: record, steps, hash } = built.get(change.key);
+        const values = {
+          ...valuesOf(record, [
+            ...ENDPOINT_FIELDS,
+            "authProfileId",
+            "networkProfileId",
+          ]),
+          configKey: change.key,
+          configHash: hash,
+        };
+
+        let endpoint;
+        if (change.action === "create") {
+          endpoint = await Endpoint.create(values, { transaction });
+        } else {
+          endpoint = await Endpoint.findByPk(change.endpointId, {
+            transaction,
+          });
+          await endpoint.update(values, { transaction });
+        }
+
+        if (
+          change.action === "update" &&
+          change.fields.some(({ field }) => field === "steps")
+        ) {
+          await TransactionStep.destroy({
+            where: { endpointId: endpoint.id },
+            transaction,
+          });
+        }
+        if (
+          steps.length > 0 &&
+          (change.action === "create" ||
+            change.fields.some(({ field }) => field === "steps"))
+        ) {
+          await TransactionStep.bulkCreate(
+            steps.map((step) => ({
+              ...valuesOf(step, [...STEP_FIELDS, "authProfileId", "stepOrder"]),
+              endpointId: endpoint.id,
+            })),
+            { transaction }
+          );
+        }
+
+        change.endpointId = endpoint.id;
+      }
+    });
+
+    await monitorService.loadEndpoints();
+
+    return plan;
+  }
+}
+
+// Create singleton instance
+const configService = new ConfigService();
+
+module.exports = configService;
@@ -0,0 +1,86 @@
+/**
+ * Environment Service
+ * Keeps the environment lists of endpoints in step with the environments
+ * they name (see utils/environments.js)
+ */
+
+const { Endpoint, Environment } = require("../models");
+const { sequelize } = require("../config/database");
+const monitorService = require("./monitorService");
+const { getEnvironmentNames } = require("../utils/environments");
+
+class EnvironmentService {
+  /**
+   * Find the endpoints probed in an environment
+   * @param {string} name - Environment name
+   * @param {Object} options - Extra findAll options (e.g. transaction)
+   * @returns {Promise<Array>} Endpoints
+   */
+  async findEndpointsUsing(name, options = {}) {
+    const endpoints = await Endpoint.findAll(options);
+    return endpoints.filter((endpoint) =>
+      getEnvironmentNames(endpoint).includes(name)
+    );
+  }
+
+  /**
+   * Update an environment; a new name is carried over to its endpoints
+   * Secrets are only replaced when provided.
+   * @param {Object} environment - Environment object
+   * @param {Object} fields - { name, description, variables, secrets }
+   * @returns {Promise<Object>} Updated environment
+   */
+  async updateEnvironment(environment, fields) {
+    const previousName = environment.name;
+
+    await sequelize.transaction(async (transaction) => {
+      await environment.update(fields, { transaction });
+
+      if (environment.name !== previousName) {
+        const endpoints = await this.findEndpointsUsing(previousName, {
+          transaction,
+        });
+        for (const endpoint of endpoints) {
+          const { [previousName]: shape, ...shapes } =
+            endpoint.responseShapes || {};
+          await endpoint.update(
+            {
+              environments: endpoint.environments.map((name) =>
+                name === previousName ? environment.name : name
+              ),
+              // The drift baseline follows the environment
+              responseShapes: shape
+                ? { ...shapes, [environment.name]: shape }
+                : endpoint.responseShapes,
+            },
+            { transaction }
+          );
+        }
+      }
+    });
+
+    // Probes hold the variables loaded with their environment
+    await monitorService.loadEndpoints();
+
+    return environment;
+  }
+
+  /**
+   * Create an environment
+   * @param {Object} fields - { name, description, variables, secrets }
+   * @returns {Promise<Object>} Environment
+   */
+  async createEnvironment(fields) {
+    const environment = await Environment.create(fields);
+
+    // Endpoints may already list the environment
+    await monitorService.loadEndpoints();
+
+    return environment;
+  }
+}
+
+// Create singleton instance
+const environmentService = new EnvironmentService();
+
+module.exports = environmentService;
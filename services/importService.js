@@ -0,0 +1,403 @@
+/**
+ * Import Service
+ * Creates endpoints in bulk from OpenAPI/Swagger documents, Postman
+ * collections, HAR captures and cURL commands. An import is previewed
+ * first, then committed with per-operation thresholds. Imported endpoints
+ * remember their source and operation key, so importing the same source again
+ * updates them instead of creating duplicates.
+ */
+
+const { Endpoint, Environment } = require("../models");
+const { sequelize } = require("../config/database");
+const monitorService = require("./monitorService");
+const { toComparable } = require("../utils/helpers");
+const { getEnvironmentNames } = require("../utils/environments");
+const { loadDocument, parseOpenApi } = require("../utils/openapi");
+const {
+  parsePostman,
+  parseHar,
+  parseCurl,
+  toCurl,
+} = require("../utils/requestImport");
+
+// Endpoint fields taken from the imported document
+const SOURCE_FIELDS = [
+  "method",
+  "path",
+  "baseUrl",
+  "description",
+  "headers",
+  "queryParams",
+  "bodyType",
+  "body",
+  "tags",
+];
+// Fields that can be chosen per operation when committing
+const OPERATION_FIELDS = [
+  "responseTimeThreshold",
+  "errorRateThreshold",
+  "availabilityThreshold",
+  "checkInterval",
+];
+
+/**
+ * Create an error the global error handler reports as 400
+ * @param {string} message - Error message
+ * @param {Array} errors - Details
+ * @returns {Error} Error
+ */
+const badRequest = (message, errors = null) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.errors = errors;
+  return error;
+};
+
+/**
+ * Base URL to import operations with
+ * A baseUrl passed in wins over an absolute server URL of the document, and
+ * a relative one (e.g. "/api/v3") is resolved against it.
+ * @param {string} baseUrl - Base URL passed in (optional)
+ * @param {string} serverUrl - Server URL of the document (optional)
+ * @returns {string|null} Base URL
+ */
+const resolveBaseUrl = (baseUrl, serverUrl) => {
+  if (!baseUrl || !serverUrl) return baseUrl || serverUrl || null;
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(serverUrl)) return baseUrl;
+
+  try {
+    return new URL(serverUrl, baseUrl).toString();
+  } catch (error) {
+    // Not an absolute baseUrl; reported as such by parse()
+    return baseUrl;
+  }
+};
+
+class ImportService {
+  constructor() {
+    // Parsers by format: document => { title, baseUrl, operations, warnings }
+    this.parsers = {
+      openapi: (document) => parseOpenApi(loadDocument(document)),
+      postman: (document) => parsePostman(loadDocument(document)),
+      har: (document) => parseHar(loadDocument(document)),
+      curl: (document) => parseCurl(document),
+    };
+  }
+
+  /**
+   * Parse a document and work out its endpoint definitions
+   * @param {string} format - Document format, e.g. "openapi"
+   * @param {Object} options - { document, source, baseUrl }
+   * @returns {Object} { source, baseUrl, operations, warnings }
+   * @throws {Error} When the document can't be imported
+   */
+  parse(format, { document, source, baseUrl }) {
+    const parser = this.parsers[format];
+    if (!parser) {
+      throw badRequest(
+        `Unknown import format "${format}", use one of: ${Object.keys(
+          this.parsers
+        ).join(", ")}`
+      );
+    }
+    if (!document) {
+      throw badRequest("A document to import is required");
+    }
+
+    let parsed;
+    try {
+      parsed = parser(document);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+
+    const importSource = String(source || parsed.title || "").slice(0, 100);
+    if (!importSource) {
+      throw badRequest(
+        format === "curl"
+          ? "cURL imports require a source name"
+          : "The document has no title, pass a source name"
+      );
+    }
+
+    // Later operations with a key already seen are ignored
+    const seen = new Set();
+    const warnings = [...parsed.warnings];
+    const operations = parsed.operations.filter((operation) => {
+      if (seen.has(operation.key)) {
+        warnings.push(`Skipped duplicate operation ${operation.key}`);
+        return false;
+      }
+      seen.add(operation.key);
+      return true;
+    });
+
+    const withBaseUrls = operations.map((operation) => ({
+      ...operation,
+      baseUrl: (
+        resolveBaseUrl(baseUrl, operation.baseUrl || parsed.baseUrl) || ""
+      ).replace(/\/+$/, ""),
+    }));
+    const relative = withBaseUrls.find(
+      (operation) => !/^https?:\/\//i.test(operation.baseUrl)
+    );
+    if (relative) {
+      throw badRequest(
+        `${relative.key} has no absolute server URL, pass a baseUrl`
+      );
+    }
+
+    return {
+      source: importSource,
+      baseUrl: resolveBaseUrl(baseUrl, parsed.baseUrl),
+      operations: withBaseUrls,
+      warnings,
+    };
+  }
+
+  /**
+   * Compare parsed operations with the endpoints of an earlier import
+   * @param {Object} parsed - Result of parse()
+   * @returns {Promise<Object>} { source, baseUrl, warnings, operations, removed }
+   * where each operation has a status of added, changed or unchanged
+   */
+  async plan(parsed) {
+    const existing = await Endpoint.findAll({
+      where: { importSource: parsed.source },
+    });
+    const byKey = new Map(
+      existing.map((endpoint) => [endpoint.sourceKey, endpoint])
+    );
+
+    const operations = [];
+    for (const operation of parsed.operations) {
+      const endpoint = byKey.get(operation.key);
+      const values = this.toEndpointValues(parsed.source, operation);
+
+      const changes = endpoint
+        ? SOURCE_FIELDS.filter(
+            (field) =>
+              toComparable(endpoint[field]) !== toComparable(values[field])
+          )
+        : [];
+
+      operations.push({
+        key: operation.key,
+        status: !endpoint ? "added" : changes.length ? "changed" : "unchanged",
+        endpointId: endpoint ? endpoint.id : null,
+        changes,
+        endpoint: values,
+        warnings: operation.warnings,
+        errors: await this.validate(values),
+      });
+    }
+
+    const keys = new Set(parsed.operations.map((operation) => operation.key));
+    const removed = existing
+      .filter((endpoint) => !keys.has(endpoint.sourceKey))
+      .map((endpoint) => ({
+        key: endpoint.sourceKey,
+        endpointId: endpoint.id,
+        isActive: endpoint.isActive,
+      }));
+
+    return {
+      source: parsed.source,
+      baseUrl: parsed.baseUrl,
+      warnings: parsed.warnings,
+      operations,
+      removed,
+    };
+  }
+
+  /**
+   * Endpoint values for an imported operation
+   * @param {string} source - Import source name
+   * @param {Object} operation - Parsed operation
+   * @returns {Object} Endpoint values
+   */
+  toEndpointValues(source, operation) {
+    const values = { importSource: source, sourceKey: operation.key };
+    SOURCE_FIELDS.forEach((field) => {
+      values[field] = operation[field] === undefined ? null : operation[field];
+    });
+    return values;
+  }
+
+  /**
+   * Validate endpoint values without saving them
+   * @param {Object} values - Endpoint values
+   * @returns {Promise<Array<string>>} Validation messages
+   */
+  async validate(values) {
+    try {
+      await Endpoint.build(values).validate();
+      return [];
+    } catch (error) {
+      return (error.errors || [error]).map((e) => e.message);
+    }
+  }
+
+  /**
+   * Preview an import without saving anything
+   * @param {string} format - Document format
+   * @param {Object} options - { document, source, baseUrl }
+   * @returns {Promise<Object>} Import plan
+   */
+  async preview(format, options) {
+    return this.plan(this.parse(format, options));
+  }
+
+  /**
+   * Save an import
+   * New operations get the default thresholds merged with their own; for
+   * endpoints imported before, only the document fields and the thresholds
+   * chosen for them are updated.
+   * @param {string} format - Document format
+   * @param {Object} options - { document, source, baseUrl, defaults,
+   * operations, deactivateRemoved } where operations maps operation keys to
+   * { skip, responseTimeThreshold, ... }
+   * @returns {Promise<Object>} { source, created, updated, unchanged,
+   * skipped, deactivated }
+   */
+  async commit(format, options) {
+    const {
+      defaults = {},
+      operations: choices = {},
+      deactivateRemoved = false,
+    } = options;
+    const plan = await this.plan(this.parse(format, options));
+
+    const pick = (settings) => {
+      const values = {};
+      OPERATION_FIELDS.forEach((field) => {
+        if (settings && settings[field] !== undefined) {
+          values[field] = settings[field];
+        }
+      });
+      return values;
+    };
+
+    const included = plan.operations.filter(
+      (operation) => !(choices[operation.key] && choices[operation.key].skip)
+    );
+    const invalid = included.filter((operation) => operation.errors.length);
+    if (invalid.length > 0) {
+      throw badRequest(
+        "Some operations are invalid, fix or skip them",
+        invalid.map((operation) => ({
+          key: operation.key,
+          errors: operation.errors,
+        }))
+      );
+    }
+
+    const result = {
+      source: plan.source,
+      created: [],
+      updated: [],
+      unchanged: [],
+      skipped: plan.operations.length - included.length,
+      deactivated: [],
+    };
+
+    await sequelize.transaction(async (transaction) => {
+      for (const operation of included) {
+        const chosen = pick(choices[operation.key]);
+
+        if (operation.status === "added") {
+          const endpoint = await Endpoint.create(
+            { ...operation.endpoint, ...pick(defaults), ...chosen },
+            { transaction }
+          );
+          result.created.push(endpoint.id);
+        } else if (
+          operation.status === "changed" ||
+          Object.keys(chosen).length > 0
+        ) {
+          const endpoint = await Endpoint.findByPk(operation.endpointId, {
+            transaction,
+          });
+          await endpoint.update(
+            { ...operation.endpoint, ...chosen },
+            { transaction }
+          );
+          result.updated.push(endpoint.id);
+        } else {
+          result.unchanged.push(operation.endpointId);
+        }
+      }
+
+      // Deactivated rather than deleted, so their metrics are kept
+      if (deactivateRemoved) {
+        const ids = plan.removed
+          .filter((endpoint) => endpoint.isActive)
+          .map((endpoint) => endpoint.endpointId);
+        if (ids.length > 0) {
+          await Endpoint.update(
+            { isActive: false },
+            { where: { id: ids }, transaction }
+          );
+        }
+        result.deactivated = ids;
+      }
+    });
+
+    await monitorService.loadEndpoints();
+
+    return result;
+  }
+
+  /**
+   * Build a cURL command reproducing an endpoint's probe request
+   * Endpoints probed in environments are exported for one of them, with its
+   * variables filled in. Auth profile credentials and environment secrets
+   * are left out ({{placeholders}} of secrets stay as they are).
+   * @param {Object} endpoint - Endpoint object
+   * @param {string} environmentName - Environment to export the request for
+   * @returns {Promise<string>} Command
+   * @throws {Error} When the endpoint isn't a plain HTTP check or the
+   * environment isn't one of the endpoint's
+   */
+  async exportCurl(endpoint, environmentName) {
+    if (endpoint.checkType !== "HTTP") {
+      throw badRequest("Only HTTP endpoints can be exported as cURL commands");
+    }
+
+    const names = getEnvironmentNames(endpoint);
+    let variables = {};
+    if (environmentName || names.length > 0) {
+      if (!names.includes(environmentName)) {
+        throw badRequest(
+          names.length > 0
+            ? `environment must be one of the endpoint's environments (${names.join(
+                ", "
+              )})`
+            : "The endpoint isn't probed in environments"
+        );
+      }
+
+      const environment = await Environment.findOne({
+        where: { name: environmentName },
+      });
+      if (!environment) {
+        throw badRequest(`Environment "${environmentName}" doesn't exist`);
+      }
+      variables = environment.variables || {};
+    }
+
+    const requestConfig = monitorService.buildRequestConfig(
+      endpoint,
+      variables
+    );
+    if (!/^https?:\/\//i.test(requestConfig.url)) {
+      throw badRequest("The endpoint has no absolute URL");
+    }
+    return toCurl(requestConfig);
+  }
+}
+
+// Create singleton instance
+const importService = new ImportService();
+
+module.exports = importService;
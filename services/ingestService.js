@@ -0,0 +1,331 @@
+/**
+ * Ingest Service
+ * Metric points pushed by systems that measure their own latency. Points are
+ * stored as metrics of the endpoint they name and go through the same
+ * threshold checks as probe results.
+ */
+
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const moment = require("moment");
+const { Endpoint, Metric } = require("../models");
+const monitorService = require("./monitorService");
+const { isExpectedStatus } = require("../utils/assertions");
+const { INGEST_LOCATION } = require("../utils/locations");
+const { getEnvironmentNames } = require("../utils/environments");
+
+// Points accepted in a single batch
+const MAX_POINTS_PER_BATCH = 1000;
+// Point errors listed back to the sender
+const MAX_REPORTED_ERRORS = 20;
+// Points older than this would be removed by the metric cleanup right away
+const MAX_POINT_AGE_DAYS = 30;
+// Allowed clock skew of the sender
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+class IngestService {
+  /**
+   * Parse an NDJSON body into points
+   * Blank lines are skipped; a line that isn't valid JSON becomes an Error
+   * so it is reported like any other invalid point.
+   * @param {string} text - Request body
+   * @returns {Array<Object|Error>} Points
+   */
+  parseNdjson(text) {
+    return String(text)
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== "")
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return new Error(`Invalid JSON: ${error.message}`);
+        }
+      });
+  }
+
+  /**
+   * Find the endpoint a point is keyed to
+   * @param {Object} point - Reported point
+   * @param {Array<Object>} endpoints - Active endpoints
+   * @returns {Object} Endpoint
+   * @throws {Error} When no single endpoint matches
+   */
+  findEndpoint(point, endpoints) {
+    if (point.endpointId !== undefined) {
+      const endpoint = endpoints.find(
+        (candidate) => candidate.id === Number(point.endpointId)
+      );
+      if (!endpoint) {
+        throw new Error(`No active endpoint with ID ${point.endpointId}`);
+      }
+      return endpoint;
+    }
+
+    if (typeof point.method !== "string" || typeof point.path !== "string") {
+      throw new Error("Point needs an endpointId or a method and path");
+    }
+
+    const method = point.method.toUpperCase();
+    const matches = endpoints.filter(
+      (candidate) =>
+        candidate.method === method && candidate.path === point.path
+    );
+    if (matches.length === 0) {
+      throw new Error(`No active endpoint for ${method} ${point.path}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `${method} ${point.path} matches several endpoints, use endpointId`
+      );
+    }
+    return matches[0];
+  }
+
+  /**
+   * Build metric data from a reported point
+   * @param {Object} apiKey - ApiKey the batch was sent with
+   * @param {Object} point - Reported point
+   * @param {Array<Object>} endpoints - Active endpoints
+   * @returns {Object} { endpoint, metric }
+   * @throws {Error} When the point is invalid
+   */
+  toMetric(apiKey, point, endpoints) {
+    if (point instanceof Error) throw point;
+    if (!point || typeof point !== "object" || Array.isArray(point)) {
+      throw new Error("Point must be an object");
+    }
+
+    const endpoint = this.findEndpoint(point, endpoints);
+    if (endpoint.checkType === "TRANSACTION") {
+      throw new Error("Transaction endpoints don't accept pushed points");
+    }
+    if (endpoint.checkType === "HEARTBEAT") {
+      throw new Error("Heartbeat endpoints only accept pings");
+    }
+
+    const {
+      responseTime,
+      statusCode,
+      success,
+      errorMessage,
+      requestCount = 1,
+      location = INGEST_LOCATION,
+      environment,
+      dedupeKey,
+    } = point;
+
+    const timestamp =
+      point.timestamp !== undefined ? new Date(point.timestamp) : new Date();
+    if (isNaN(timestamp)) {
+      throw new Error("timestamp must be an ISO date or epoch milliseconds");
+    }
+    if (
+      timestamp > Date.now() + MAX_FUTURE_SKEW_MS ||
+      timestamp < moment().subtract(MAX_POINT_AGE_DAYS, "days").toDate()
+    ) {
+      throw new Error(
+        `timestamp must be within the last ${MAX_POINT_AGE_DAYS} days`
+      );
+    }
+    if (typeof responseTime !== "number" || !(responseTime >= 0)) {
+      throw new Error("responseTime must be a non-negative number of ms");
+    }
+    if (
+      statusCode !== undefined &&
+      (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599)
+    ) {
+      throw new Error("statusCode must be an HTTP status code");
+    }
+    // The threshold checks judge HTTP endpoints by their status code
+    if (
+      statusCode === undefined &&
+      ["HTTP", "GRAPHQL"].includes(endpoint.checkType)
+    ) {
+      throw new Error(
+        `statusCode is required for ${endpoint.checkType} endpoints`
+      );
+    }
+    if (success !== undefined && typeof success !== "boolean") {
+      throw new Error("success must be a boolean");
+    }
+    if (errorMessage !== undefined && typeof errorMessage !== "string") {
+      throw new Error("errorMessage must be a string");
+    }
+    if (!Number.isInteger(requestCount) || requestCount < 0) {
+      throw new Error("requestCount must be a non-negative integer");
+    }
+    if (typeof location !== "string" || !/^[\w.-]{1,100}$/.test(location)) {
+      throw new Error("location must be a label like eu-west");
+    }
+    if (
+      environment !== undefined &&
+      !getEnvironmentNames(endpoint).includes(environment)
+    ) {
+      throw new Error(
+        `environment must be one of the endpoint's environments (${
+          getEnvironmentNames(endpoint).join(", ") || "none"
+        })`
+      );
+    }
+    if (
+      dedupeKey !== undefined &&
+      (typeof dedupeKey !== "string" || !dedupeKey || dedupeKey.length > 200)
+    ) {
+      throw new Error("dedupeKey must be a string of at most 200 characters");
+    }
+
+    return {
+      endpoint,
+      metric: {
+        endpointId: endpoint.id,
+        timestamp,
+        responseTime: Math.round(responseTime),
+        statusCode: statusCode ?? null,
+        // Judge the status like a probe would when the sender doesn't say
+        success:
+          success ??
+          (statusCode === undefined ||
+            isExpectedStatus(endpoint.assertions, statusCode)),
+        errorMessage: errorMessage || null,
+        requestCount,
+        location,
+        environment: environment || null,
+        inMaintenance: monitorService.isInMaintenance(endpoint, timestamp),
+        // Without a key, a point is identified by its time, location and
+        // environment
+        dedupeKey: crypto
+          .createHash("sha256")
+          .update(
+            dedupeKey ||
+              [timestamp.toISOString(), location, environment]
+                .filter(Boolean)
+                .join("|")
+          )
+          .digest("hex"),
+        metaData: { apiKey: apiKey.name },
+      },
+    };
+  }
+
+  /**
+   * Store a batch of metric points and run the threshold checks
+   * Points already stored (same endpoint and dedupe key) are skipped. The
+   * checks run for the latest point of each endpoint and for its first slow
+   * and first failing point, rather than for every point in the batch.
+   * @param {Object} apiKey - ApiKey the batch was sent with
+   * @param {Array<Object>} points - Points from the sender
+   * @returns {Promise<Object>} { accepted, duplicates, invalid, errors }
+   */
+  async ingestMetrics(apiKey, points) {
+    if (!Array.isArray(points) || points.length > MAX_POINTS_PER_BATCH) {
+      const error = new Error(
+        `Points must be an array of at most ${MAX_POINTS_PER_BATCH} items`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const endpoints = await Endpoint.findAll({ where: { isActive: true } });
+
+    const entries = [];
+    const errors = [];
+    let invalid = 0;
+
+    points.forEach((point, index) => {
+      try {
+        entries.push(this.toMetric(apiKey, point, endpoints));
+      } catch (error) {
+        invalid += 1;
+        if (errors.length < MAX_REPORTED_ERRORS) {
+          errors.push({ index, message: error.message });
+        }
+      }
+    });
+
+    // Skip points sent before, in this batch or an earlier one
+    const existing = entries.length
+      ? await Metric.findAll({
+          attributes: ["endpointId", "dedupeKey"],
+          where: {
+            endpointId: [...new Set(entries.map((e) => e.endpoint.id))],
+            dedupeKey: { [Op.in]: entries.map((e) => e.metric.dedupeKey) },
+          },
+          raw: true,
+        })
+      : [];
+    const seen = new Set(
+      existing.map((metric) => `${metric.endpointId}:${metric.dedupeKey}`)
+    );
+    const fresh = entries.filter(({ metric }) => {
+      const key = `${metric.endpointId}:${metric.dedupeKey}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (fresh.length > 0) {
+      // A concurrent batch may have stored the same point in the meantime
+      await Metric.bulkCreate(
+        fresh.map(({ metric }) => metric),
+        { ignoreDuplicates: true }
+      );
+    }
+
+    await this.checkThresholds(fresh);
+
+    return {
+      accepted: fresh.length,
+      duplicates: entries.length - fresh.length,
+      invalid,
+      errors,
+    };
+  }
+
+  /**
+   * Run the threshold checks for newly stored points
+   * Points are checked per endpoint and environment; points in a
+   * maintenance window aren't checked.
+   * @param {Array<Object>} entries - [{ endpoint, metric }]
+   * @returns {Promise<void>}
+   */
+  async checkThresholds(entries) {
+    const byEndpoint = new Map();
+    entries
+      .filter((entry) => !entry.metric.inMaintenance)
+      .forEach((entry) => {
+        const key = `${entry.endpoint.id}|${entry.metric.environment || ""}`;
+        const list = byEndpoint.get(key) || [];
+        list.push(entry);
+        byEndpoint.set(key, list);
+      });
+
+    for (const list of byEndpoint.values()) {
+      const { endpoint } = list[0];
+      const latest = list.reduce((a, b) =>
+        b.metric.timestamp > a.metric.timestamp ? b : a
+      );
+      const slow = list.find(
+        ({ metric }) => metric.responseTime > endpoint.responseTimeThreshold
+      );
+      const failing = list.find(({ metric }) => !metric.success);
+
+      for (const entry of new Set([latest, slow, failing])) {
+        if (!entry) continue;
+        try {
+          await monitorService.checkThresholds(endpoint, entry.metric);
+        } catch (error) {
+          console.error(
+            `Error checking thresholds for pushed metrics of endpoint ${endpoint.id}:`,
+            error
+          );
+        }
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const ingestService = new IngestService();
+
+module.exports = ingestService;
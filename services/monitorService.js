@@ -12,15 +12,80 @@ const {
   Incident,
   Alert,
   SystemStatus,
+  AuthProfile,
+  NetworkProfile,
+  TransactionStep,
+  SchemaDrift,
+  Environment,
+  MaintenanceWindow,
 } = require("../models");
+const authProfileService = require("./authProfileService");
+const certificateService = require("./certificateService");
+const networkCheckService = require("./networkCheckService");
+const realtimeCheckService = require("./realtimeCheckService");
+const trafficService = require("./trafficService");
+const {
+  isExpectedStatus,
+  evaluateAssertions,
+  describeAssertionFailure,
+} = require("../utils/assertions");
+const { validateResponseSchema } = require("../utils/schemaValidator");
+const { captureResponseBody } = require("../utils/bodyCapture");
+const {
+  LOCAL_LOCATION,
+  HEARTBEAT_LOCATION,
+  getEndpointLocations,
+} = require("../utils/locations");
+const { getEnvironmentNames } = require("../utils/environments");
+const { getHeartbeatDeadline } = require("../utils/heartbeats");
+const { getOpenPeriod, coversEndpoint } = require("../utils/maintenance");
+const {
+  inferShape,
+  hashShape,
+  diffShapes,
+  describeShapeDiff,
+} = require("../utils/shape");
+const { interpolate, extractVariables } = require("../utils/variables");
+const { TIMING_PHASES, createTimingAgents } = require("../utils/timing");
+const {
+  NETWORK_CHECK_TYPES,
+  REALTIME_CHECK_TYPES,
+} = require("../utils/checkConfig");
+const {
+  getOperation,
+  buildGraphqlBody,
+  evaluateGraphqlResponse,
+  describeGraphqlFailure,
+} = require("../utils/graphql");
+const Scheduler = require("../utils/scheduler");
 const os = require("os");
 
 class MonitorService {
   constructor() {
     this.isRunning = false;
-    this.monitoringInterval = null;
-    this.monitoringIntervalMs = process.env.MONITORING_INTERVAL || 60000; // 1 minute default
+    this.monitoringIntervalMs =
+      parseInt(process.env.MONITORING_INTERVAL) || 60000; // 1 minute default
+    // Probes start at a random offset within this window to spread load
+    this.startJitterMs = parseInt(process.env.MONITORING_START_JITTER) || 10000;
+    this.certificateCheckIntervalMs =
+      parseInt(process.env.TLS_CHECK_INTERVAL) || 6 * 60 * 60 * 1000; // 6 hours default
+    this.heartbeatCheckIntervalMs =
+      parseInt(process.env.HEARTBEAT_CHECK_INTERVAL) || 60000; // 1 minute default
     this.endpoints = [];
+    this.environments = [];
+    this.maintenanceWindows = [];
+    // Whether a recurring maintenance window is open, by "windowId:minute"
+    this.maintenanceCache = new Map();
+    // Failed checks in a row per endpoint, location and environment, for
+    // failureThreshold confirmation
+    this.consecutiveFailures = new Map();
+    // IDs of the stored failures not yet confirmed, by the same key
+    this.unconfirmedFailures = new Map();
+    // Deadline already reported as missed per heartbeat endpoint
+    this.missedHeartbeats = new Map();
+    this.scheduler = new Scheduler({
+      maxConcurrency: parseInt(process.env.MONITORING_MAX_CONCURRENCY) || 10,
+    });
     this.httpClient = axios.create({
       timeout: 30000, // 30 second timeout
     });
@@ -48,30 +113,51 @@ class MonitorService {
 
       this.isRunning = true;
 
-      // Initial metrics collection
-      await this.collectAllMetrics();
-
-      // Create interval for continuous monitoring
-      this.monitoringInterval = setInterval(async () => {
-        try {
-          await this.collectAllMetrics();
+      // One probe job per endpoint, each on its own interval
+      this.syncEndpointJobs();
 
-          // Every 5 minutes, collect system status
-          if (Date.now() % (5 * 60 * 1000) < this.monitoringIntervalMs) {
-            await this.collectSystemStatus();
-          }
+      // Pick up endpoint changes made outside this process
+      this.scheduler.schedule(
+        "reload-endpoints",
+        this.monitoringIntervalMs,
+        () => this.loadEndpoints(),
+        { limited: false }
+      );
 
-          // Clean up old metrics periodically (once per day)
-          if (Date.now() % (24 * 60 * 60 * 1000) < this.monitoringIntervalMs) {
-            await this.cleanupOldMetrics();
-          }
-        } catch (error) {
-          console.error("Error during metrics collection:", error);
-        }
-      }, this.monitoringIntervalMs);
+      // Background jobs
+      this.scheduler.schedule(
+        "collect-system-status",
+        5 * 60 * 1000, // every 5 minutes
+        () => this.collectSystemStatus(),
+        { runImmediately: true, limited: false }
+      );
+      this.scheduler.schedule(
+        "cleanup-old-metrics",
+        24 * 60 * 60 * 1000, // once per day
+        () => this.cleanupOldMetrics(),
+        { limited: false }
+      );
+      this.scheduler.schedule(
+        "cleanup-old-traffic",
+        24 * 60 * 60 * 1000, // once per day
+        () => trafficService.cleanupOldEvents(),
+        { limited: false }
+      );
+      this.scheduler.schedule(
+        "check-certificates",
+        this.certificateCheckIntervalMs,
+        () => this.checkCertificates(),
+        { runImmediately: true, limited: false }
+      );
+      this.scheduler.schedule(
+        "check-heartbeats",
+        this.heartbeatCheckIntervalMs,
+        () => this.checkHeartbeats(),
+        { limited: false }
+      );
 
       console.log(
-        `Monitoring service started with ${this.monitoringIntervalMs}ms interval`
+        `Monitoring service started with ${this.monitoringIntervalMs}ms default interval`
       );
       console.log(`Monitoring ${this.endpoints.length} active endpoints`);
       return true;
@@ -91,21 +177,38 @@ class MonitorService {
       return false;
     }
 
-    clearInterval(this.monitoringInterval);
+    this.scheduler.stop();
     this.isRunning = false;
     console.log("Monitoring service stopped");
     return true;
   }
 
   /**
-   * Load active endpoints from the database
+   * Load active endpoints (and the environments and maintenance windows
+   * that apply to them) from the database
    * @returns {Promise<Array>} Array of active endpoints
    */
   async loadEndpoints() {
     try {
+      this.environments = await Environment.findAll();
+      this.maintenanceWindows = await MaintenanceWindow.findAll({
+        where: { isActive: true },
+      });
+      this.maintenanceCache.clear();
       this.endpoints = await Endpoint.findAll({
         where: { isActive: true },
+        include: [
+          { model: AuthProfile },
+          { model: NetworkProfile },
+          { model: TransactionStep, include: [{ model: AuthProfile }] },
+        ],
+        order: [[TransactionStep, "stepOrder", "ASC"]],
       });
+
+      if (this.isRunning) {
+        this.syncEndpointJobs();
+      }
+
       return this.endpoints;
     } catch (error) {
       console.error("Error loading endpoints:", error);
@@ -113,19 +216,150 @@ class MonitorService {
     }
   }
 
+  /**
+   * Make the scheduled probe jobs match the loaded endpoints
+   * Jobs are added for new endpoints, rescheduled when their interval
+   * changes and removed for endpoints that were deleted or deactivated.
+   * Endpoints probed in several environments get one job per environment.
+   */
+  syncEndpointJobs() {
+    const jobNames = new Set();
+
+    this.getLocalEndpoints().forEach((endpoint) => {
+      const intervalMs = endpoint.checkInterval
+        ? endpoint.checkInterval * 1000
+        : this.monitoringIntervalMs;
+
+      this.getEndpointEnvironments(endpoint).forEach((environment) => {
+        const environmentName = environment ? environment.name : null;
+        const jobName = environmentName
+          ? `endpoint:${endpoint.id}@${environmentName}`
+          : `endpoint:${endpoint.id}`;
+
+        jobNames.add(jobName);
+        this.scheduler.schedule(
+          jobName,
+          intervalMs,
+          () => {
+            // Always probe the latest loaded version of the endpoint and
+            // its environment
+            const current = this.endpoints.find((e) => e.id === endpoint.id);
+            const currentEnvironment = current
+              ? this.getEndpointEnvironments(current).find(
+                  (e) => (e ? e.name : null) === environmentName
+                )
+              : undefined;
+            return currentEnvironment !== undefined
+              ? this.collectEndpointMetrics(current, currentEnvironment)
+              : null;
+          },
+          { jitterMs: this.startJitterMs }
+        );
+      });
+    });
+
+    this.scheduler
+      .jobNames()
+      .filter((name) => name.startsWith("endpoint:") && !jobNames.has(name))
+      .forEach((name) => this.scheduler.unschedule(name));
+  }
+
+  /**
+   * Environments an endpoint is probed in
+   * Environments that don't exist (anymore) are skipped.
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Array<Object|null>} [{ name, variables }], or [null] when the
+   * endpoint is probed as defined
+   */
+  getEndpointEnvironments(endpoint) {
+    const names = getEnvironmentNames(endpoint);
+    if (names.length === 0) return [null];
+
+    return names
+      .map((name) => this.environments.find((e) => e.name === name))
+      .filter(Boolean)
+      .map((environment) => ({
+        name: environment.name,
+        variables: environment.getVariables(),
+      }));
+  }
+
+  /**
+   * Endpoints probed by this process (the others only run on agents;
+   * heartbeat endpoints aren't probed at all)
+   * @returns {Array} Loaded endpoints with the "local" location
+   */
+  getLocalEndpoints() {
+    return this.endpoints.filter(
+      (endpoint) =>
+        endpoint.checkType !== "HEARTBEAT" &&
+        getEndpointLocations(endpoint).includes(LOCAL_LOCATION)
+    );
+  }
+
+  /**
+   * Maintenance windows open at a given time
+   * @param {Date} at - Time (default now)
+   * @returns {Array} Loaded maintenance windows that are open
+   */
+  getOpenMaintenanceWindows(at = new Date()) {
+    const time = new Date(at);
+
+    return this.maintenanceWindows.filter((window) => {
+      if (!window.cron) return getOpenPeriod(window, time) !== null;
+
+      // Recurring windows open and close on whole minutes
+      const key = `${window.id}:${Math.floor(time.getTime() / 60000)}`;
+      if (!this.maintenanceCache.has(key)) {
+        if (this.maintenanceCache.size > 10000) this.maintenanceCache.clear();
+        this.maintenanceCache.set(key, getOpenPeriod(window, time) !== null);
+      }
+      return this.maintenanceCache.get(key);
+    });
+  }
+
+  /**
+   * Check whether an endpoint is in a maintenance window
+   * @param {Object} endpoint - Endpoint object
+   * @param {Date} at - Time (default now)
+   * @returns {boolean} In maintenance
+   */
+  isInMaintenance(endpoint, at = new Date()) {
+    return this.getOpenMaintenanceWindows(at).some((window) =>
+      coversEndpoint(window, endpoint)
+    );
+  }
+
+  /**
+   * Check whether an endpoint is in a maintenance window right now
+   * @param {number} endpointId - Endpoint ID
+   * @returns {Promise<boolean>} In maintenance
+   */
+  async isEndpointInMaintenance(endpointId) {
+    if (this.getOpenMaintenanceWindows().length === 0) return false;
+
+    const endpoint =
+      this.endpoints.find((e) => e.id === Number(endpointId)) ||
+      (await Endpoint.findByPk(endpointId));
+    return endpoint ? this.isInMaintenance(endpoint) : false;
+  }
+
   /**
    * Collect metrics for all endpoints
    * @returns {Promise<void>}
    */
   async collectAllMetrics() {
-    console.log(`Collecting metrics for ${this.endpoints.length} endpoints...`);
-
     // First refresh the endpoints list to get any changes
     await this.loadEndpoints();
 
-    // Collect metrics for each endpoint in parallel
-    const metricsPromises = this.endpoints.map((endpoint) =>
-      this.collectEndpointMetrics(endpoint)
+    const endpoints = this.getLocalEndpoints();
+    console.log(`Collecting metrics for ${endpoints.length} endpoints...`);
+
+    // Collect metrics for each endpoint and environment in parallel
+    const metricsPromises = endpoints.flatMap((endpoint) =>
+      this.getEndpointEnvironments(endpoint).map((environment) =>
+        this.collectEndpointMetrics(endpoint, environment)
+      )
     );
 
     // Wait for all metrics to be collected
@@ -136,11 +370,219 @@ class MonitorService {
 
   /**
    * Collect metrics for a single endpoint
+   * Failed probes are retried with exponential backoff (retryCount,
+   * retryBackoffMs) and only alert once failureThreshold checks in a row
+   * have failed. Superseded attempts are still stored, flagged as interim.
    * @param {Object} endpoint - Endpoint object from database
+   * @param {Object} environment - { name, variables } to probe in (optional)
    * @returns {Promise<Object>} Collected metrics
    */
-  async collectEndpointMetrics(endpoint) {
-    const startTime = Date.now();
+  async collectEndpointMetrics(endpoint, environment = null) {
+    const result = await this.runCheck(
+      endpoint,
+      (metric) =>
+        Metric.create({
+          ...metric,
+          inMaintenance: this.isInMaintenance(endpoint, metric.timestamp),
+        }),
+      environment
+    );
+
+    return this.recordCheckResult(endpoint, result);
+  }
+
+  /**
+   * Probe an endpoint, retrying failures, without storing the final result
+   * Used by this process and by remote agents, which report results instead.
+   * @param {Object} endpoint - Endpoint object
+   * @param {Function} onInterim - Called with each superseded failed attempt
+   * @param {Object} environment - { name, variables } to probe in (optional)
+   * @returns {Promise<Object>} Probe result of the last attempt
+   */
+  async runCheck(endpoint, onInterim, environment = null) {
+    const maxAttempts = 1 + (endpoint.retryCount || 0);
+    let result;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      result = await this.probeEndpoint(
+        endpoint,
+        environment ? environment.variables : {}
+      );
+      result.metric.attempt = attempt;
+      result.metric.environment = environment ? environment.name : null;
+
+      if (result.metric.success || attempt === maxAttempts) break;
+
+      // Keep the failed attempt visible, but out of availability numbers
+      result.metric.isInterim = true;
+      await onInterim(result.metric);
+
+      await new Promise((resolve) =>
+        setTimeout(
+          resolve,
+          (endpoint.retryBackoffMs || 0) * Math.pow(2, attempt - 1)
+        )
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Store the final result of a check and run the alert pipeline
+   * @param {Object} endpoint - Endpoint object
+   * @param {Object} result - Probe result ({ metric, error, shape })
+   * @returns {Promise<Object>} Stored metric data
+   */
+  async recordCheckResult(endpoint, { metric, error, shape }) {
+    // Planned downtime is recorded, but neither counted nor alerted on
+    if (this.isInMaintenance(endpoint, metric.timestamp)) {
+      metric.inMaintenance = true;
+      try {
+        await Metric.create(metric);
+      } catch (recordError) {
+        console.error(
+          `Error recording metrics for endpoint ${endpoint.id}:`,
+          recordError
+        );
+      }
+      return metric;
+    }
+
+    const failureKey = [
+      endpoint.id,
+      metric.location || LOCAL_LOCATION,
+      metric.environment || "",
+    ].join(":");
+    const consecutiveFailures = metric.success
+      ? 0
+      : (this.consecutiveFailures.get(failureKey) || 0) + 1;
+    this.consecutiveFailures.set(failureKey, consecutiveFailures);
+
+    // Failures below the threshold are recorded but not yet counted or alerted
+    const confirmed =
+      metric.success || consecutiveFailures >= (endpoint.failureThreshold || 1);
+    if (!confirmed) {
+      metric.isInterim = true;
+      metric.metaData = { ...metric.metaData, consecutiveFailures };
+    }
+
+    try {
+      // Save metric to database
+      const storedMetric = await Metric.create(metric);
+
+      if (!confirmed) {
+        this.unconfirmedFailures.set(failureKey, [
+          ...(this.unconfirmedFailures.get(failureKey) || []),
+          storedMetric.id,
+        ]);
+        return metric;
+      }
+
+      const unconfirmedIds = this.unconfirmedFailures.get(failureKey);
+      this.unconfirmedFailures.delete(failureKey);
+
+      // Multi-location endpoints may need more than one location to agree
+      if (
+        metric.success ||
+        (await this.hasFailureQuorum(endpoint, metric.environment))
+      ) {
+        if (error) {
+          // Create incident and alert for the error
+          await this.createIncidentFromError(endpoint, error, metric);
+        } else {
+          // Check if metric exceeds thresholds and create alert if needed
+          await this.checkThresholds(endpoint, metric);
+
+          // Compare the response structure with the last known-good one
+          await this.checkSchemaDrift(endpoint, metric, shape, storedMetric.id);
+        }
+      }
+
+      // Once an outage is confirmed, the failures leading up to it count
+      // towards availability too; only after the alert checks, which compare
+      // against the last counted check before the outage
+      if (!metric.success && unconfirmedIds) {
+        await Metric.update(
+          { isInterim: false },
+          { where: { id: unconfirmedIds } }
+        );
+      }
+    } catch (recordError) {
+      console.error(
+        `Error recording metrics for endpoint ${endpoint.id}:`,
+        recordError
+      );
+    }
+
+    return metric;
+  }
+
+  /**
+   * Check whether enough locations currently fail an endpoint to alert
+   * A location counts as failing when its latest confirmed check, within
+   * two check intervals, failed.
+   * @param {Object} endpoint - Endpoint object
+   * @param {string} environment - Environment the checks ran in (optional)
+   * @returns {Promise<boolean>} Whether minFailingLocations is reached
+   */
+  async hasFailureQuorum(endpoint, environment = null) {
+    const locations = getEndpointLocations(endpoint);
+    // A rule asking for more locations than exist would never fire
+    const required = Math.min(
+      endpoint.minFailingLocations || 1,
+      locations.length
+    );
+    if (required <= 1) return true;
+
+    const intervalMs = endpoint.checkInterval
+      ? endpoint.checkInterval * 1000
+      : this.monitoringIntervalMs;
+    const metrics = await Metric.findAll({
+      attributes: ["location", "success", "timestamp"],
+      where: {
+        endpointId: endpoint.id,
+        environment: environment || null,
+        isInterim: false,
+        inMaintenance: false,
+        location: { [Op.in]: locations },
+        timestamp: { [Op.gte]: new Date(Date.now() - 2 * intervalMs) },
+      },
+      order: [["timestamp", "DESC"]],
+    });
+
+    const latestByLocation = new Map();
+    metrics.forEach((metric) => {
+      if (!latestByLocation.has(metric.location)) {
+        latestByLocation.set(metric.location, metric.success);
+      }
+    });
+    const failing = [...latestByLocation.values()].filter(
+      (success) => !success
+    ).length;
+
+    return failing >= required;
+  }
+
+  /**
+   * Probe an endpoint once without storing anything
+   * @param {Object} endpoint - Endpoint object from database
+   * @param {Object} variables - Values for {{variable}} placeholders in the
+   * definition (see Environment)
+   * @returns {Promise<Object>} Metric data, plus the request error if the
+   * probe could not get a response, or the shape of a JSON response body
+   */
+  async probeEndpoint(endpoint, variables = {}) {
+    if (endpoint.checkType === "TRANSACTION") {
+      return { metric: await this.probeTransaction(endpoint, variables) };
+    }
+    if (NETWORK_CHECK_TYPES.includes(endpoint.checkType)) {
+      return this.probeNetworkCheck(endpoint, variables);
+    }
+    if (REALTIME_CHECK_TYPES.includes(endpoint.checkType)) {
+      return this.probeRealtime(endpoint, variables);
+    }
+
     const metric = {
       endpointId: endpoint.id,
       timestamp: new Date(),
@@ -149,41 +591,74 @@ class MonitorService {
       metaData: {},
     };
 
+    const isGraphql = endpoint.checkType === "GRAPHQL";
+
     try {
-      // Construct URL (use baseUrl if provided, otherwise just use the path)
-      const url = endpoint.baseUrl
-        ? `${endpoint.baseUrl}${endpoint.path}`
-        : endpoint.path;
+      const response = await this.sendProbeRequest(
+        isGraphql ? this.getGraphqlRequest(endpoint) : endpoint,
+        endpoint.AuthProfile,
+        variables,
+        this.getRequestPolicy(endpoint)
+      );
 
-      // Make the request
-      console.log(`Monitoring endpoint: ${endpoint.method} ${url}`);
+      // Evaluate assertions against the raw and parsed body
+      metric.assertionResults = evaluateAssertions(
+        endpoint.assertions,
+        response
+      );
 
-      const response = await this.httpClient({
-        method: endpoint.method,
-        url,
-        validateStatus: () => true, // Accept all status codes to track errors
-      });
+      // Validate the body against the endpoint's response contract
+      const schemaValidation = validateResponseSchema(endpoint, response.data);
 
-      // Calculate response time
-      const responseTime = Date.now() - startTime;
+      // GraphQL reports failures in the body, usually with a 200 status
+      const graphqlResult = isGraphql
+        ? evaluateGraphqlResponse(endpoint.checkConfig, response.data)
+        : null;
 
       // Store metric data
-      metric.responseTime = responseTime;
+      metric.responseTime = response.responseTime;
+      metric.timings = response.timings;
       metric.statusCode = response.status;
-      metric.success = response.status >= 200 && response.status < 400;
+      metric.success =
+        isExpectedStatus(endpoint.assertions, response.status) &&
+        metric.assertionResults.every((result) => result.passed) &&
+        (!schemaValidation || schemaValidation.valid) &&
+        (!graphqlResult || graphqlResult.valid);
       metric.metaData = {
         headers: response.headers,
         contentLength: response.headers["content-length"],
         contentType: response.headers["content-type"],
       };
+      if (response.redirects.length > 0) {
+        metric.metaData.redirects = response.redirects;
+        metric.metaData.finalUrl = response.url;
+      }
+      if (schemaValidation) {
+        metric.metaData.schemaValidation = schemaValidation;
+      }
+      const shape =
+        response.data !== undefined ? inferShape(response.data) : undefined;
+      if (shape) {
+        metric.metaData.shapeHash = hashShape(shape);
+      }
+      Object.assign(
+        metric.metaData,
+        captureResponseBody(endpoint, response, metric.success)
+      );
+      if (graphqlResult) {
+        metric.metaData.graphql = {
+          ...getOperation(
+            endpoint.checkConfig.query,
+            endpoint.checkConfig.operationName
+          ),
+          ...graphqlResult,
+        };
+        if (!graphqlResult.valid) {
+          metric.errorMessage = describeGraphqlFailure(graphqlResult);
+        }
+      }
 
-      // Save metric to database
-      await Metric.create(metric);
-
-      // Check if metric exceeds thresholds and create alert if needed
-      await this.checkThresholds(endpoint, metric);
-
-      return metric;
+      return { metric, shape };
     } catch (error) {
       // Handle request errors
       console.error(
@@ -191,19 +666,500 @@ class MonitorService {
         error.message
       );
 
-      // Set error details
-      metric.success = false;
-      metric.errorMessage = error.message;
-      metric.statusCode = error.response?.status || 0;
+      // Set error details
+      metric.success = false;
+      metric.errorMessage = error.message;
+      metric.statusCode = error.response?.status || 0;
+
+      return { metric, error };
+    }
+  }
+
+  /**
+   * Build the request of a GRAPHQL endpoint
+   * The query document is always POSTed as JSON to the endpoint URL.
+   * @param {Object} endpoint - Endpoint object with checkConfig
+   * @returns {Object} Request definition for sendProbeRequest
+   */
+  getGraphqlRequest(endpoint) {
+    return {
+      path: endpoint.path,
+      baseUrl: endpoint.baseUrl,
+      method: "POST",
+      headers: endpoint.headers,
+      queryParams: endpoint.queryParams,
+      bodyType: "JSON",
+      body: buildGraphqlBody(endpoint.checkConfig),
+    };
+  }
+
+  /**
+   * Probe a WEBSOCKET or SSE endpoint once without storing anything
+   * @param {Object} endpoint - Endpoint object from database
+   * @param {Object} variables - Values for {{variable}} placeholders
+   * @returns {Promise<Object>} Metric data, plus the error if the stream
+   * could not be opened
+   */
+  async probeRealtime(endpoint, variables = {}) {
+    const metric = {
+      endpointId: endpoint.id,
+      timestamp: new Date(),
+      success: false,
+      requestCount: 1,
+      metaData: {},
+    };
+
+    try {
+      // Reuse the HTTP request building for URL, headers and auth
+      const requestConfig = this.buildRequestConfig(
+        {
+          path: endpoint.path,
+          baseUrl: endpoint.baseUrl,
+          method: "GET",
+          headers: endpoint.headers,
+          queryParams: endpoint.queryParams,
+          bodyType: "NONE",
+        },
+        variables
+      );
+      await authProfileService.applyAuth(endpoint.AuthProfile, requestConfig);
+
+      const url = new URL(requestConfig.url);
+      Object.entries(requestConfig.params || {}).forEach(([name, value]) => {
+        url.searchParams.set(name, value);
+      });
+
+      // Without the query string, which can hold an API key
+      console.log(
+        `Monitoring ${endpoint.checkType} endpoint: ${url.origin}${url.pathname}`
+      );
+
+      const result = await realtimeCheckService.probe(
+        endpoint.checkType,
+        {
+          url: url.toString(),
+          headers: requestConfig.headers,
+          agentOptions: endpoint.NetworkProfile
+            ? endpoint.NetworkProfile.getAgentOptions()
+            : undefined,
+        },
+        interpolate(endpoint.checkConfig || {}, variables)
+      );
+
+      metric.statusCode = result.statusCode;
+      metric.responseTime = result.responseTime;
+      metric.timings = result.timings;
+      metric.assertionResults = result.assertionResults;
+      metric.success = result.assertionResults.every((check) => check.passed);
+      metric.metaData = result.metaData;
+
+      return { metric };
+    } catch (error) {
+      console.error(
+        `Error monitoring ${endpoint.checkType} endpoint ${endpoint.path}:`,
+        error.message
+      );
+
+      metric.errorMessage = error.message;
+      metric.statusCode = error.response?.status || 0;
+
+      return { metric, error };
+    }
+  }
+
+  /**
+   * Probe a TCP, UDP or DNS endpoint once without storing anything
+   * @param {Object} endpoint - Endpoint object with checkConfig
+   * @param {Object} variables - Values for {{variable}} placeholders
+   * @returns {Promise<Object>} Metric data, plus the error if the target
+   * could not be reached
+   */
+  async probeNetworkCheck(endpoint, variables = {}) {
+    const metric = {
+      endpointId: endpoint.id,
+      timestamp: new Date(),
+      success: false,
+      requestCount: 1,
+      metaData: {},
+    };
+
+    try {
+      const result = await networkCheckService.probe(
+        endpoint.checkType,
+        interpolate(endpoint.checkConfig, variables)
+      );
+
+      metric.responseTime = result.responseTime;
+      metric.timings = result.timings;
+      metric.assertionResults = result.assertionResults;
+      metric.success = result.assertionResults.every((check) => check.passed);
+      metric.metaData = result.metaData;
+
+      return { metric };
+    } catch (error) {
+      console.error(
+        `Error monitoring ${endpoint.checkType} endpoint ${endpoint.path}:`,
+        error.message
+      );
+
+      metric.errorMessage = error.message;
+      metric.metaData = { errorCode: error.code };
+
+      return { metric, error };
+    }
+  }
+
+  /**
+   * Run the ordered steps of a TRANSACTION endpoint as one check
+   * Values extracted from each response become {{variables}} for later steps.
+   * The run stops at the first failing step, since later steps depend on it.
+   * @param {Object} endpoint - Endpoint object with TransactionSteps loaded
+   * @param {Object} environmentVariables - Values for {{variable}}
+   * placeholders from the environment; extracted values are added to a copy
+   * @returns {Promise<Object>} Metric data
+   */
+  async probeTransaction(endpoint, environmentVariables = {}) {
+    const steps = [...(endpoint.TransactionSteps || [])].sort(
+      (a, b) => a.stepOrder - b.stepOrder
+    );
+    const metric = {
+      endpointId: endpoint.id,
+      timestamp: new Date(),
+      success: false,
+      requestCount: 0,
+      responseTime: 0,
+      metaData: { steps: [] },
+    };
+    const variables = { ...environmentVariables };
+    let lastResponse;
+
+    for (const step of steps) {
+      const stepResult = {
+        stepOrder: step.stepOrder,
+        name: step.name,
+        method: step.method,
+        success: false,
+      };
+      lastResponse = undefined;
+
+      try {
+        const response = await this.sendProbeRequest(
+          {
+            method: step.method,
+            path: step.path,
+            baseUrl: endpoint.baseUrl,
+            headers: step.headers,
+            queryParams: step.queryParams,
+            bodyType: step.bodyType,
+            body: step.body,
+          },
+          step.AuthProfile || endpoint.AuthProfile,
+          variables,
+          this.getRequestPolicy(endpoint)
+        );
+        lastResponse = response;
+
+        const assertionResults = evaluateAssertions(step.assertions, response);
+        const { values, missing } = extractVariables(step.extractors, response);
+        Object.assign(variables, values);
+
+        stepResult.statusCode = response.status;
+        stepResult.responseTime = response.responseTime;
+        stepResult.timings = response.timings;
+        if (response.redirects.length > 0) {
+          stepResult.redirects = response.redirects;
+        }
+        stepResult.assertionResults = assertionResults;
+        stepResult.extracted = Object.keys(values);
+        stepResult.success =
+          isExpectedStatus(step.assertions, response.status) &&
+          assertionResults.every((result) => result.passed) &&
+          missing.length === 0;
+
+        if (missing.length > 0) {
+          stepResult.errorMessage = `Could not extract: ${missing.join(", ")}`;
+        } else if (!stepResult.success) {
+          const failed = assertionResults.filter((result) => !result.passed);
+          stepResult.errorMessage = failed.length
+            ? failed.map(describeAssertionFailure).join("; ")
+            : `Unexpected status code: ${response.status}`;
+        }
+      } catch (error) {
+        stepResult.statusCode = error.response?.status || 0;
+        stepResult.errorMessage = error.message;
+      }
+
+      metric.requestCount += 1;
+      metric.responseTime += stepResult.responseTime || 0;
+      metric.statusCode = stepResult.statusCode;
+      metric.metaData.steps.push(stepResult);
+
+      if (!stepResult.success) {
+        metric.metaData.failedStep = step.name;
+        metric.errorMessage = `Step "${step.name}" failed: ${stepResult.errorMessage}`;
+        break;
+      }
+    }
+
+    metric.success = steps.length > 0 && !metric.metaData.failedStep;
+    if (steps.length === 0) {
+      metric.errorMessage = "Transaction has no steps";
+    }
+
+    // Capture the response of the last step that ran (the failing one, if any)
+    Object.assign(
+      metric.metaData,
+      captureResponseBody(endpoint, lastResponse, metric.success)
+    );
+
+    return metric;
+  }
+
+  /**
+   * Send a probe request and time it
+   * Redirects are followed here rather than by axios, so every hop can be
+   * recorded with its status and latency.
+   * @param {Object} request - Endpoint or transaction step request definition
+   * @param {Object} authProfile - AuthProfile to apply (optional)
+   * @param {Object} variables - Values for {{variable}} placeholders
+   * @param {Object} policy - { timeoutMs, followRedirects, maxRedirects,
+   * networkProfile } (see getRequestPolicy)
+   * @returns {Promise<Object>} Status, headers, raw body, parsed JSON body
+   * (undefined if not JSON), response time, per-phase timings of the last
+   * hop, redirect hops and the final URL
+   */
+  async sendProbeRequest(request, authProfile, variables = {}, policy = {}) {
+    const {
+      timeoutMs,
+      followRedirects = true,
+      maxRedirects = 5,
+      networkProfile,
+    } = policy;
+    let requestConfig = this.buildRequestConfig(request, variables);
+    await authProfileService.applyAuth(authProfile, requestConfig);
+
+    requestConfig.maxRedirects = 0;
+    if (timeoutMs) {
+      requestConfig.timeout = timeoutMs;
+    }
+
+    // Make the request
+    console.log(
+      `Monitoring endpoint: ${requestConfig.method} ${requestConfig.url}`
+    );
+
+    // Fresh agents per probe so every phase of the connection is measured
+    const { tls: tlsOptions, proxyUrl } = networkProfile
+      ? networkProfile.getAgentOptions()
+      : {};
+    const timingAgents = createTimingAgents(tlsOptions, proxyUrl);
+    requestConfig.httpAgent = timingAgents.httpAgent;
+    requestConfig.httpsAgent = timingAgents.httpsAgent;
+
+    const startTime = Date.now();
+    const redirects = [];
+    let url = this.httpClient.getUri(requestConfig);
+    let response;
+    let timings;
+    try {
+      for (;;) {
+        const hopStartTime = Date.now();
+        if (proxyUrl) {
+          requestConfig.proxy = this.getProxyConfig(proxyUrl, url);
+        }
+        response = await this.httpClient(requestConfig);
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+          break;
+        }
+
+        redirects.push({
+          url,
+          statusCode: response.status,
+          responseTime: Date.now() - hopStartTime,
+          location,
+        });
+
+        if (!followRedirects) break;
+        if (redirects.length > maxRedirects) {
+          throw new Error(`Maximum of ${maxRedirects} redirects exceeded`);
+        }
+
+        requestConfig = this.getRedirectConfig(requestConfig, response, url);
+        url = requestConfig.url;
+      }
+      timings = timingAgents.getTimings();
+    } finally {
+      timingAgents.destroy();
+    }
+    const responseTime = Date.now() - startTime;
+
+    // A rejected OAuth2 token may have been revoked early, fetch a new one next time
+    if (response.status === 401 && authProfile) {
+      authProfileService.invalidate(authProfile.id);
+    }
+
+    const body = typeof response.data === "string" ? response.data : "";
+    let data;
+    try {
+      data = body ? JSON.parse(body) : undefined;
+    } catch (parseError) {
+      data = undefined;
+    }
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body,
+      data,
+      responseTime,
+      timings,
+      redirects,
+      url,
+    };
+  }
+
+  /**
+   * Build the request for the next hop of a redirect
+   * Like browsers, 303 (and 301/302 after a POST) continue as a body-less GET,
+   * and credentials are not sent on to another host.
+   * @param {Object} requestConfig - Axios config of the redirected request
+   * @param {Object} response - Redirect response
+   * @param {string} url - Full URL of the redirected request
+   * @returns {Object} Axios config for the next hop
+   */
+  getRedirectConfig(requestConfig, response, url) {
+    const currentUrl = new URL(url);
+    const nextUrl = new URL(response.headers.location, currentUrl);
+    const nextConfig = {
+      ...requestConfig,
+      url: nextUrl.toString(),
+      params: undefined,
+      headers: { ...requestConfig.headers },
+    };
+
+    if (
+      response.status === 303 ||
+      ([301, 302].includes(response.status) &&
+        requestConfig.method.toUpperCase() === "POST")
+    ) {
+      nextConfig.method = "GET";
+      delete nextConfig.data;
+      Object.keys(nextConfig.headers)
+        .filter((name) => name.toLowerCase() === "content-type")
+        .forEach((name) => delete nextConfig.headers[name]);
+    }
+
+    if (nextUrl.host !== currentUrl.host) {
+      Object.keys(nextConfig.headers)
+        .filter((name) =>
+          ["authorization", "cookie"].includes(name.toLowerCase())
+        )
+        .forEach((name) => delete nextConfig.headers[name]);
+    }
+
+    return nextConfig;
+  }
+
+  /**
+   * Axios proxy setting for one hop of a probe
+   * HTTPS targets are tunnelled by the timing agent instead, since axios
+   * would send them to the proxy without CONNECT.
+   * @param {string} proxyUrl - Proxy URL, optionally with user:password
+   * @param {string} url - URL of the hop
+   * @returns {Object|boolean} Axios proxy config, or false
+   */
+  getProxyConfig(proxyUrl, url) {
+    if (new URL(url).protocol !== "http:") return false;
+
+    const proxy = new URL(proxyUrl);
+    return {
+      protocol: "http",
+      host: proxy.hostname,
+      port: Number(proxy.port) || 80,
+      auth: proxy.username
+        ? {
+            username: decodeURIComponent(proxy.username),
+            password: decodeURIComponent(proxy.password),
+          }
+        : undefined,
+    };
+  }
+
+  /**
+   * Timeout, redirect and network settings of an endpoint, for sendProbeRequest
+   * @param {Object} endpoint - Endpoint object
+   * @returns {Object} { timeoutMs, followRedirects, maxRedirects, networkProfile }
+   */
+  getRequestPolicy(endpoint) {
+    return {
+      timeoutMs: endpoint.timeoutMs,
+      followRedirects: endpoint.followRedirects !== false,
+      maxRedirects: endpoint.maxRedirects ?? 5,
+      networkProfile: endpoint.NetworkProfile,
+    };
+  }
+
+  /**
+   * Build the axios request config for an endpoint probe
+   * @param {Object} endpoint - Endpoint or transaction step request definition
+   * @param {Object} variables - Values for {{variable}} placeholders
+   * @returns {Object} Axios request config
+   */
+  buildRequestConfig(endpoint, variables = {}) {
+    // Construct URL (absolute paths win, then baseUrl + path, then the path alone)
+    const url =
+      endpoint.baseUrl && !/^[a-z][a-z\d+.-]*:\/\//i.test(endpoint.path)
+        ? `${endpoint.baseUrl}${endpoint.path}`
+        : endpoint.path;
+
+    const requestConfig = {
+      method: endpoint.method,
+      url: interpolate(url, variables),
+      headers: interpolate({ ...(endpoint.headers || {}) }, variables),
+      params: endpoint.queryParams
+        ? interpolate(endpoint.queryParams, variables)
+        : undefined,
+      validateStatus: () => true, // Accept all status codes to track errors
+      // Keep the raw body so assertions can inspect it as sent
+      responseType: "text",
+      transformResponse: [(data) => data],
+    };
 
-      // Save error metric to database
-      await Metric.create(metric);
+    const body = interpolate(endpoint.body, variables);
+    if (body === null || body === undefined || endpoint.bodyType === "NONE") {
+      return requestConfig;
+    }
 
-      // Create incident and alert for the error
-      await this.createIncidentFromError(endpoint, error, metric);
+    // Only set a content type if the endpoint didn't define one itself
+    const hasContentType = Object.keys(requestConfig.headers).some(
+      (name) => name.toLowerCase() === "content-type"
+    );
 
-      return metric;
+    switch (endpoint.bodyType) {
+      case "JSON":
+        requestConfig.data = JSON.stringify(body);
+        if (!hasContentType) {
+          requestConfig.headers["Content-Type"] = "application/json";
+        }
+        break;
+      case "FORM":
+        requestConfig.data = new URLSearchParams(body).toString();
+        if (!hasContentType) {
+          requestConfig.headers["Content-Type"] =
+            "application/x-www-form-urlencoded";
+        }
+        break;
+      case "RAW":
+        requestConfig.data = String(body);
+        if (!hasContentType) {
+          requestConfig.headers["Content-Type"] = "text/plain";
+        }
+        break;
     }
+
+    return requestConfig;
   }
 
   /**
@@ -213,10 +1169,13 @@ class MonitorService {
    * @returns {Promise<void>}
    */
   async checkThresholds(endpoint, metric) {
+    const environment = metric.environment || null;
+
     // Check for response time threshold
     if (metric.responseTime > endpoint.responseTimeThreshold) {
       await this.createAlert({
         endpointId: endpoint.id,
+        environment,
         type: "RESPONSE_TIME",
         message: `Response time (${metric.responseTime}ms) exceeds threshold (${endpoint.responseTimeThreshold}ms)`,
         value: metric.responseTime,
@@ -225,9 +1184,13 @@ class MonitorService {
     }
 
     // Check for error status codes
-    if (!metric.success) {
+    if (
+      ["HTTP", "GRAPHQL"].includes(endpoint.checkType) &&
+      !isExpectedStatus(endpoint.assertions, metric.statusCode)
+    ) {
       await this.createAlert({
         endpointId: endpoint.id,
+        environment,
         type: "STATUS_CODE",
         message: `Received error status code: ${metric.statusCode}`,
         value: metric.statusCode,
@@ -235,19 +1198,257 @@ class MonitorService {
       });
     }
 
+    // Check for failed response assertions (status codes are covered above)
+    const failedAssertions = (metric.assertionResults || []).filter(
+      (result) => !result.passed && result.type !== "STATUS_CODE"
+    );
+    if (failedAssertions.length > 0) {
+      await this.createAlert({
+        endpointId: endpoint.id,
+        environment,
+        type: "ASSERTION",
+        message: `${
+          failedAssertions.length
+        } assertion(s) failed: ${failedAssertions
+          .map(describeAssertionFailure)
+          .join("; ")}`,
+        value: failedAssertions.length,
+        threshold: 0,
+      });
+    }
+
+    // Check for a failed transaction step
+    if (endpoint.checkType === "TRANSACTION" && !metric.success) {
+      await this.createAlert({
+        endpointId: endpoint.id,
+        environment,
+        type: "TRANSACTION",
+        message: `Transaction ${endpoint.path} failed: ${metric.errorMessage}`,
+        value: metric.metaData.steps.length,
+        threshold: 0,
+      });
+    }
+
+    // Check for GraphQL errors or missing data
+    const graphqlResult = metric.metaData?.graphql;
+    if (graphqlResult && !graphqlResult.valid) {
+      await this.createAlert({
+        endpointId: endpoint.id,
+        environment,
+        type: "GRAPHQL",
+        message: `GraphQL ${graphqlResult.operationType} ${
+          graphqlResult.operationName || endpoint.path
+        } failed: ${describeGraphqlFailure(graphqlResult)}`,
+        value: graphqlResult.errors.length,
+        threshold: 0,
+      });
+    }
+
+    // Check whether the response contract just broke
+    await this.checkContract(endpoint, metric);
+
+    // Check whether a direct endpoint just started redirecting
+    await this.checkRedirect(endpoint, metric);
+
     // Check for error rate over last hour
-    await this.checkErrorRate(endpoint);
+    await this.checkErrorRate(endpoint, environment);
 
     // Check for availability over last hour
-    await this.checkAvailability(endpoint);
+    await this.checkAvailability(endpoint, environment);
+  }
+
+  /**
+   * Raise a contract alert when schema validation starts failing
+   * @param {Object} endpoint - Endpoint object
+   * @param {Object} metric - Collected metric
+   * @returns {Promise<void>}
+   */
+  async checkContract(endpoint, metric) {
+    const schemaValidation = metric.metaData?.schemaValidation;
+    if (!schemaValidation || schemaValidation.valid) return;
+
+    try {
+      // Only alert on the transition from passing to failing, compared with
+      // the last counted check from the same location
+      const previousMetric = await Metric.findOne({
+        where: {
+          endpointId: endpoint.id,
+          location: metric.location || LOCAL_LOCATION,
+          environment: metric.environment || null,
+          isInterim: false,
+          timestamp: { [Op.lt]: metric.timestamp },
+        },
+        order: [["timestamp", "DESC"]],
+      });
+
+      if (previousMetric?.metaData?.schemaValidation?.valid === false) {
+        return;
+      }
+
+      const failingPaths = [
+        ...new Set(schemaValidation.errors.map((error) => error.path)),
+      ];
+
+      await this.createAlert({
+        endpointId: endpoint.id,
+        environment: metric.environment || null,
+        type: "CONTRACT",
+        message: `Contract broken for ${
+          endpoint.path
+        }: response no longer matches schema at ${failingPaths.join(", ")}`,
+        value: schemaValidation.errors.length,
+        threshold: 0,
+      });
+    } catch (error) {
+      console.error(
+        `Error checking contract for endpoint ${endpoint.id}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Record schema drift when the JSON shape of a response changes
+   * Only responses with an expected status are compared, and the known-good
+   * shape only moves on successful checks, so error bodies and changes that
+   * fail assertions never become the new baseline. Endpoints probed in
+   * environments keep a baseline per environment.
+   * @param {Object} endpoint - Endpoint object
+   * @param {Object} metric - Collected metric
+   * @param {Object} shape - Shape of the response body (see utils/shape.js)
+   * @param {number} metricId - ID of the stored metric
+   * @returns {Promise<void>}
+   */
+  async checkSchemaDrift(endpoint, metric, shape, metricId) {
+    if (!shape || !isExpectedStatus(endpoint.assertions, metric.statusCode)) {
+      return;
+    }
+
+    try {
+      const environment = metric.environment || null;
+      const baseline = environment
+        ? endpoint.responseShapes?.[environment]
+        : endpoint.responseShape;
+      const baselineHash = baseline ? hashShape(baseline) : null;
+      const currentHash = metric.metaData.shapeHash;
+
+      if (baseline && baselineHash !== currentHash) {
+        const { breaking, ...changes } = diffShapes(baseline, shape);
+        const changeCount =
+          changes.added.length +
+          changes.removed.length +
+          changes.changed.length;
+
+        // A drift that persists is recorded once, not on every probe
+        const lastDrift = await SchemaDrift.findOne({
+          where: { endpointId: endpoint.id, environment },
+          order: [["timestamp", "DESC"]],
+        });
+        const alreadyRecorded =
+          lastDrift?.previousHash === baselineHash &&
+          lastDrift?.currentHash === currentHash;
+
+        if (changeCount > 0 && !alreadyRecorded) {
+          await SchemaDrift.create({
+            endpointId: endpoint.id,
+            metricId,
+            environment,
+            timestamp: metric.timestamp,
+            previousHash: baselineHash,
+            currentHash,
+            previousShape: baseline,
+            currentShape: shape,
+            changes,
+            breaking,
+          });
+
+          if (endpoint.driftAlertsEnabled) {
+            await this.createAlert({
+              endpointId: endpoint.id,
+              environment,
+              type: "SCHEMA_DRIFT",
+              message: `Response shape of ${endpoint.path} changed${
+                breaking ? " (breaking)" : ""
+              }: ${describeShapeDiff(changes)}`,
+              value: changeCount,
+              threshold: 0,
+            });
+          }
+        }
+      }
+
+      if (metric.success && baselineHash !== currentHash) {
+        await endpoint.update(
+          environment
+            ? {
+                responseShapes: {
+                  ...endpoint.responseShapes,
+                  [environment]: shape,
+                },
+              }
+            : { responseShape: shape }
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error checking schema drift for endpoint ${endpoint.id}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Raise a redirect alert when a previously direct endpoint starts redirecting
+   * @param {Object} endpoint - Endpoint object
+   * @param {Object} metric - Collected metric
+   * @returns {Promise<void>}
+   */
+  async checkRedirect(endpoint, metric) {
+    const redirects = metric.metaData?.redirects;
+    if (!redirects || redirects.length === 0) return;
+
+    try {
+      // Compare with the last check that got a response
+      const previousMetric = await Metric.findOne({
+        where: {
+          endpointId: endpoint.id,
+          environment: metric.environment || null,
+          isInterim: false,
+          statusCode: { [Op.gt]: 0 },
+          timestamp: { [Op.lt]: metric.timestamp },
+        },
+        order: [["timestamp", "DESC"]],
+      });
+
+      if (!previousMetric || previousMetric.metaData?.redirects?.length > 0) {
+        return;
+      }
+
+      await this.createAlert({
+        endpointId: endpoint.id,
+        environment: metric.environment || null,
+        type: "REDIRECT",
+        message: `${endpoint.path} started redirecting: ${redirects
+          .map((hop) => `${hop.statusCode} -> ${hop.location}`)
+          .join(", ")}`,
+        value: redirects.length,
+        threshold: 0,
+      });
+    } catch (error) {
+      console.error(
+        `Error checking redirects for endpoint ${endpoint.id}:`,
+        error
+      );
+    }
   }
 
   /**
    * Check error rate for an endpoint over the last hour
    * @param {Object} endpoint - Endpoint object
+   * @param {string} environment - Only count checks in this environment
    * @returns {Promise<void>}
    */
-  async checkErrorRate(endpoint) {
+  async checkErrorRate(endpoint, environment = null) {
     try {
       const oneHourAgo = moment().subtract(1, "hour").toDate();
 
@@ -255,7 +1456,10 @@ class MonitorService {
       const metrics = await Metric.findAll({
         where: {
           endpointId: endpoint.id,
+          environment: environment || null,
           timestamp: { [Op.gte]: oneHourAgo },
+          isInterim: false,
+          inMaintenance: false,
         },
       });
 
@@ -271,6 +1475,7 @@ class MonitorService {
         // Create alert
         await this.createAlert({
           endpointId: endpoint.id,
+          environment,
           type: "ERROR_RATE",
           message: `Error rate (${errorRate.toFixed(2)}%) exceeds threshold (${
             endpoint.errorRateThreshold
@@ -283,6 +1488,7 @@ class MonitorService {
         if (errorRate > endpoint.errorRateThreshold * 2) {
           await this.createIncident({
             endpointId: endpoint.id,
+            environment,
             title: `High Error Rate for ${endpoint.path}`,
             message: `Error rate of ${errorRate.toFixed(
               2
@@ -302,9 +1508,10 @@ class MonitorService {
   /**
    * Check availability for an endpoint over the last hour
    * @param {Object} endpoint - Endpoint object
+   * @param {string} environment - Only count checks in this environment
    * @returns {Promise<void>}
    */
-  async checkAvailability(endpoint) {
+  async checkAvailability(endpoint, environment = null) {
     try {
       const oneHourAgo = moment().subtract(1, "hour").toDate();
 
@@ -312,7 +1519,10 @@ class MonitorService {
       const metrics = await Metric.findAll({
         where: {
           endpointId: endpoint.id,
+          environment: environment || null,
           timestamp: { [Op.gte]: oneHourAgo },
+          isInterim: false,
+          inMaintenance: false,
         },
       });
 
@@ -328,6 +1538,7 @@ class MonitorService {
         // Create alert
         await this.createAlert({
           endpointId: endpoint.id,
+          environment,
           type: "AVAILABILITY",
           message: `Availability (${availability.toFixed(
             2
@@ -340,6 +1551,7 @@ class MonitorService {
         if (availability < endpoint.availabilityThreshold - 10) {
           await this.createIncident({
             endpointId: endpoint.id,
+            environment,
             title: `Low Availability for ${endpoint.path}`,
             message: `Availability of ${availability.toFixed(
               2
@@ -365,10 +1577,16 @@ class MonitorService {
    */
   async createAlert(alertData) {
     try {
+      // Alerts are suppressed during planned maintenance
+      if (await this.isEndpointInMaintenance(alertData.endpointId)) {
+        return null;
+      }
+
       // Check if similar alert already exists
       const existingAlert = await Alert.findOne({
         where: {
           endpointId: alertData.endpointId,
+          environment: alertData.environment || null,
           type: alertData.type,
           status: { [Op.ne]: "RESOLVED" },
           createdAt: { [Op.gte]: moment().subtract(1, "hour").toDate() },
@@ -396,10 +1614,16 @@ class MonitorService {
    */
   async createIncidentFromError(endpoint, error, metric) {
     try {
+      // Incidents are suppressed during planned maintenance
+      if (this.isInMaintenance(endpoint)) {
+        return null;
+      }
+
       // Check if there's already an open incident for this endpoint
       const existingIncident = await Incident.findOne({
         where: {
           endpointId: endpoint.id,
+          environment: metric.environment || null,
           status: { [Op.ne]: "RESOLVED" },
         },
       });
@@ -412,6 +1636,7 @@ class MonitorService {
       // Create new incident
       const incident = await Incident.create({
         endpointId: endpoint.id,
+        environment: metric.environment || null,
         title: `Error detected for ${endpoint.path}`,
         message: error.message || "Unknown error",
         startTime: new Date(),
@@ -423,8 +1648,12 @@ class MonitorService {
       // Create alert linked to this incident
       await Alert.create({
         endpointId: endpoint.id,
+        environment: incident.environment,
         incidentId: incident.id,
-        type: "STATUS_CODE",
+        // Unreachable TCP/UDP/DNS targets have no status code to report
+        type: NETWORK_CHECK_TYPES.includes(endpoint.checkType)
+          ? "AVAILABILITY"
+          : "STATUS_CODE",
         message: `Error detected: ${error.message || "Unknown error"}`,
         status: "NEW",
       });
@@ -442,10 +1671,16 @@ class MonitorService {
    */
   async createIncident(incidentData) {
     try {
+      // Incidents are suppressed during planned maintenance
+      if (await this.isEndpointInMaintenance(incidentData.endpointId)) {
+        return null;
+      }
+
       // Check if there's already an open incident for this endpoint
       const existingIncident = await Incident.findOne({
         where: {
           endpointId: incidentData.endpointId,
+          environment: incidentData.environment || null,
           status: { [Op.ne]: "RESOLVED" },
         },
       });
@@ -465,6 +1700,7 @@ class MonitorService {
       // Create alert linked to this incident
       await Alert.create({
         endpointId: incidentData.endpointId,
+        environment: incident.environment,
         incidentId: incident.id,
         type: incidentData.type || "OTHER",
         message: incidentData.message,
@@ -512,6 +1748,221 @@ class MonitorService {
     }
   }
 
+  /**
+   * Check TLS certificates of all monitored HTTPS hosts
+   * Endpoints sharing a host:port are checked (and alerted) once, against the
+   * first endpoint of the group.
+   * @returns {Promise<Array>} Checked certificates
+   */
+  async checkCertificates() {
+    // Templated URLs are checked as resolved in each environment
+    const targets = this.endpoints.flatMap((endpoint) =>
+      this.getEndpointEnvironments(endpoint).map((environment) =>
+        environment
+          ? {
+              id: endpoint.id,
+              checkType: endpoint.checkType,
+              baseUrl: interpolate(endpoint.baseUrl, environment.variables),
+              path: interpolate(endpoint.path, environment.variables),
+              environment: environment.name,
+            }
+          : endpoint
+      )
+    );
+    const groups = certificateService.groupEndpointsByHost(targets);
+    const certificates = [];
+
+    for (const { host, port, endpoints } of groups.values()) {
+      try {
+        const { certificate, previous } = await certificateService.checkHost(
+          host,
+          port
+        );
+        certificates.push(certificate);
+
+        if (certificate.checkError) {
+          console.error(
+            `Certificate check failed for ${host}:${port}: ${certificate.checkError}`
+          );
+          continue;
+        }
+
+        await this.checkCertificateAlerts(endpoints[0], certificate, previous);
+      } catch (error) {
+        console.error(`Error checking certificate for ${host}:${port}:`, error);
+      }
+    }
+
+    return certificates;
+  }
+
+  /**
+   * Raise expiry and hostname alerts for a checked certificate
+   * @param {Object} endpoint - Endpoint the alerts are attached to, with the
+   * environment its URL was resolved in
+   * @param {Object} certificate - Certificate instance
+   * @param {Object|null} previous - Values from the previous check
+   */
+  async checkCertificateAlerts(endpoint, certificate, previous) {
+    const { host, port, daysUntilExpiry } = certificate;
+
+    // Alert once per threshold as the expiry date gets closer
+    const threshold = certificateService.getCrossedThreshold(daysUntilExpiry);
+    if (
+      threshold !== null &&
+      (certificate.lastAlertThreshold === null ||
+        threshold < certificate.lastAlertThreshold)
+    ) {
+      const alert = await this.createAlert({
+        endpointId: endpoint.id,
+        // Certificates are checked per endpoint, not per environment
+        environment: null,
+        type: "CERTIFICATE_EXPIRY",
+        message:
+          daysUntilExpiry < 0
+            ? `TLS certificate for ${host}:${port} expired ${-daysUntilExpiry} days ago`
+            : `TLS certificate for ${host}:${port} expires in ${daysUntilExpiry} days (${moment(
+                certificate.validTo
+              ).format("YYYY-MM-DD")})`,
+        value: daysUntilExpiry,
+        threshold,
+        status: "NEW",
+      });
+      // An alert suppressed by a maintenance window is raised after it
+      if (alert) {
+        await certificate.update({ lastAlertThreshold: threshold });
+      }
+    }
+
+    // Alert when the hostname stops matching, not on every check
+    if (
+      certificate.hostnameValid === false &&
+      (!previous || previous.hostnameValid !== false)
+    ) {
+      await this.createAlert({
+        endpointId: endpoint.id,
+        environment: null,
+        type: "CERTIFICATE_HOSTNAME",
+        message: `TLS certificate for ${host}:${port} does not match hostname: ${certificate.hostnameError}`,
+        status: "NEW",
+      });
+    }
+  }
+
+  /**
+   * Record a ping of a heartbeat endpoint
+   * A "start" ping only marks the run as started; "success" and "fail" end
+   * it and are stored as a metric with the run duration as response time
+   * (when a start was reported). A "fail" ping opens an incident.
+   * @param {Object} endpoint - HEARTBEAT endpoint
+   * @param {string} kind - success, start or fail
+   * @param {string} message - Message sent with the ping (optional)
+   * @returns {Promise<Object|null>} Stored metric data (null for "start")
+   */
+  async recordHeartbeat(endpoint, kind, message) {
+    const now = new Date();
+
+    if (kind === "start") {
+      await endpoint.update({ heartbeatStartedAt: now });
+      return null;
+    }
+
+    const duration = endpoint.heartbeatStartedAt
+      ? now - new Date(endpoint.heartbeatStartedAt)
+      : null;
+    const metric = {
+      endpointId: endpoint.id,
+      location: HEARTBEAT_LOCATION,
+      timestamp: now,
+      inMaintenance: this.isInMaintenance(endpoint, now),
+      responseTime: duration,
+      success: kind === "success",
+      errorMessage:
+        kind === "fail" ? message || "Job reported a failed run" : null,
+      metaData: { heartbeat: kind, ...(message ? { message } : {}) },
+    };
+
+    await Metric.create(metric);
+    await endpoint.update({ lastHeartbeatAt: now, heartbeatStartedAt: null });
+
+    if (kind === "fail") {
+      await this.createIncident({
+        endpointId: endpoint.id,
+        title: `Failed run reported for ${endpoint.path}`,
+        message: metric.errorMessage,
+        severity: "HIGH",
+        type: "HEARTBEAT",
+      });
+    }
+
+    return metric;
+  }
+
+  /**
+   * Raise an incident for every heartbeat endpoint whose ping is overdue
+   * Each missed deadline is recorded (as a failed metric) and alerted once.
+   * @returns {Promise<number>} Number of newly missed heartbeats
+   */
+  async checkHeartbeats() {
+    // Read from the database, pings update endpoints outside the loaded list
+    const endpoints = await Endpoint.findAll({
+      where: { isActive: true, checkType: "HEARTBEAT" },
+    });
+    const now = new Date();
+    let missed = 0;
+
+    for (const endpoint of endpoints) {
+      const deadline = getHeartbeatDeadline(endpoint);
+      // A ping missed during maintenance is reported once the window closes
+      if (
+        deadline > now ||
+        this.missedHeartbeats.get(endpoint.id) === deadline.getTime() ||
+        this.isInMaintenance(endpoint, now)
+      ) {
+        continue;
+      }
+
+      try {
+        const since = endpoint.lastHeartbeatAt
+          ? `since ${moment(endpoint.lastHeartbeatAt).format(
+              "YYYY-MM-DD HH:mm:ss"
+            )}`
+          : "received yet";
+        const message = endpoint.heartbeatStartedAt
+          ? `No heartbeat ${since}; the run started ${moment(
+              endpoint.heartbeatStartedAt
+            ).format("YYYY-MM-DD HH:mm:ss")} did not finish`
+          : `No heartbeat ${since}`;
+
+        await Metric.create({
+          endpointId: endpoint.id,
+          location: HEARTBEAT_LOCATION,
+          timestamp: now,
+          success: false,
+          errorMessage: message,
+          metaData: { heartbeat: "missed", deadline },
+        });
+        await this.createIncident({
+          endpointId: endpoint.id,
+          title: `Missed heartbeat for ${endpoint.path}`,
+          message,
+          severity: "HIGH",
+          type: "HEARTBEAT",
+        });
+
+        this.missedHeartbeats.set(endpoint.id, deadline.getTime());
+        missed += 1;
+      } catch (error) {
+        console.error(
+          `Error checking heartbeat of endpoint ${endpoint.id}:`,
+          error
+        );
+      }
+    }
+
+    return missed;
+  }
+
   /**
    * Clean up old metrics (older than 30 days)
    * @returns {Promise<number>} Number of deleted metrics
@@ -556,11 +2007,13 @@ class MonitorService {
         order: [["timestamp", "DESC"]],
       });
 
-      // Get uptime data
+      // Get uptime data (planned maintenance doesn't count as downtime)
       const oneDayAgo = moment().subtract(1, "day").toDate();
       const metrics = await Metric.findAll({
         where: {
           timestamp: { [Op.gte]: oneDayAgo },
+          isInterim: false,
+          inMaintenance: false,
         },
         attributes: ["endpointId", "success"],
         include: [
@@ -602,6 +2055,9 @@ class MonitorService {
         openIncidents,
         newAlerts,
         systemStatus: systemStatus || {},
+        openMaintenanceWindows: this.getOpenMaintenanceWindows().map(
+          ({ id, name, scope }) => ({ id, name, scope })
+        ),
         uptime: {
           overall: parseFloat(overallUptime.toFixed(2)),
           byEndpoint: Object.entries(uptimeByEndpoint).map(([path, data]) => ({
@@ -623,9 +2079,16 @@ class MonitorService {
    * Get detailed metrics for an endpoint
    * @param {number} endpointId - Endpoint ID
    * @param {string} timeRange - Time range (e.g., '1h', '24h', '7d')
+   * @param {string} location - Only include probes from this location
+   * @param {string} environment - Only include probes in this environment
    * @returns {Promise<Object>} Detailed metrics
    */
-  async getEndpointMetrics(endpointId, timeRange = "24h") {
+  async getEndpointMetrics(
+    endpointId,
+    timeRange = "24h",
+    location,
+    environment
+  ) {
     try {
       // Parse time range
       const timeParts = timeRange.match(/^(\d+)([hdwmy])$/);
@@ -667,19 +2130,52 @@ class MonitorService {
         throw new Error("Endpoint not found");
       }
 
-      // Get metrics for the time range
+      const locationFilter = {
+        ...(location ? { location } : {}),
+        ...(environment ? { environment } : {}),
+      };
+
+      // Get metrics for the time range (without planned maintenance)
       const metrics = await Metric.findAll({
         where: {
           endpointId,
           timestamp: { [Op.gte]: startTime },
+          isInterim: false,
+          inMaintenance: false,
+          ...locationFilter,
         },
         order: [["timestamp", "ASC"]],
       });
 
+      // Checks run during maintenance windows, shown separately
+      const maintenanceChecks = await Metric.count({
+        where: {
+          endpointId,
+          timestamp: { [Op.gte]: startTime },
+          isInterim: false,
+          inMaintenance: true,
+          ...locationFilter,
+        },
+      });
+
+      // Retry attempts and unconfirmed failures, shown separately
+      const interimAttempts = await Metric.count({
+        where: {
+          endpointId,
+          timestamp: { [Op.gte]: startTime },
+          isInterim: true,
+          ...locationFilter,
+        },
+      });
+
       // Process metrics
       const timePoints = [];
       const responseTimeSeries = [];
       const successRateSeries = [];
+      // One series per timing phase (dns, tcp, tls, firstByte, download)
+      const timingSeries = Object.fromEntries(
+        TIMING_PHASES.map((phase) => [phase, []])
+      );
       const requestCountMap = new Map();
 
       // Group metrics by hour
@@ -691,6 +2187,9 @@ class MonitorService {
             total: 0,
             success: 0,
             responseTimes: [],
+            timings: Object.fromEntries(
+              TIMING_PHASES.map((phase) => [phase, []])
+            ),
           });
         }
 
@@ -702,6 +2201,13 @@ class MonitorService {
         if (metric.responseTime) {
           data.responseTimes.push(metric.responseTime);
         }
+        if (metric.timings) {
+          TIMING_PHASES.forEach((phase) => {
+            if (typeof metric.timings[phase] === "number") {
+              data.timings[phase].push(metric.timings[phase]);
+            }
+          });
+        }
       });
 
       // Convert to time series
@@ -717,6 +2223,18 @@ class MonitorService {
         successRateSeries.push(
           parseFloat(((data.success / data.total) * 100).toFixed(2))
         );
+
+        // Phases that never happened in this hour (e.g. TLS on http) are null
+        TIMING_PHASES.forEach((phase) => {
+          const values = data.timings[phase];
+          timingSeries[phase].push(
+            values.length
+              ? Math.round(
+                  values.reduce((sum, time) => sum + time, 0) / values.length
+                )
+              : null
+          );
+        });
       });
 
       // Get status code distribution
@@ -754,26 +2272,51 @@ class MonitorService {
           id: endpoint.id,
           path: endpoint.path,
           method: endpoint.method,
+          checkType: endpoint.checkType,
           description: endpoint.description,
           responseTimeThreshold: endpoint.responseTimeThreshold,
           errorRateThreshold: endpoint.errorRateThreshold,
           availabilityThreshold: endpoint.availabilityThreshold,
+          locations: getEndpointLocations(endpoint),
+          minFailingLocations: endpoint.minFailingLocations,
+          environments: getEnvironmentNames(endpoint),
+          inMaintenance: this.isInMaintenance(endpoint),
         },
         timeRange,
+        location: location || null,
+        environment: environment || null,
         metrics: {
           totalRequests,
+          interimAttempts,
+          maintenanceChecks,
           timePoints,
           responseTimeSeries,
           successRateSeries,
+          timingSeries,
           statusCodePercentages,
           avgResponseTime: Math.round(avgResponseTime),
           successRate: parseFloat(successRate.toFixed(2)),
         },
+        // Per-step breakdown for transaction endpoints
+        steps:
+          endpoint.checkType === "TRANSACTION"
+            ? this.getTransactionStepMetrics(metrics)
+            : undefined,
+        // Per-operation breakdown for GraphQL endpoints
+        operations:
+          endpoint.checkType === "GRAPHQL"
+            ? this.getGraphqlOperationMetrics(metrics)
+            : undefined,
+        // Per-location breakdown (local and agent probes)
+        locations: this.getLocationMetrics(metrics),
+        // Per-environment breakdown
+        environments: this.getEnvironmentMetrics(metrics),
         // Get related incidents
         incidents: await Incident.findAll({
           where: {
             endpointId,
             startTime: { [Op.gte]: startTime },
+            ...(environment ? { environment } : {}),
           },
           order: [["startTime", "DESC"]],
         }),
@@ -782,6 +2325,7 @@ class MonitorService {
           where: {
             endpointId,
             timestamp: { [Op.gte]: startTime },
+            ...(environment ? { environment } : {}),
           },
           order: [["timestamp", "DESC"]],
         }),
@@ -795,6 +2339,227 @@ class MonitorService {
     }
   }
 
+  /**
+   * Build per-step time series from transaction metrics
+   * @param {Array} metrics - Transaction metrics in ascending time order
+   * @returns {Array<Object>} Step metrics in step order
+   */
+  getTransactionStepMetrics(metrics) {
+    const stepMap = new Map();
+
+    // Group step results by step name and hour
+    metrics.forEach((metric) => {
+      const hourKey = moment(metric.timestamp).format("YYYY-MM-DD HH:00:00");
+
+      (metric.metaData?.steps || []).forEach((step) => {
+        if (!stepMap.has(step.name)) {
+          stepMap.set(step.name, {
+            name: step.name,
+            stepOrder: step.stepOrder,
+            hours: new Map(),
+          });
+        }
+
+        const hours = stepMap.get(step.name).hours;
+        if (!hours.has(hourKey)) {
+          hours.set(hourKey, { total: 0, success: 0, responseTimes: [] });
+        }
+
+        const data = hours.get(hourKey);
+        data.total += 1;
+        if (step.success) {
+          data.success += 1;
+        }
+        if (step.responseTime) {
+          data.responseTimes.push(step.responseTime);
+        }
+      });
+    });
+
+    return [...stepMap.values()]
+      .sort((a, b) => a.stepOrder - b.stepOrder)
+      .map(({ name, stepOrder, hours }) => {
+        const timePoints = [];
+        const responseTimeSeries = [];
+        const successRateSeries = [];
+        let runs = 0;
+        let successfulRuns = 0;
+        let responseTimes = [];
+
+        hours.forEach((data, hourKey) => {
+          timePoints.push(moment(hourKey).format("HH:mm"));
+          responseTimeSeries.push(
+            data.responseTimes.length
+              ? Math.round(
+                  data.responseTimes.reduce((sum, time) => sum + time, 0) /
+                    data.responseTimes.length
+                )
+              : 0
+          );
+          successRateSeries.push(
+            parseFloat(((data.success / data.total) * 100).toFixed(2))
+          );
+
+          runs += data.total;
+          successfulRuns += data.success;
+          responseTimes = responseTimes.concat(data.responseTimes);
+        });
+
+        return {
+          name,
+          stepOrder,
+          runs,
+          avgResponseTime: responseTimes.length
+            ? Math.round(
+                responseTimes.reduce((sum, time) => sum + time, 0) /
+                  responseTimes.length
+              )
+            : 0,
+          successRate: parseFloat(((successfulRuns / runs) * 100).toFixed(2)),
+          timePoints,
+          responseTimeSeries,
+          successRateSeries,
+        };
+      });
+  }
+
+  /**
+   * Summarize metrics per probe location
+   * @param {Array} metrics - Metrics in ascending time order
+   * @returns {Array<Object>} Location metrics
+   */
+  getLocationMetrics(metrics) {
+    return this.summarizeMetricsBy(
+      metrics,
+      "location",
+      (metric) => metric.location || LOCAL_LOCATION
+    );
+  }
+
+  /**
+   * Summarize metrics per environment
+   * @param {Array} metrics - Metrics in ascending time order
+   * @returns {Array<Object>} Environment metrics (empty when no probe ran in
+   * an environment)
+   */
+  getEnvironmentMetrics(metrics) {
+    return this.summarizeMetricsBy(
+      metrics.filter((metric) => metric.environment),
+      "environment",
+      (metric) => metric.environment
+    );
+  }
+
+  /**
+   * Summarize metrics per group (runs, success rate, latest result)
+   * @param {Array} metrics - Metrics in ascending time order
+   * @param {string} field - Name of the group field in the summary
+   * @param {Function} getGroup - Returns the group of a metric
+   * @returns {Array<Object>} Group metrics
+   */
+  summarizeMetricsBy(metrics, field, getGroup) {
+    const groupMap = new Map();
+
+    metrics.forEach((metric) => {
+      const group = getGroup(metric);
+      if (!groupMap.has(group)) {
+        groupMap.set(group, {
+          [field]: group,
+          runs: 0,
+          failedRuns: 0,
+          responseTimes: [],
+        });
+      }
+
+      const data = groupMap.get(group);
+      data.runs += 1;
+      if (!metric.success) {
+        data.failedRuns += 1;
+      }
+      if (metric.responseTime) {
+        data.responseTimes.push(metric.responseTime);
+      }
+      // Metrics are in ascending order, so the last one seen is the latest
+      data.lastCheckedAt = metric.timestamp;
+      data.lastSuccess = metric.success;
+    });
+
+    return [...groupMap.values()].map(
+      ({ responseTimes, failedRuns, ...data }) => ({
+        ...data,
+        avgResponseTime: responseTimes.length
+          ? Math.round(
+              responseTimes.reduce((sum, time) => sum + time, 0) /
+                responseTimes.length
+            )
+          : 0,
+        successRate: parseFloat(
+          (((data.runs - failedRuns) / data.runs) * 100).toFixed(2)
+        ),
+      })
+    );
+  }
+
+  /**
+   * Summarize GraphQL metrics per operation
+   * @param {Array} metrics - GraphQL metrics in ascending time order
+   * @returns {Array<Object>} Operation metrics
+   */
+  getGraphqlOperationMetrics(metrics) {
+    const operationMap = new Map();
+
+    metrics.forEach((metric) => {
+      const graphql = metric.metaData?.graphql;
+      if (!graphql) return;
+
+      const key = `${graphql.operationType} ${graphql.operationName || ""}`;
+      if (!operationMap.has(key)) {
+        operationMap.set(key, {
+          operationType: graphql.operationType,
+          operationName: graphql.operationName,
+          runs: 0,
+          failedRuns: 0,
+          responseTimes: [],
+          errorCodes: {},
+        });
+      }
+
+      const data = operationMap.get(key);
+      data.runs += 1;
+      if (!metric.success) {
+        data.failedRuns += 1;
+      }
+      if (metric.responseTime) {
+        data.responseTimes.push(metric.responseTime);
+      }
+      (graphql.errorCodes || []).forEach((code) => {
+        data.errorCodes[code] = (data.errorCodes[code] || 0) + 1;
+      });
+    });
+
+    return [...operationMap.values()].map(
+      ({ responseTimes, failedRuns, ...data }) => {
+        const sortedTimes = [...responseTimes].sort((a, b) => a - b);
+
+        return {
+          ...data,
+          avgResponseTime: sortedTimes.length
+            ? Math.round(
+                sortedTimes.reduce((sum, time) => sum + time, 0) /
+                  sortedTimes.length
+              )
+            : 0,
+          p95ResponseTime: sortedTimes.length
+            ? sortedTimes[Math.ceil(sortedTimes.length * 0.95) - 1]
+            : 0,
+          successRate: parseFloat(
+            (((data.runs - failedRuns) / data.runs) * 100).toFixed(2)
+          ),
+        };
+      }
+    );
+  }
+
   async calculateEndpointHealthScore(endpointId) {
     try {
       const endpoint = await Endpoint.findByPk(endpointId);
@@ -802,12 +2567,14 @@ class MonitorService {
         throw new Error("Endpoint not found");
       }
 
-      // Get metrics from the last 24 hours
+      // Get metrics from the last 24 hours, without planned maintenance
       const oneDayAgo = moment().subtract(1, "day").toDate();
       const metrics = await Metric.findAll({
         where: {
           endpointId,
           timestamp: { [Op.gte]: oneDayAgo },
+          isInterim: false,
+          inMaintenance: false,
         },
       });
 
@@ -0,0 +1,292 @@
+/**
+ * Network Check Service
+ * Probes for non-HTTP check types: TCP connect (with optional banner match),
+ * UDP request/response latency and DNS record resolution
+ */
+
+const net = require("net");
+const dgram = require("dgram");
+const dns = require("dns");
+
+// Banners longer than this are truncated before matching and storing
+const MAX_BANNER_LENGTH = 4096;
+
+class NetworkCheckService {
+  constructor() {
+    this.defaultTimeoutMs =
+      parseInt(process.env.NETWORK_CHECK_TIMEOUT) || 10000;
+  }
+
+  /**
+   * Run a network check
+   * Connection failures reject; content mismatches (banner, response or
+   * DNS values) resolve with failed assertion results instead.
+   * @param {string} checkType - TCP, UDP or DNS
+   * @param {Object} config - Endpoint checkConfig
+   * @returns {Promise<Object>} { responseTime, timings, assertionResults, metaData }
+   */
+  probe(checkType, config) {
+    switch (checkType) {
+      case "TCP":
+        return this.probeTcp(config);
+      case "UDP":
+        return this.probeUdp(config);
+      case "DNS":
+        return this.probeDns(config);
+      default:
+        return Promise.reject(new Error(`Unsupported check type ${checkType}`));
+    }
+  }
+
+  /**
+   * Open a TCP connection, optionally send a message and wait for a banner
+   * @param {Object} config - { host, port, send, bannerPattern, timeoutMs }
+   * @returns {Promise<Object>} Check result
+   */
+  probeTcp(config) {
+    const { host, bannerPattern, send } = config;
+    const port = Number(config.port);
+    const timeoutMs = config.timeoutMs || this.defaultTimeoutMs;
+
+    return new Promise((resolve, reject) => {
+      const startAt = Date.now();
+      const marks = { lookupAt: null, connectAt: null, firstByteAt: null };
+      let banner = "";
+      let settled = false;
+
+      const socket = net.connect({ host, port });
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+
+        const endAt = Date.now();
+        const assertionResults = [];
+        if (bannerPattern) {
+          const passed = new RegExp(bannerPattern).test(banner);
+          assertionResults.push({
+            type: "BANNER",
+            expected: bannerPattern,
+            actual: banner,
+            passed,
+            message: passed
+              ? undefined
+              : banner
+              ? `banner does not match ${bannerPattern}`
+              : `no banner received within ${timeoutMs}ms`,
+          });
+        }
+
+        resolve({
+          responseTime: endAt - startAt,
+          timings: {
+            // No lookup event means the host was already an IP address
+            dns: marks.lookupAt !== null ? marks.lookupAt - startAt : 0,
+            tcp: marks.connectAt - (marks.lookupAt ?? startAt),
+            tls: null,
+            firstByte:
+              marks.firstByteAt !== null
+                ? marks.firstByteAt - marks.connectAt
+                : null,
+            download: null,
+          },
+          assertionResults,
+          metaData: { host, port, banner: banner || undefined },
+        });
+      };
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        reject(error);
+      };
+
+      // A connection that was made but sent no (matching) banner is a
+      // reachable service with a failed banner check, not a connection error
+      const timer = setTimeout(() => {
+        if (marks.connectAt !== null) return finish();
+        fail(
+          new Error(
+            `TCP connection to ${host}:${port} timed out after ${timeoutMs}ms`
+          )
+        );
+      }, timeoutMs);
+
+      socket.once("lookup", () => {
+        marks.lookupAt = Date.now();
+      });
+      socket.on("error", fail);
+      socket.once("connect", () => {
+        marks.connectAt = Date.now();
+        if (send) {
+          // Without a banner to wait for, the check ends once it is written
+          socket.write(send, bannerPattern ? undefined : finish);
+        } else if (!bannerPattern) {
+          finish();
+        }
+      });
+      socket.on("data", (chunk) => {
+        if (marks.firstByteAt === null) marks.firstByteAt = Date.now();
+        banner = (banner + chunk.toString()).slice(0, MAX_BANNER_LENGTH);
+        if (
+          new RegExp(bannerPattern).test(banner) ||
+          banner.length >= MAX_BANNER_LENGTH
+        ) {
+          finish();
+        }
+      });
+      socket.once("close", () => {
+        if (marks.connectAt !== null) finish();
+      });
+    });
+  }
+
+  /**
+   * Send a UDP datagram and wait for the first reply
+   * @param {Object} config - { host, port, payload, payloadEncoding,
+   * responsePattern, timeoutMs }
+   * @returns {Promise<Object>} Check result
+   */
+  probeUdp(config) {
+    const { host, responsePattern } = config;
+    const port = Number(config.port);
+    const encoding = config.payloadEncoding || "utf8";
+    const timeoutMs = config.timeoutMs || this.defaultTimeoutMs;
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+      let startAt;
+      let settled = false;
+
+      const settle = (callback) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.close();
+        callback();
+      };
+
+      const timer = setTimeout(() => {
+        settle(() =>
+          reject(
+            new Error(
+              `No UDP response from ${host}:${port} within ${timeoutMs}ms`
+            )
+          )
+        );
+      }, timeoutMs);
+
+      // Connected sockets also surface ICMP "port unreachable" as errors
+      socket.on("error", (error) => settle(() => reject(error)));
+
+      socket.once("message", (message) => {
+        const responseTime = Date.now() - startAt;
+        const response = message.toString(encoding);
+
+        settle(() => {
+          const assertionResults = [];
+          if (responsePattern) {
+            const passed = new RegExp(responsePattern).test(response);
+            assertionResults.push({
+              type: "UDP_RESPONSE",
+              expected: responsePattern,
+              actual: response,
+              passed,
+              message: passed
+                ? undefined
+                : `response does not match ${responsePattern}`,
+            });
+          }
+
+          resolve({
+            responseTime,
+            timings: null,
+            assertionResults,
+            metaData: {
+              host,
+              port,
+              response: response.slice(0, MAX_BANNER_LENGTH),
+              responseSize: message.length,
+            },
+          });
+        });
+      });
+
+      socket.connect(port, host, () => {
+        startAt = Date.now();
+        socket.send(Buffer.from(config.payload || "", encoding));
+      });
+    });
+  }
+
+  /**
+   * Resolve a DNS record and compare it with the expected values
+   * @param {Object} config - { hostname, recordType, expectedValues, servers,
+   * timeoutMs }
+   * @returns {Promise<Object>} Check result
+   */
+  async probeDns(config) {
+    const { hostname, expectedValues = [], servers } = config;
+    const recordType = config.recordType || "A";
+    const resolver = new dns.promises.Resolver({
+      timeout: config.timeoutMs || this.defaultTimeoutMs,
+      tries: 1,
+    });
+    if (servers && servers.length > 0) {
+      resolver.setServers(servers);
+    }
+
+    const startAt = Date.now();
+    const records = await resolver.resolve(hostname, recordType);
+    const responseTime = Date.now() - startAt;
+
+    const answers = records.map((record) => {
+      if (recordType === "TXT") return record.join("");
+      if (recordType === "MX") return record.exchange;
+      return record;
+    });
+
+    // Names are compared case-insensitively and without the trailing dot
+    const normalize = (value) =>
+      recordType === "TXT"
+        ? String(value)
+        : String(value).toLowerCase().replace(/\.$/, "");
+    const normalizedAnswers = answers.map(normalize);
+
+    const assertionResults = expectedValues.map((expected) => {
+      const passed = normalizedAnswers.includes(normalize(expected));
+      return {
+        type: "DNS_RECORD",
+        name: recordType,
+        expected,
+        actual: answers,
+        passed,
+        message: passed
+          ? undefined
+          : `${expected} not in ${recordType} records (${answers.join(", ")})`,
+      };
+    });
+
+    return {
+      responseTime,
+      timings: {
+        dns: responseTime,
+        tcp: null,
+        tls: null,
+        firstByte: null,
+        download: null,
+      },
+      assertionResults,
+      metaData: { hostname, recordType, answers },
+    };
+  }
+}
+
+// Create singleton instance
+const networkCheckService = new NetworkCheckService();
+
+module.exports = networkCheckService;
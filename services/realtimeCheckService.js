@@ -0,0 +1,366 @@
+/**
+ * Realtime Check Service
+ * Probes for WEBSOCKET and SSE endpoints: open the stream, optionally send a
+ * message, then wait for a message or event matching a pattern
+ */
+
+const http = require("http");
+const https = require("https");
+const WebSocket = require("ws");
+const { createTimingAgents } = require("../utils/timing");
+
+// Messages longer than this are truncated before storing
+const MAX_MESSAGE_LENGTH = 4096;
+
+class RealtimeCheckService {
+  constructor() {
+    this.defaultTimeoutMs =
+      parseInt(process.env.REALTIME_CHECK_TIMEOUT) || 10000;
+  }
+
+  /**
+   * Run a realtime check
+   * Connection and handshake failures reject; a stream that opens but never
+   * delivers the expected message resolves with a failed assertion result.
+   * @param {string} checkType - WEBSOCKET or SSE
+   * @param {Object} request - { url, headers, agentOptions } with auth
+   * already applied; agentOptions ({ tls, proxyUrl }) come from the endpoint's
+   * network profile, and the proxy is only used for wss:// and https:// URLs
+   * @param {Object} config - Endpoint checkConfig
+   * @returns {Promise<Object>} { statusCode, responseTime, timings,
+   * assertionResults, metaData }
+   */
+  probe(checkType, request, config = {}) {
+    switch (checkType) {
+      case "WEBSOCKET":
+        return this.probeWebSocket(request, config);
+      case "SSE":
+        return this.probeSse(request, config);
+      default:
+        return Promise.reject(new Error(`Unsupported check type ${checkType}`));
+    }
+  }
+
+  /**
+   * Get the pattern a check waits for
+   * Without expectPattern, a WebSocket check that sends a message waits for
+   * any reply; otherwise the check passes as soon as the stream is open.
+   * @param {Object} config - Endpoint checkConfig
+   * @returns {RegExp|null} Expected message pattern
+   */
+  getExpectation(config) {
+    if (config.expectPattern) return new RegExp(config.expectPattern);
+    if (config.send !== undefined) return /[\s\S]*/;
+    return null;
+  }
+
+  /**
+   * Record a received message and check it against the expectation
+   * @param {Object} state - Probe state (mutated)
+   * @param {string} text - Message text
+   * @param {RegExp|null} expectation - Expected message pattern
+   * @returns {boolean} Whether the message matched
+   */
+  recordMessage(state, text, expectation) {
+    const now = Date.now();
+    state.messagesReceived += 1;
+    if (state.firstMessageAt === null) state.firstMessageAt = now;
+    state.lastMessage = text.slice(0, MAX_MESSAGE_LENGTH);
+
+    if (expectation && expectation.test(text)) {
+      state.matchedAt = now;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Turn the final probe state into a check result
+   * @param {Object} state - Probe state
+   * @param {RegExp|null} expectation - Expected message pattern
+   * @param {number} timeoutMs - Timeout used by the probe
+   * @returns {Object} Check result
+   */
+  buildResult(state, expectation, timeoutMs) {
+    const matched = state.matchedAt !== null;
+    const endAt = matched ? state.matchedAt : Date.now();
+    const assertionResults = [];
+
+    if (expectation) {
+      assertionResults.push({
+        type: "MESSAGE",
+        expected: expectation.source,
+        actual: state.lastMessage,
+        passed: matched,
+        message: matched
+          ? undefined
+          : state.closeCode !== null || state.closeReason !== null
+          ? `connection closed${
+              state.closeCode !== null ? ` (code ${state.closeCode})` : ""
+            } before a message matching ${expectation.source}`
+          : `no message matching ${expectation.source} within ${timeoutMs}ms`,
+      });
+    }
+
+    return {
+      statusCode: state.statusCode,
+      responseTime: (expectation ? endAt : state.openAt) - state.startAt,
+      timings: state.timings,
+      assertionResults,
+      metaData: {
+        connectTime: state.openAt - state.startAt,
+        firstMessageLatency:
+          state.firstMessageAt !== null
+            ? state.firstMessageAt - state.openAt
+            : null,
+        messagesReceived: state.messagesReceived,
+        lastMessage: state.lastMessage,
+        eventType: state.eventType,
+        closeCode: state.closeCode,
+        closeReason: state.closeReason,
+      },
+    };
+  }
+
+  /**
+   * Fresh state for a probe
+   * @returns {Object} Probe state
+   */
+  createState() {
+    return {
+      startAt: Date.now(),
+      openAt: null,
+      firstMessageAt: null,
+      matchedAt: null,
+      lastMessage: null,
+      messagesReceived: 0,
+      eventType: undefined,
+      statusCode: null,
+      closeCode: null,
+      closeReason: null,
+      timings: null,
+    };
+  }
+
+  /**
+   * Open a WebSocket, optionally send a message and wait for a reply
+   * @param {Object} request - { url, headers, agentOptions }
+   * @param {Object} config - { send, expectPattern, subprotocols, timeoutMs }
+   * @returns {Promise<Object>} Check result
+   */
+  probeWebSocket(request, config) {
+    const timeoutMs = config.timeoutMs || this.defaultTimeoutMs;
+    const expectation = this.getExpectation(config);
+    const url = request.url.replace(/^http/i, "ws");
+
+    return new Promise((resolve, reject) => {
+      const timingAgents = createTimingAgents(
+        request.agentOptions?.tls,
+        request.agentOptions?.proxyUrl
+      );
+      const state = this.createState();
+      let settled = false;
+
+      const socket = new WebSocket(url, config.subprotocols || [], {
+        headers: request.headers,
+        agent: /^wss:/i.test(url)
+          ? timingAgents.httpsAgent
+          : timingAgents.httpAgent,
+        handshakeTimeout: timeoutMs,
+      });
+
+      const settle = (callback) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        state.timings = timingAgents.getTimings(state.openAt ?? Date.now());
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.close(1000);
+        } else {
+          socket.terminate();
+        }
+        timingAgents.destroy();
+        callback();
+      };
+      const finish = () =>
+        settle(() => resolve(this.buildResult(state, expectation, timeoutMs)));
+      const fail = (error) => settle(() => reject(error));
+
+      const timer = setTimeout(() => {
+        if (state.openAt !== null) return finish();
+        fail(
+          new Error(
+            `WebSocket connection to ${url} timed out after ${timeoutMs}ms`
+          )
+        );
+      }, timeoutMs);
+
+      socket.on("unexpected-response", (req, res) => {
+        const error = new Error(
+          `WebSocket handshake rejected with status ${res.statusCode}`
+        );
+        error.response = { status: res.statusCode };
+        req.destroy();
+        fail(error);
+      });
+      socket.on("error", (error) => {
+        if (state.openAt !== null) return finish();
+        fail(error);
+      });
+      socket.on("open", () => {
+        state.openAt = Date.now();
+        state.statusCode = 101;
+
+        if (config.send !== undefined) {
+          socket.send(
+            typeof config.send === "string"
+              ? config.send
+              : JSON.stringify(config.send)
+          );
+        }
+        if (!expectation) finish();
+      });
+      socket.on("message", (data, isBinary) => {
+        const text = isBinary
+          ? `<binary ${data.length} bytes>`
+          : data.toString();
+        if (this.recordMessage(state, text, expectation)) finish();
+      });
+      socket.on("close", (code, reason) => {
+        state.closeCode = code;
+        state.closeReason = reason.toString() || null;
+        if (state.openAt !== null) return finish();
+        fail(new Error(`WebSocket closed during handshake (code ${code})`));
+      });
+    });
+  }
+
+  /**
+   * Open a Server-Sent Events stream and wait for a matching event
+   * @param {Object} request - { url, headers, agentOptions }
+   * @param {Object} config - { expectPattern, eventType, timeoutMs }
+   * @returns {Promise<Object>} Check result
+   */
+  probeSse(request, config) {
+    const timeoutMs = config.timeoutMs || this.defaultTimeoutMs;
+    const expectation = this.getExpectation(config);
+    const isHttps = /^https:/i.test(request.url);
+
+    return new Promise((resolve, reject) => {
+      const timingAgents = createTimingAgents(
+        request.agentOptions?.tls,
+        request.agentOptions?.proxyUrl
+      );
+      const state = this.createState();
+      let settled = false;
+      let buffer = "";
+
+      const req = (isHttps ? https : http).request(request.url, {
+        method: "GET",
+        headers: {
+          Accept: "text/event-stream",
+          "Cache-Control": "no-cache",
+          ...request.headers,
+        },
+        agent: isHttps ? timingAgents.httpsAgent : timingAgents.httpAgent,
+      });
+
+      const settle = (callback) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        state.timings = timingAgents.getTimings(state.openAt ?? Date.now());
+        req.destroy();
+        timingAgents.destroy();
+        callback();
+      };
+      const finish = () =>
+        settle(() => resolve(this.buildResult(state, expectation, timeoutMs)));
+      const fail = (error) => settle(() => reject(error));
+
+      const timer = setTimeout(() => {
+        if (state.openAt !== null) return finish();
+        fail(
+          new Error(
+            `SSE connection to ${request.url} timed out after ${timeoutMs}ms`
+          )
+        );
+      }, timeoutMs);
+
+      // Events are separated by a blank line; each has optional "event:"
+      // and one or more "data:" lines
+      const handleEvent = (block) => {
+        let type = "message";
+        const data = [];
+
+        block.split(/\r?\n/).forEach((line) => {
+          if (!line || line.startsWith(":")) return;
+          const separator = line.indexOf(":");
+          const field = separator === -1 ? line : line.slice(0, separator);
+          const value =
+            separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+
+          if (field === "event") type = value;
+          if (field === "data") data.push(value);
+        });
+
+        if (data.length === 0) return;
+        if (config.eventType && type !== config.eventType) return;
+
+        if (this.recordMessage(state, data.join("\n"), expectation)) {
+          state.eventType = type;
+          finish();
+        }
+      };
+
+      req.on("response", (res) => {
+        state.statusCode = res.statusCode;
+
+        if (res.statusCode !== 200) {
+          const error = new Error(
+            `SSE endpoint responded with status ${res.statusCode}`
+          );
+          error.response = { status: res.statusCode };
+          return fail(error);
+        }
+        if (!/text\/event-stream/i.test(res.headers["content-type"] || "")) {
+          return fail(
+            new Error(
+              `Expected text/event-stream, got ${
+                res.headers["content-type"] || "no content type"
+              }`
+            )
+          );
+        }
+
+        state.openAt = Date.now();
+        if (!expectation) return finish();
+
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = blocks.pop();
+          blocks.forEach((block) => {
+            if (!settled) handleEvent(block);
+          });
+        });
+        res.on("end", () => {
+          state.closeReason = "stream ended";
+          finish();
+        });
+      });
+      req.on("error", (error) => {
+        if (state.openAt !== null) return finish();
+        fail(error);
+      });
+
+      req.end();
+    });
+  }
+}
+
+// Create singleton instance
+const realtimeCheckService = new RealtimeCheckService();
+
+module.exports = realtimeCheckService;
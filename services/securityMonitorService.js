@@ -5,7 +5,7 @@
 
 const { Op } = require("sequelize");
 const moment = require("moment");
-const { Endpoint, Metric, SecurityAlert } = require("../models");
+const { Endpoint, Metric, SecurityAlert, TrafficEvent } = require("../models");
 const { sequelize } = require("../config/database");
 
 class SecurityMonitorService {
@@ -109,15 +109,41 @@ class SecurityMonitorService {
     }
   }
 
+  /**
+   * Get the clients that sent the most requests
+   * @param {Object} where - Traffic event filter
+   * @param {number} limit - Number of clients
+   * @returns {Promise<Array<Object>>} [{ clientIp, count }]
+   */
+  async getTopClients(where, limit = 5) {
+    const clients = await TrafficEvent.findAll({
+      attributes: [
+        "clientIp",
+        [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+      ],
+      where: { ...where, clientIp: { [Op.ne]: null } },
+      group: ["clientIp"],
+      order: [[sequelize.fn("COUNT", sequelize.col("id")), "DESC"]],
+      limit,
+      raw: true,
+    });
+
+    return clients.map((client) => ({
+      clientIp: client.clientIp,
+      count: Number(client.count),
+    }));
+  }
+
   /**
    * Detect potential rate limiting or DDoS attempts
+   * Based on real traffic reported by the traffic middleware
    */
   async detectRateLimiting(endpoint) {
     try {
       const fiveMinutesAgo = moment().subtract(5, "minutes").toDate();
 
-      // Get recent metrics grouped by minute
-      const metrics = await Metric.findAll({
+      // Get recent traffic grouped by minute
+      const metrics = await TrafficEvent.findAll({
         attributes: [
           [sequelize.fn("YEAR", sequelize.col("timestamp")), "year"],
           [sequelize.fn("MONTH", sequelize.col("timestamp")), "month"],
@@ -162,6 +188,11 @@ class SecurityMonitorService {
           });
 
           if (!existingAlert) {
+            const topClients = await this.getTopClients({
+              endpointId: endpoint.id,
+              timestamp: { [Op.gte]: fiveMinutesAgo },
+            });
+
             // Create a new alert
             await SecurityAlert.create({
               endpointId: endpoint.id,
@@ -172,6 +203,8 @@ class SecurityMonitorService {
                 requestCount: metricGroup.count,
                 threshold: threshold,
                 minute: `${metricGroup.year}-${metricGroup.month}-${metricGroup.day} ${metricGroup.hour}:${metricGroup.minute}`,
+                // Over the last five minutes
+                topClients,
               },
             });
 
@@ -191,22 +224,35 @@ class SecurityMonitorService {
 
   /**
    * Monitor authentication failures
+   * Based on real traffic reported by the traffic middleware
    */
   async monitorAuthFailures(endpoint) {
     try {
       const oneDayAgo = moment().subtract(1, "day").toDate();
+      const where = {
+        endpointId: endpoint.id,
+        timestamp: { [Op.gte]: oneDayAgo },
+        statusCode: [401, 403],
+      };
 
-      // Get auth failure metrics (401, 403 status codes)
-      const authFailures = await Metric.findAll({
-        where: {
-          endpointId: endpoint.id,
-          timestamp: { [Op.gte]: oneDayAgo },
-          [Op.or]: [{ statusCode: 401 }, { statusCode: 403 }],
-        },
+      // Count auth failures (401, 403 status codes)
+      const failureCounts = await TrafficEvent.findAll({
+        attributes: [
+          "statusCode",
+          [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+        ],
+        where,
+        group: ["statusCode"],
+        raw: true,
       });
+      const countOf = (statusCode) =>
+        Number(
+          failureCounts.find((row) => row.statusCode === statusCode)?.count || 0
+        );
+      const failureCount = countOf(401) + countOf(403);
 
       // If more than 5 auth failures in a day, create an alert
-      if (authFailures.length >= 5) {
+      if (failureCount >= 5) {
         // Check if a similar alert already exists
         const existingAlert = await SecurityAlert.findOne({
           where: {
@@ -222,16 +268,15 @@ class SecurityMonitorService {
           await SecurityAlert.create({
             endpointId: endpoint.id,
             type: "AUTH_FAILURE",
-            severity: authFailures.length > 20 ? "HIGH" : "MEDIUM",
-            message: `Unusual number of authentication failures: ${authFailures.length} in the last 24 hours`,
+            severity: failureCount > 20 ? "HIGH" : "MEDIUM",
+            message: `Unusual number of authentication failures: ${failureCount} in the last 24 hours`,
             details: {
-              failureCount: authFailures.length,
+              failureCount,
               statusCodes: {
-                unauthorized: authFailures.filter((m) => m.statusCode === 401)
-                  .length,
-                forbidden: authFailures.filter((m) => m.statusCode === 403)
-                  .length,
+                unauthorized: countOf(401),
+                forbidden: countOf(403),
               },
+              topClients: await this.getTopClients(where),
             },
           });
 
@@ -269,10 +314,12 @@ class SecurityMonitorService {
         // Skip if no metaData or no response data
         if (!metric.metaData || !metric.metaData.responseData) continue;
 
-        const responseData =
+        // Redaction placeholders are counted from metaData.redactions below
+        const responseData = (
           typeof metric.metaData.responseData === "string"
             ? metric.metaData.responseData
-            : JSON.stringify(metric.metaData.responseData);
+            : JSON.stringify(metric.metaData.responseData)
+        ).replace(/\[REDACTED:\w+\]/g, "");
 
         // Check for sensitive data patterns
         const foundPatterns = [];
@@ -286,6 +333,18 @@ class SecurityMonitorService {
           }
         }
 
+        // Secrets were masked before the body was stored (utils/redaction.js)
+        for (const redaction of metric.metaData.redactions || []) {
+          const found = foundPatterns.find(
+            (pattern) => pattern.type === redaction.type
+          );
+          if (found) {
+            found.count += redaction.count;
+          } else {
+            foundPatterns.push({ ...redaction, redacted: true });
+          }
+        }
+
         if (foundPatterns.length > 0) {
           // Check if a similar alert already exists
           const existingAlert = await SecurityAlert.findOne({
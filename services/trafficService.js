@@ -0,0 +1,267 @@
+/**
+ * Traffic Service
+ * Stores the real requests reported by the traffic middleware
+ * (sdk/trafficMonitor.js) against the endpoints they belong to
+ */
+
+const { Op } = require("sequelize");
+const moment = require("moment");
+const { Endpoint, Environment, TrafficEvent } = require("../models");
+const { interpolate } = require("../utils/variables");
+const { getEnvironmentNames } = require("../utils/environments");
+
+// Events accepted in a single batch
+const MAX_EVENTS_PER_BATCH = 1000;
+// Unmatched routes listed back to the reporting service
+const MAX_UNMATCHED_ROUTES = 20;
+// Traffic events are kept as long as probe metrics
+const RETENTION_DAYS = 30;
+// Scheme and authority of an absolute URL; the host is captured
+const URL_ORIGIN_PATTERN =
+  /^[a-z][a-z\d+.-]*:\/\/(?:[^@/?#]*@)?(\[[^\]]*\]|[^/?#:]*)[^/?#]*/i;
+
+class TrafficService {
+  /**
+   * Split a path or route into segments
+   * Query strings and trailing slashes are ignored.
+   * @param {string} path - Path, route pattern or absolute URL
+   * @returns {Array<string>} Segments
+   */
+  getSegments(path) {
+    // Not parsed as a URL, which would encode {{placeholders}}
+    const pathname = String(path).replace(URL_ORIGIN_PATTERN, "");
+
+    return pathname.split(/[?#]/)[0].split("/").filter(Boolean);
+  }
+
+  /**
+   * Check whether a segment is a route parameter (":id", "{id}" or a
+   * "{{variable}}" placeholder)
+   * @param {string} segment - Path segment
+   * @returns {boolean} Is parameter
+   */
+  isParam(segment) {
+    return segment.startsWith(":") || /^\{\{?[^}]+\}?\}$/.test(segment);
+  }
+
+  /**
+   * Hosts and path segments an endpoint is probed at, one per environment
+   * @param {Object} endpoint - Endpoint object
+   * @param {Array<Object>} environments - Environments
+   * @returns {Array<Object>} [{ endpoint, host, segments }]; host is null
+   * when the URL has no (resolved) host
+   */
+  getEndpointTargets(endpoint, environments) {
+    const url =
+      endpoint.baseUrl && !/^[a-z][a-z\d+.-]*:\/\//i.test(endpoint.path)
+        ? `${endpoint.baseUrl}${endpoint.path}`
+        : endpoint.path;
+    const names = getEnvironmentNames(endpoint);
+    const variableSets =
+      names.length > 0
+        ? environments
+            .filter((environment) => names.includes(environment.name))
+            .map((environment) => environment.getVariables())
+        : [{}];
+
+    return variableSets.map((variables) => {
+      const resolved = interpolate(url, variables);
+      const host = (resolved.match(URL_ORIGIN_PATTERN) || [])[1];
+
+      return {
+        endpoint,
+        host: host && !host.includes("{") ? host.toLowerCase() : null,
+        segments: this.getSegments(resolved),
+      };
+    });
+  }
+
+  /**
+   * Find the endpoint a reported route belongs to
+   * Parameters on either side match any segment, so "/users/:id" matches an
+   * endpoint probing "/users/1" and "/users/42" one with path "/users/{id}".
+   * The endpoint sharing the most literal segments with the route wins.
+   * Events that report their host only match endpoints probed at that host,
+   * so services with the same routes aren't mixed up.
+   * @param {Array<Object>} targets - Targets of the active endpoints (see
+   * getEndpointTargets)
+   * @param {string} method - HTTP method
+   * @param {string} route - Reported route
+   * @param {string} host - Reported host (optional)
+   * @returns {Object|null} Endpoint
+   */
+  matchEndpoint(targets, method, route, host = null) {
+    const routeSegments = this.getSegments(route);
+    let best = null;
+    let bestScore = -1;
+
+    for (const { endpoint, segments, ...target } of targets) {
+      if (endpoint.method !== method) continue;
+      if (host && target.host !== host) continue;
+      if (segments.length !== routeSegments.length) continue;
+
+      let score = 0;
+      const matches = segments.every((segment, index) => {
+        const routeSegment = routeSegments[index];
+        if (segment === routeSegment) {
+          score += 1;
+          return true;
+        }
+        return this.isParam(segment) || this.isParam(routeSegment);
+      });
+
+      if (matches && score > bestScore) {
+        best = endpoint;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Build a traffic event from a reported one
+   * @param {Object} reported - Event as sent by the middleware
+   * @returns {Object|null} Event data, or null when the event is malformed
+   */
+  toEvent(reported) {
+    if (!reported || typeof reported !== "object") return null;
+
+    const { route, method, host, statusCode, latencyMs, clientIp, userIdHash } =
+      reported;
+    const timestamp = reported.timestamp
+      ? new Date(reported.timestamp)
+      : new Date();
+
+    if (
+      typeof route !== "string" ||
+      !route ||
+      route.length > 500 ||
+      typeof method !== "string" ||
+      !Number.isInteger(statusCode) ||
+      statusCode < 100 ||
+      statusCode > 599 ||
+      typeof latencyMs !== "number" ||
+      latencyMs < 0 ||
+      isNaN(timestamp) ||
+      (host !== undefined &&
+        host !== null &&
+        (typeof host !== "string" || host.length > 255)) ||
+      (clientIp !== undefined &&
+        clientIp !== null &&
+        (typeof clientIp !== "string" || clientIp.length > 45)) ||
+      // Only hashes are accepted, so raw user IDs are never stored
+      (userIdHash !== undefined &&
+        userIdHash !== null &&
+        !/^[a-f0-9]{16,64}$/i.test(userIdHash))
+    ) {
+      return null;
+    }
+
+    return {
+      timestamp,
+      route,
+      method: method.toUpperCase(),
+      // Only used to find the endpoint, not stored
+      host: host ? host.toLowerCase() : null,
+      statusCode,
+      latencyMs: Math.round(latencyMs),
+      clientIp: clientIp || null,
+      userIdHash: userIdHash ? userIdHash.toLowerCase() : null,
+    };
+  }
+
+  /**
+   * Store a batch of traffic events
+   * Events whose route matches no active endpoint are dropped; their routes
+   * are listed in the result so missing endpoints can be added.
+   * @param {Object} apiKey - ApiKey the batch was sent with
+   * @param {Array<Object>} events - Events from the middleware
+   * @returns {Promise<Object>} { accepted, invalid, unmatched, unmatchedRoutes }
+   */
+  async ingestEvents(apiKey, events) {
+    if (!Array.isArray(events) || events.length > MAX_EVENTS_PER_BATCH) {
+      const error = new Error(
+        `Events must be an array of at most ${MAX_EVENTS_PER_BATCH} items`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const endpoints = await Endpoint.findAll({
+      where: { isActive: true, checkType: ["HTTP", "GRAPHQL"] },
+    });
+    const environments = await Environment.findAll();
+    const targets = endpoints.flatMap((endpoint) =>
+      this.getEndpointTargets(endpoint, environments)
+    );
+
+    const records = [];
+    const unmatchedRoutes = new Set();
+    let invalid = 0;
+    let unmatched = 0;
+
+    for (const reported of events) {
+      const event = this.toEvent(reported);
+      if (!event) {
+        invalid += 1;
+        continue;
+      }
+
+      const { host, ...values } = event;
+      const endpoint = this.matchEndpoint(
+        targets,
+        values.method,
+        values.route,
+        host
+      );
+      if (!endpoint) {
+        unmatched += 1;
+        if (unmatchedRoutes.size < MAX_UNMATCHED_ROUTES) {
+          unmatchedRoutes.add(`${values.method} ${values.route}`);
+        }
+        continue;
+      }
+
+      records.push({ ...values, endpointId: endpoint.id, apiKeyId: apiKey.id });
+    }
+
+    if (records.length > 0) {
+      await TrafficEvent.bulkCreate(records);
+    }
+
+    return {
+      accepted: records.length,
+      invalid,
+      unmatched,
+      unmatchedRoutes: [...unmatchedRoutes],
+    };
+  }
+
+  /**
+   * Clean up old traffic events
+   * @returns {Promise<number>} Number of deleted events
+   */
+  async cleanupOldEvents() {
+    try {
+      const cutoffDate = moment().subtract(RETENTION_DAYS, "days").toDate();
+
+      const deletedEvents = await TrafficEvent.destroy({
+        where: {
+          timestamp: { [Op.lt]: cutoffDate },
+        },
+      });
+
+      console.log(`Cleaned up ${deletedEvents} old traffic events`);
+      return deletedEvents;
+    } catch (error) {
+      console.error("Error cleaning up old traffic events:", error);
+      return 0;
+    }
+  }
+}
+
+// Create singleton instance
+const trafficService = new TrafficService();
+
+module.exports = trafficService;
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  validateSchemaDefinition,
+  validateResponseSchema,
+} = require("../utils/schemaValidator");
+
+// Endpoints loaded from the database each carry their own copy of a schema
+const schema = () => ({
+  $id: "https://example.com/schemas/user.json",
+  type: "object",
+  required: ["id"],
+  properties: { id: { type: "integer" } },
+});
+
+test("a schema with $id can be saved more than once", () => {
+  assert.doesNotThrow(() => validateSchemaDefinition(schema()));
+  assert.doesNotThrow(() => validateSchemaDefinition(schema()));
+});
+
+test("endpoints sharing a schema $id are validated independently", () => {
+  const first = { id: 1, updatedAt: new Date(1), responseSchema: schema() };
+  const second = { id: 2, updatedAt: new Date(1), responseSchema: schema() };
+
+  assert.strictEqual(validateResponseSchema(first, { id: 1 }).valid, true);
+  assert.strictEqual(validateResponseSchema(second, { id: 1 }).valid, true);
+
+  // A new version of the endpoint recompiles the same $id
+  const updated = {
+    ...first,
+    updatedAt: new Date(2),
+    responseSchema: schema(),
+  };
+  const result = validateResponseSchema(updated, {});
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(
+    result.errors.map((error) => error.path),
+    ["$.id"]
+  );
+});
@@ -0,0 +1,323 @@
+/**
+ * Response Assertions
+ * Evaluates per-endpoint assertions against probe responses
+ */
+
+const ASSERTION_TYPES = [
+  "STATUS_CODE",
+  "HEADER",
+  "JSON_PATH",
+  "BODY_CONTAINS",
+  "BODY_NOT_CONTAINS",
+  "MAX_SIZE",
+];
+
+const HEADER_OPERATORS = ["equals", "matches"];
+
+const JSON_PATH_OPERATORS = [
+  "equals",
+  "contains",
+  "exists",
+  "lessThan",
+  "greaterThan",
+];
+
+/**
+ * Split a JSON path like $.data.items[0].id into its segments
+ * @param {string} path - JSON path
+ * @returns {Array<string>} Path segments
+ */
+const parseJsonPath = (path) => {
+  const segments = [];
+  const expression = String(path).replace(/^\$\.?/, "");
+  const pattern = /([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    segments.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return segments;
+};
+
+/**
+ * Read a value from parsed JSON using a JSON path
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSON path (e.g. $.data.items[0].id)
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+const getJsonPathValue = (data, path) => {
+  let current = data;
+
+  for (const segment of parseJsonPath(path)) {
+    if (
+      current === null ||
+      typeof current !== "object" ||
+      !Object.prototype.hasOwnProperty.call(current, segment)
+    ) {
+      return { found: false, value: undefined };
+    }
+    current = current[segment];
+  }
+
+  return { found: true, value: current };
+};
+
+/**
+ * Compare two values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Are equal
+ */
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Validate an assertion list before it is saved on an endpoint
+ * @param {Array} assertions - Assertion definitions
+ * @throws {Error} When an assertion is malformed
+ */
+const validateAssertions = (assertions) => {
+  if (assertions === null || assertions === undefined) return;
+
+  if (!Array.isArray(assertions)) {
+    throw new Error("Assertions must be an array");
+  }
+
+  assertions.forEach((assertion, index) => {
+    const label = `Assertion ${index + 1}`;
+
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+      throw new Error(
+        `${label}: type must be one of ${ASSERTION_TYPES.join(", ")}`
+      );
+    }
+
+    switch (assertion.type) {
+      case "STATUS_CODE":
+        if (
+          !Array.isArray(assertion.expected) ||
+          assertion.expected.length === 0 ||
+          !assertion.expected.every(Number.isInteger)
+        ) {
+          throw new Error(`${label}: expected must be a list of status codes`);
+        }
+        break;
+      case "HEADER":
+        if (!assertion.name) {
+          throw new Error(`${label}: header name is required`);
+        }
+        if (!HEADER_OPERATORS.includes(assertion.operator)) {
+          throw new Error(
+            `${label}: operator must be one of ${HEADER_OPERATORS.join(", ")}`
+          );
+        }
+        if (assertion.operator === "matches") {
+          try {
+            new RegExp(assertion.value);
+          } catch (error) {
+            throw new Error(`${label}: invalid regular expression`);
+          }
+        }
+        break;
+      case "JSON_PATH":
+        if (!assertion.path) {
+          throw new Error(`${label}: path is required`);
+        }
+        if (!JSON_PATH_OPERATORS.includes(assertion.operator)) {
+          throw new Error(
+            `${label}: operator must be one of ${JSON_PATH_OPERATORS.join(
+              ", "
+            )}`
+          );
+        }
+        if (
+          ["lessThan", "greaterThan"].includes(assertion.operator) &&
+          typeof assertion.value !== "number"
+        ) {
+          throw new Error(`${label}: value must be a number`);
+        }
+        break;
+      case "BODY_CONTAINS":
+      case "BODY_NOT_CONTAINS":
+        if (typeof assertion.value !== "string" || !assertion.value) {
+          throw new Error(`${label}: value must be a non-empty string`);
+        }
+        break;
+      case "MAX_SIZE":
+        if (!Number.isInteger(assertion.value) || assertion.value < 0) {
+          throw new Error(`${label}: value must be a size in bytes`);
+        }
+        break;
+    }
+  });
+};
+
+/**
+ * Check whether a status code is expected for an endpoint
+ * Falls back to 2xx/3xx when no STATUS_CODE assertion is configured
+ * @param {Array} assertions - Assertion definitions
+ * @param {number} statusCode - Response status code
+ * @returns {boolean} Is expected status
+ */
+const isExpectedStatus = (assertions, statusCode) => {
+  const statusAssertion = (assertions || []).find(
+    (assertion) => assertion.type === "STATUS_CODE"
+  );
+
+  if (statusAssertion) {
+    return statusAssertion.expected.includes(statusCode);
+  }
+
+  return statusCode >= 200 && statusCode < 400;
+};
+
+/**
+ * Evaluate a single JSON path assertion
+ * @param {Object} assertion - JSON_PATH assertion
+ * @param {*} data - Parsed response body
+ * @returns {Object} Assertion result fields
+ */
+const evaluateJsonPath = (assertion, data) => {
+  if (data === undefined) {
+    return { passed: false, message: "Response body is not valid JSON" };
+  }
+
+  const { found, value } = getJsonPathValue(data, assertion.path);
+
+  if (assertion.operator === "exists") {
+    const shouldExist = assertion.value !== false;
+    return {
+      passed: found === shouldExist,
+      actual: found,
+      message: `${assertion.path} ${found ? "exists" : "does not exist"}`,
+    };
+  }
+
+  if (!found) {
+    return { passed: false, message: `${assertion.path} does not exist` };
+  }
+
+  switch (assertion.operator) {
+    case "equals":
+      return {
+        passed: isEqual(value, assertion.value),
+        actual: value,
+      };
+    case "contains":
+      if (Array.isArray(value)) {
+        return {
+          passed: value.some((item) => isEqual(item, assertion.value)),
+          actual: value,
+        };
+      }
+      return {
+        passed: String(value).includes(String(assertion.value)),
+        actual: value,
+      };
+    case "lessThan":
+      return {
+        passed: typeof value === "number" && value < assertion.value,
+        actual: value,
+      };
+    case "greaterThan":
+      return {
+        passed: typeof value === "number" && value > assertion.value,
+        actual: value,
+      };
+    default:
+      return { passed: false, message: "Unknown operator" };
+  }
+};
+
+/**
+ * Evaluate assertions against a probe response
+ * @param {Array} assertions - Assertion definitions
+ * @param {Object} response - Probe response
+ * @param {number} response.status - Status code
+ * @param {Object} response.headers - Response headers (lower-cased names)
+ * @param {string} response.body - Raw response body
+ * @param {*} response.data - Parsed JSON body (undefined if not JSON)
+ * @returns {Array<Object>} Assertion results
+ */
+const evaluateAssertions = (assertions, response) => {
+  return (assertions || []).map((assertion) => {
+    let result;
+
+    switch (assertion.type) {
+      case "STATUS_CODE":
+        result = {
+          passed: assertion.expected.includes(response.status),
+          actual: response.status,
+        };
+        break;
+      case "HEADER": {
+        const actual = response.headers[assertion.name.toLowerCase()];
+        if (actual === undefined) {
+          result = {
+            passed: false,
+            message: `Header ${assertion.name} missing`,
+          };
+        } else if (assertion.operator === "matches") {
+          result = {
+            passed: new RegExp(assertion.value).test(String(actual)),
+            actual,
+          };
+        } else {
+          result = {
+            passed: String(actual) === String(assertion.value),
+            actual,
+          };
+        }
+        break;
+      }
+      case "JSON_PATH":
+        result = evaluateJsonPath(assertion, response.data);
+        break;
+      case "BODY_CONTAINS":
+        result = { passed: (response.body || "").includes(assertion.value) };
+        break;
+      case "BODY_NOT_CONTAINS":
+        result = { passed: !(response.body || "").includes(assertion.value) };
+        break;
+      case "MAX_SIZE": {
+        const size = Buffer.byteLength(response.body || "");
+        result = { passed: size <= assertion.value, actual: size };
+        break;
+      }
+      default:
+        result = { passed: false, message: "Unknown assertion type" };
+    }
+
+    return {
+      ...assertion,
+      ...result,
+    };
+  });
+};
+
+/**
+ * Describe a failed assertion for alert messages
+ * @param {Object} result - Assertion result
+ * @returns {string} Human-readable description
+ */
+const describeAssertionFailure = (result) => {
+  const target = result.path || result.name || "";
+  const expected =
+    result.expected !== undefined ? result.expected : result.value;
+  const detail =
+    result.message ||
+    `expected ${result.operator ? `${result.operator} ` : ""}${JSON.stringify(
+      expected
+    )}, got ${JSON.stringify(result.actual)}`;
+
+  return `${result.type}${target ? ` ${target}` : ""}: ${detail}`;
+};
+
+module.exports = {
+  ASSERTION_TYPES,
+  getJsonPathValue,
+  validateAssertions,
+  isExpectedStatus,
+  evaluateAssertions,
+  describeAssertionFailure,
+};
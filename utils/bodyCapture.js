@@ -0,0 +1,133 @@
+/**
+ * Response Body Capture
+ * Decides which probe response bodies are stored on metrics, and prepares
+ * them (content type allowlist, size cap, secret redaction)
+ */
+
+const { redactSecrets } = require("./redaction");
+
+// Used when an endpoint has no bodyCaptureContentTypes of its own
+const DEFAULT_CAPTURE_CONTENT_TYPES = [
+  "application/json",
+  "application/*+json",
+  "application/xml",
+  "text/*",
+];
+
+/**
+ * Check a content type allowlist
+ * @param {Array} value - Content types such as "application/json" or "text/*"
+ * @throws {Error} When the list is malformed
+ */
+const validateContentTypes = (value) => {
+  if (value === null || value === undefined) return;
+
+  if (
+    !Array.isArray(value) ||
+    value.some(
+      (type) => typeof type !== "string" || !/^[\w.+*-]+\/[\w.+*-]+$/.test(type)
+    )
+  ) {
+    throw new Error(
+      'Body capture content types must be an array like ["application/json", "text/*"]'
+    );
+  }
+};
+
+/**
+ * Check whether a response content type is in an allowlist
+ * @param {string} contentType - Content-Type header value
+ * @param {Array<string>} allowed - Allowed types, "*" matches any part
+ * @returns {boolean} Is allowed
+ */
+const isCapturableContentType = (contentType, allowed) => {
+  const mediaType = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!mediaType) return false;
+
+  return allowed.some((pattern) => {
+    const expression = pattern
+      .toLowerCase()
+      .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, "[^/]*");
+    return new RegExp(`^${expression}$`).test(mediaType);
+  });
+};
+
+/**
+ * Decide whether to capture the body of a probe response
+ * SAMPLED captures every failure plus the given percentage of successes.
+ * @param {Object} endpoint - Endpoint object
+ * @param {boolean} success - Whether the probe succeeded
+ * @returns {boolean} Should capture
+ */
+const shouldCaptureBody = (endpoint, success) => {
+  switch (endpoint.bodyCapture) {
+    case "ALWAYS":
+      return true;
+    case "ON_FAILURE":
+      return !success;
+    case "SAMPLED":
+      return (
+        !success || Math.random() * 100 < (endpoint.bodyCaptureSampleRate ?? 0)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Cut UTF-8 text to at most maxBytes without splitting a character
+ * @param {Buffer} bytes - Encoded text
+ * @param {number} maxBytes - Byte limit
+ * @returns {string} Text
+ */
+const truncateUtf8 = (bytes, maxBytes) => {
+  let end = maxBytes;
+  // Continuation bytes (10xxxxxx) at the cut belong to a character that
+  // started before it
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return bytes.subarray(0, end).toString();
+};
+
+/**
+ * Capture a response body for storage in metric metaData
+ * Secrets are redacted before the body is cut to bodyCaptureMaxBytes, so a
+ * secret is never stored half-masked.
+ * @param {Object} endpoint - Endpoint object
+ * @param {Object} response - Probe response ({ headers, body })
+ * @param {boolean} success - Whether the probe succeeded
+ * @returns {Object} metaData fields to merge ({} when nothing is captured)
+ */
+const captureResponseBody = (endpoint, response, success) => {
+  if (!response || !response.body || !shouldCaptureBody(endpoint, success)) {
+    return {};
+  }
+
+  const allowed =
+    endpoint.bodyCaptureContentTypes || DEFAULT_CAPTURE_CONTENT_TYPES;
+  if (!isCapturableContentType(response.headers["content-type"], allowed)) {
+    return {};
+  }
+
+  const { text, redactions } = redactSecrets(response.body);
+  const bytes = Buffer.from(text);
+  const maxBytes = endpoint.bodyCaptureMaxBytes || bytes.length;
+
+  return {
+    responseData:
+      bytes.length > maxBytes ? truncateUtf8(bytes, maxBytes) : text,
+    responseDataBytes: Buffer.byteLength(response.body),
+    responseDataTruncated: bytes.length > maxBytes,
+    redactions,
+  };
+};
+
+module.exports = {
+  DEFAULT_CAPTURE_CONTENT_TYPES,
+  validateContentTypes,
+  isCapturableContentType,
+  captureResponseBody,
+};
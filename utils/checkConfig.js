@@ -0,0 +1,188 @@
+/**
+ * Check Configuration
+ * Validation of the checkConfig settings of non-HTTP, GraphQL, realtime and
+ * heartbeat checks
+ */
+
+// Check types probed by services/networkCheckService.js
+const NETWORK_CHECK_TYPES = ["TCP", "UDP", "DNS"];
+
+// Check types probed by services/realtimeCheckService.js
+const REALTIME_CHECK_TYPES = ["WEBSOCKET", "SSE"];
+
+// Check types that are configured through checkConfig
+const CONFIGURED_CHECK_TYPES = [
+  ...NETWORK_CHECK_TYPES,
+  "GRAPHQL",
+  ...REALTIME_CHECK_TYPES,
+  "HEARTBEAT",
+];
+
+const DNS_RECORD_TYPES = ["A", "AAAA", "CNAME", "TXT", "MX", "NS"];
+
+/**
+ * Check a host/port pair
+ * @param {Object} config - Check configuration
+ * @param {string} checkType - Check type (for error messages)
+ * @throws {Error} When host or port is invalid
+ */
+const validateHostPort = (config, checkType) => {
+  if (!config.host || typeof config.host !== "string") {
+    throw new Error(`${checkType} checks require checkConfig.host`);
+  }
+
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(
+      `${checkType} checks require checkConfig.port between 1 and 65535`
+    );
+  }
+};
+
+/**
+ * Check that a value compiles as a regular expression
+ * @param {string} pattern - Pattern
+ * @param {string} label - Setting name (for error messages)
+ * @throws {Error} When the pattern is invalid
+ */
+const validatePattern = (pattern, label) => {
+  if (pattern === undefined || pattern === null) return;
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`checkConfig.${label} is not a valid regular expression`);
+  }
+};
+
+/**
+ * Validate the checkConfig of an endpoint against its check type
+ * @param {string} checkType - Endpoint check type
+ * @param {Object} config - Check configuration
+ * @throws {Error} When the configuration is missing or invalid
+ */
+const validateCheckConfig = (checkType, config) => {
+  if (!CONFIGURED_CHECK_TYPES.includes(checkType)) return;
+
+  // Realtime checks can run on defaults (connect only)
+  if (REALTIME_CHECK_TYPES.includes(checkType) && !config) return;
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${checkType} checks require a checkConfig object`);
+  }
+
+  if (
+    config.timeoutMs !== undefined &&
+    !(Number.isInteger(config.timeoutMs) && config.timeoutMs > 0)
+  ) {
+    throw new Error("checkConfig.timeoutMs must be a positive integer");
+  }
+
+  switch (checkType) {
+    case "TCP":
+      validateHostPort(config, checkType);
+      validatePattern(config.bannerPattern, "bannerPattern");
+      break;
+
+    case "UDP":
+      validateHostPort(config, checkType);
+      validatePattern(config.responsePattern, "responsePattern");
+      if (
+        config.payloadEncoding &&
+        !["utf8", "hex"].includes(config.payloadEncoding)
+      ) {
+        throw new Error('checkConfig.payloadEncoding must be "utf8" or "hex"');
+      }
+      break;
+
+    case "DNS":
+      if (!config.hostname || typeof config.hostname !== "string") {
+        throw new Error("DNS checks require checkConfig.hostname");
+      }
+      if (!DNS_RECORD_TYPES.includes(config.recordType || "A")) {
+        throw new Error(
+          `checkConfig.recordType must be one of ${DNS_RECORD_TYPES.join(", ")}`
+        );
+      }
+      if (
+        config.expectedValues !== undefined &&
+        !Array.isArray(config.expectedValues)
+      ) {
+        throw new Error("checkConfig.expectedValues must be an array");
+      }
+      if (config.servers !== undefined && !Array.isArray(config.servers)) {
+        throw new Error("checkConfig.servers must be an array");
+      }
+      break;
+
+    case "GRAPHQL":
+      if (!config.query || typeof config.query !== "string") {
+        throw new Error("GraphQL checks require checkConfig.query");
+      }
+      if (
+        config.variables !== undefined &&
+        (typeof config.variables !== "object" ||
+          Array.isArray(config.variables))
+      ) {
+        throw new Error("checkConfig.variables must be an object");
+      }
+      if (
+        config.operationName !== undefined &&
+        typeof config.operationName !== "string"
+      ) {
+        throw new Error("checkConfig.operationName must be a string");
+      }
+      if (config.dataPath !== undefined && !/^\$/.test(config.dataPath)) {
+        throw new Error(
+          'checkConfig.dataPath must be a JSON path like "$.data"'
+        );
+      }
+      break;
+
+    case "WEBSOCKET":
+    case "SSE":
+      validatePattern(config.expectPattern, "expectPattern");
+      if (checkType === "SSE" && config.send !== undefined) {
+        throw new Error("SSE checks cannot send messages");
+      }
+      if (
+        config.subprotocols !== undefined &&
+        !Array.isArray(config.subprotocols)
+      ) {
+        throw new Error("checkConfig.subprotocols must be an array");
+      }
+      if (
+        config.eventType !== undefined &&
+        typeof config.eventType !== "string"
+      ) {
+        throw new Error("checkConfig.eventType must be a string");
+      }
+      break;
+
+    case "HEARTBEAT":
+      if (
+        !(Number.isInteger(config.periodSeconds) && config.periodSeconds > 0)
+      ) {
+        throw new Error(
+          "HEARTBEAT checks require checkConfig.periodSeconds (a positive integer)"
+        );
+      }
+      if (
+        config.graceSeconds !== undefined &&
+        !(Number.isInteger(config.graceSeconds) && config.graceSeconds >= 0)
+      ) {
+        throw new Error(
+          "checkConfig.graceSeconds must be a non-negative integer"
+        );
+      }
+      break;
+  }
+};
+
+module.exports = {
+  NETWORK_CHECK_TYPES,
+  REALTIME_CHECK_TYPES,
+  CONFIGURED_CHECK_TYPES,
+  DNS_RECORD_TYPES,
+  validateCheckConfig,
+};
@@ -0,0 +1,234 @@
+/**
+ * Cron Expressions
+ * Matching of standard 5-field cron expressions ("minute hour day-of-month
+ * month day-of-week") against dates, in a given IANA time zone.
+ * Fields support *, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10);
+ * day-of-week runs from 0 (Sunday) to 6, 7 is accepted for Sunday too.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const formatters = new Map();
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} value - Field, e.g. "1-5" or "*\/15"
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>} Matched values
+ * @throws {Error} When the field is malformed
+ */
+const parseField = (value, { name, min, max }) => {
+  const values = new Set();
+
+  value.split(",").forEach((part) => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${part}"`);
+    }
+
+    const [, all, from, to, step] = match;
+    const start = all === "*" ? min : parseInt(from);
+    // "5/10" means from 5 to the end, stepping by 10
+    const end =
+      all === "*" || (to === undefined && step !== undefined)
+        ? max
+        : parseInt(to ?? from);
+    const increment = step !== undefined ? parseInt(step) : 1;
+
+    if (increment < 1) {
+      throw new Error(`Cron ${name} "${part}" has a step of 0`);
+    }
+    if (start < min || end > max || start > end) {
+      throw new Error(`Cron ${name} "${part}" is out of range ${min}-${max}`);
+    }
+    for (let i = start; i <= end; i += increment) {
+      values.add(i);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression, e.g. "0 2 * * 0"
+ * @returns {Object} Parsed fields { minute, hour, dayOfMonth, month,
+ * dayOfWeek, restrictedDays }
+ * @throws {Error} When the expression is malformed
+ */
+const parseCron = (expression) => {
+  const parts =
+    typeof expression === "string" ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      'Cron expression must have 5 fields: "minute hour day-of-month month day-of-week"'
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  // Sunday can be written as 0 or 7
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // As in standard cron, when both day fields are restricted a date
+    // matches either of them
+    restrictedDays: parts[2] !== "*" && parts[4] !== "*",
+  };
+};
+
+/**
+ * Check a cron expression
+ * @param {string} expression - Cron expression
+ * @throws {Error} When the expression is malformed
+ */
+const validateCron = (expression) => {
+  parseCron(expression);
+};
+
+/**
+ * Check an IANA time zone name
+ * @param {string} timeZone - Time zone, e.g. "Europe/Berlin"
+ * @throws {Error} When the time zone is unknown
+ */
+const validateTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+};
+
+/**
+ * Calendar fields of a date in a time zone
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+const getDateParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        minute: "numeric",
+        hour: "numeric",
+        day: "numeric",
+        month: "numeric",
+        weekday: "short",
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    formatters
+      .get(timeZone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return {
+    minute: parseInt(parts.minute),
+    hour: parseInt(parts.hour),
+    dayOfMonth: parseInt(parts.day),
+    month: parseInt(parts.month),
+    dayOfWeek: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+      parts.weekday
+    ),
+  };
+};
+
+/**
+ * Check whether the day and hour of a date match a parsed cron expression
+ * @param {Object} parsed - Parsed expression (see parseCron)
+ * @param {Object} parts - Date parts (see getDateParts)
+ * @returns {boolean} Matches (any minute of the hour may still not)
+ */
+const hourMatches = (parsed, { hour, dayOfMonth, month, dayOfWeek }) => {
+  const dayMatches = parsed.restrictedDays
+    ? parsed.dayOfMonth.has(dayOfMonth) || parsed.dayOfWeek.has(dayOfWeek)
+    : parsed.dayOfMonth.has(dayOfMonth) && parsed.dayOfWeek.has(dayOfWeek);
+
+  return parsed.hour.has(hour) && parsed.month.has(month) && dayMatches;
+};
+
+/**
+ * Check whether a cron expression fires at the minute of a date
+ * @param {Object|string} cron - Parsed (see parseCron) or raw expression
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA time zone (default UTC)
+ * @returns {boolean} Matches
+ */
+const cronMatches = (cron, date, timeZone = "UTC") => {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const parts = getDateParts(date, timeZone);
+
+  return parsed.minute.has(parts.minute) && hourMatches(parsed, parts);
+};
+
+/**
+ * Find the latest time a cron expression fired within a look-back period
+ * Walks back an hour at a time through hours that don't match, and jumps
+ * to the matching minute within one that does.
+ * @param {Object|string} cron - Parsed (see parseCron) or raw expression
+ * @param {Date} date - Date to look back from (included)
+ * @param {number} minutes - Minutes to look back
+ * @param {string} timeZone - IANA time zone (default UTC)
+ * @returns {Date|null} Start of the matching minute, or null
+ */
+const findLastCronMatch = (cron, date, minutes, timeZone = "UTC") => {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+  const start = new Date(date);
+  start.setSeconds(0, 0);
+  const earliest = start.getTime() - minutes * 60000;
+
+  let candidate = start.getTime();
+  while (candidate >= earliest) {
+    const parts = getDateParts(new Date(candidate), timeZone);
+
+    if (hourMatches(parsed, parts)) {
+      const minute = Math.max(
+        ...[...parsed.minute].filter((m) => m <= parts.minute),
+        -1
+      );
+      if (minute >= 0) {
+        const match = candidate - (parts.minute - minute) * 60000;
+        // Time zone changes can move the hour under the jump
+        if (
+          match >= earliest &&
+          cronMatches(parsed, new Date(match), timeZone)
+        ) {
+          return new Date(match);
+        }
+        if (match < earliest) return null;
+        candidate -= 60000;
+        continue;
+      }
+    }
+
+    // Last minute of the previous hour
+    candidate -= (parts.minute + 1) * 60000;
+  }
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  validateCron,
+  validateTimeZone,
+  cronMatches,
+  findLastCronMatch,
+};
@@ -0,0 +1,81 @@
+/**
+ * Environments
+ * One endpoint definition can be probed in several environments (dev,
+ * staging, prod, ...); each probe fills the {{variables}} of the definition
+ * with the values of its environment
+ */
+
+const NAME_PATTERN = /^[\w.-]{1,50}$/;
+// Names usable as {{placeholders}} (see utils/variables.js)
+const VARIABLE_NAME_PATTERN = /^[\w.-]{1,100}$/;
+
+/**
+ * Check an environment name
+ * @param {string} value - Name, e.g. "staging"
+ * @throws {Error} When the name is malformed
+ */
+const validateEnvironmentName = (value) => {
+  if (typeof value !== "string" || !NAME_PATTERN.test(value)) {
+    throw new Error(
+      "Environment name must be 1-50 letters, digits, _, . or - characters"
+    );
+  }
+};
+
+/**
+ * Check a map of variable values
+ * @param {Object} value - Values by name, e.g. { "tenantId": "t-42" }
+ * @param {string} label - Name used in error messages
+ * @throws {Error} When the map is malformed
+ */
+const validateVariables = (value, label) => {
+  if (value === null || value === undefined) return;
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${label} must be an object of name/value pairs`);
+  }
+  Object.entries(value).forEach(([name, val]) => {
+    if (!VARIABLE_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `${label}: "${name}" must contain only letters, digits, _, . or -`
+      );
+    }
+    if (typeof val !== "string" && typeof val !== "number") {
+      throw new Error(`${label}: value of "${name}" must be a string`);
+    }
+  });
+};
+
+/**
+ * Check an endpoint's list of environments
+ * @param {Array} value - Environment names, e.g. ["staging", "prod"]
+ * @throws {Error} When the list is malformed
+ */
+const validateEnvironmentList = (value) => {
+  if (value === null || value === undefined) return;
+
+  if (
+    !Array.isArray(value) ||
+    value.some((name) => typeof name !== "string" || !NAME_PATTERN.test(name))
+  ) {
+    throw new Error(
+      'Environments must be an array of names like ["staging", "prod"]'
+    );
+  }
+};
+
+/**
+ * Environments an endpoint is probed in
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Array<string>} Environment names (empty when the endpoint is
+ * probed as defined)
+ */
+const getEnvironmentNames = (endpoint) =>
+  endpoint.environments ? [...new Set(endpoint.environments)] : [];
+
+module.exports = {
+  validateEnvironmentName,
+  validateVariables,
+  validateEnvironmentList,
+  getEnvironmentNames,
+};
@@ -0,0 +1,152 @@
+/**
+ * GraphQL Helpers
+ * Request building and response evaluation for GRAPHQL checks
+ */
+
+const { getJsonPathValue } = require("./assertions");
+
+const OPERATION_TYPES = ["query", "mutation", "subscription"];
+
+/**
+ * Read the operation type and name from a query document
+ * Only top-level definitions count: strings, comments, selection sets and
+ * variable definitions are skipped, and fragments aren't operations.
+ * @param {string} query - GraphQL query document
+ * @param {string} operationName - Explicit operation name, if any
+ * @returns {{operationType: string, operationName: string|null}} Operation
+ */
+const getOperation = (query, operationName) => {
+  const text = String(query).replace(
+    /"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n\r]*/g,
+    " "
+  );
+
+  // Reduce the document to its top level, each selection set to a "{"
+  let depth = 0;
+  let topLevel = "";
+  for (const char of text) {
+    if (char === "{" || char === "(") {
+      if (depth === 0 && char === "{") topLevel += " { ";
+      depth++;
+    } else if (char === "}" || char === ")") {
+      depth = Math.max(depth - 1, 0);
+    } else if (depth === 0) {
+      topLevel += char;
+    }
+  }
+
+  const tokens = topLevel.match(/@?[_A-Za-z]\w*|\{/g) || [];
+  const definitions = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const [keyword, name] = [tokens[i], tokens[i + 1]];
+    if (keyword === "{") {
+      // Shorthand documents ("{ ... }") are queries
+      definitions.push({ operationType: "query", operationName: null });
+    } else if (OPERATION_TYPES.includes(keyword)) {
+      definitions.push({
+        operationType: keyword,
+        operationName: name && /^\w/.test(name) ? name : null,
+      });
+    }
+    // Skip to the selection set that ends the definition
+    while (i < tokens.length && tokens[i] !== "{") i++;
+  }
+
+  const definition =
+    (operationName &&
+      definitions.find((d) => d.operationName === operationName)) ||
+    definitions[0];
+
+  return {
+    operationType: definition ? definition.operationType : "query",
+    operationName:
+      operationName || (definition && definition.operationName) || null,
+  };
+};
+
+/**
+ * Build the JSON request body of a GraphQL check
+ * @param {Object} config - GraphQL checkConfig
+ * @returns {Object} { query, variables, operationName }
+ */
+const buildGraphqlBody = (config) => {
+  const body = { query: config.query };
+
+  if (config.variables) {
+    body.variables = config.variables;
+  }
+  if (config.operationName) {
+    body.operationName = config.operationName;
+  }
+
+  return body;
+};
+
+/**
+ * Evaluate a GraphQL response body
+ * A response fails when its errors array is non-empty, or when data (or the
+ * configured dataPath) is missing.
+ * @param {Object} config - GraphQL checkConfig
+ * @param {*} data - Parsed response body (undefined if not JSON)
+ * @returns {Object} { valid, errors, errorCodes, dataPath, dataFound }
+ */
+const evaluateGraphqlResponse = (config, data) => {
+  const dataPath = config.dataPath || "$.data";
+
+  if (!data || typeof data !== "object") {
+    return {
+      valid: false,
+      errors: [{ message: "Response is not a GraphQL JSON result" }],
+      errorCodes: [],
+      dataPath,
+      dataFound: false,
+    };
+  }
+
+  const errors = (Array.isArray(data.errors) ? data.errors : []).map(
+    (error) => ({
+      message: error.message,
+      code: error.extensions?.code || error.extensions?.classification,
+      path: Array.isArray(error.path) ? error.path.join(".") : undefined,
+    })
+  );
+  const errorCodes = [
+    ...new Set(errors.map((error) => error.code).filter(Boolean)),
+  ];
+
+  const { found, value } = getJsonPathValue(data, dataPath);
+  const dataFound = found && value !== null;
+
+  return {
+    valid: errors.length === 0 && dataFound,
+    errors,
+    errorCodes,
+    dataPath,
+    dataFound,
+  };
+};
+
+/**
+ * Describe a failed GraphQL evaluation for alerts and error messages
+ * @param {Object} result - Result of evaluateGraphqlResponse
+ * @returns {string} Description including error codes
+ */
+const describeGraphqlFailure = (result) => {
+  if (result.errors.length > 0) {
+    const codes = result.errorCodes.length
+      ? ` [${result.errorCodes.join(", ")}]`
+      : "";
+    return `${result.errors.length} GraphQL error(s)${codes}: ${result.errors
+      .map((error) => error.message)
+      .join("; ")}`;
+  }
+
+  return `GraphQL response has no data at ${result.dataPath}`;
+};
+
+module.exports = {
+  getOperation,
+  buildGraphqlBody,
+  evaluateGraphqlResponse,
+  describeGraphqlFailure,
+};
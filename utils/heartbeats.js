@@ -0,0 +1,41 @@
+/**
+ * Heartbeats
+ * HEARTBEAT endpoints aren't probed: the job they watch pings its unique URL
+ * (/api/heartbeat/:token) at least once per period, and a missing ping is
+ * reported once the period plus the grace time has passed
+ */
+
+const crypto = require("crypto");
+
+// Pings a job can send: "start" marks the beginning of a run (for its
+// duration), "success" and "fail" its end
+const HEARTBEAT_PING_KINDS = ["success", "start", "fail"];
+// Characters kept of the message a ping sends (e.g. the tail of a job log)
+const MAX_HEARTBEAT_MESSAGE_LENGTH = 2000;
+
+/**
+ * Generate a heartbeat ping token
+ * @returns {string} Token (part of the ping URL)
+ */
+const generateHeartbeatToken = () => crypto.randomBytes(20).toString("hex");
+
+/**
+ * Time by which the next ping of a heartbeat endpoint is due
+ * Counted from the last ping, or from the creation of the endpoint when it
+ * was never pinged.
+ * @param {Object} endpoint - HEARTBEAT endpoint
+ * @returns {Date} Deadline
+ */
+const getHeartbeatDeadline = (endpoint) => {
+  const { periodSeconds, graceSeconds = 0 } = endpoint.checkConfig || {};
+  const since = new Date(endpoint.lastHeartbeatAt || endpoint.createdAt);
+
+  return new Date(since.getTime() + (periodSeconds + graceSeconds) * 1000);
+};
+
+module.exports = {
+  HEARTBEAT_PING_KINDS,
+  MAX_HEARTBEAT_MESSAGE_LENGTH,
+  generateHeartbeatToken,
+  getHeartbeatDeadline,
+};
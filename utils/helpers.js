@@ -52,6 +52,62 @@ const generateRandomId = (length = 10) => {
   return crypto.randomBytes(length).toString("hex");
 };
 
+/**
+ * Derive the 256-bit key used to encrypt secrets at rest
+ * @returns {Buffer} Encryption key
+ */
+const getEncryptionKey = () => {
+  const secret =
+    process.env.ENCRYPTION_KEY ||
+    process.env.JWT_SECRET ||
+    "api-monitor-secret-key";
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+/**
+ * Encrypt a secret value for storage (AES-256-GCM)
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} Encrypted payload as iv:authTag:cipherText (base64)
+ */
+const encryptSecret = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainText), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    encrypted.toString("base64"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload - Encrypted payload
+ * @returns {string} Decrypted value
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split(":");
+  if (!iv || !authTag || !encrypted) {
+    throw new Error("Invalid encrypted payload");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
 /**
  * Filter sensitive data from objects
  * @param {Object} obj - Object to filter
@@ -247,10 +303,36 @@ const isObject = (item) => {
   return item && typeof item === "object" && !Array.isArray(item);
 };
 
+/**
+ * Serialize a value for comparison; empty values are all equal and object
+ * keys are sorted, so JSON columns compare by content
+ * @param {*} value - Field value
+ * @returns {string} Comparable string
+ */
+const toComparable = (value) => {
+  const isEmpty =
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === "object" && Object.keys(value).length === 0);
+  if (isEmpty) return "null";
+
+  return JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.keys(nested)
+          .sort()
+          .reduce((sorted, name) => ({ ...sorted, [name]: nested[name] }), {})
+      : nested
+  );
+};
+
 module.exports = {
   formatDate,
   getTimeDifference,
   generateRandomId,
+  encryptSecret,
+  decryptSecret,
   filterSensitiveData,
   paginate,
   groupBy,
@@ -260,4 +342,5 @@ module.exports = {
   clamp,
   getStatusCodeSeverity,
   deepMerge,
+  toComparable,
 };
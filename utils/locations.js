@@ -0,0 +1,52 @@
+/**
+ * Probe Locations
+ * Endpoints are probed from one or more locations: "local" is the backend
+ * itself, any other label is served by the remote agents registered for it
+ */
+
+// Location label of probes run by the backend process
+const LOCAL_LOCATION = "local";
+// Default location label of metric points pushed to the ingest API
+const INGEST_LOCATION = "ingest";
+// Location label of heartbeat pings (see utils/heartbeats.js)
+const HEARTBEAT_LOCATION = "heartbeat";
+
+/**
+ * Check an endpoint's list of probe locations
+ * @param {Array} value - Location labels, e.g. ["local", "eu-west"]
+ * @throws {Error} When the list is malformed
+ */
+const validateLocations = (value) => {
+  if (value === null || value === undefined) return;
+
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    value.some(
+      (location) =>
+        typeof location !== "string" || !/^[\w.-]{1,100}$/.test(location)
+    )
+  ) {
+    throw new Error(
+      'Locations must be a non-empty array of labels like ["local", "eu-west"]'
+    );
+  }
+};
+
+/**
+ * Locations an endpoint is probed from
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Array<string>} Location labels (only "local" when none are set)
+ */
+const getEndpointLocations = (endpoint) =>
+  endpoint.locations && endpoint.locations.length > 0
+    ? [...new Set(endpoint.locations)]
+    : [LOCAL_LOCATION];
+
+module.exports = {
+  LOCAL_LOCATION,
+  INGEST_LOCATION,
+  HEARTBEAT_LOCATION,
+  validateLocations,
+  getEndpointLocations,
+};
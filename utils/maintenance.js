@@ -0,0 +1,129 @@
+/**
+ * Maintenance Windows
+ * A window is one-off (startsAt - endsAt) or recurring (opens whenever its
+ * cron expression fires and stays open for durationMinutes), and covers all
+ * endpoints, a list of endpoints or the endpoints with given tags
+ */
+
+const {
+  parseCron,
+  validateCron,
+  validateTimeZone,
+  findLastCronMatch,
+} = require("./cron");
+
+const MAINTENANCE_SCOPES = ["ALL", "ENDPOINTS", "TAGS"];
+// Longest recurring window (a weekend)
+const MAX_RECURRING_DURATION_MINUTES = 3 * 24 * 60;
+
+/**
+ * Check the settings of a maintenance window
+ * @param {Object} window - MaintenanceWindow object
+ * @throws {Error} When the settings are incomplete or inconsistent
+ */
+const validateMaintenanceWindow = (window) => {
+  if (window.cron) {
+    if (window.startsAt || window.endsAt) {
+      throw new Error(
+        "A maintenance window is either recurring (cron) or one-off (startsAt/endsAt), not both"
+      );
+    }
+    validateCron(window.cron);
+    if (
+      !Number.isInteger(window.durationMinutes) ||
+      window.durationMinutes < 1 ||
+      window.durationMinutes > MAX_RECURRING_DURATION_MINUTES
+    ) {
+      throw new Error(
+        `Recurring maintenance windows require durationMinutes between 1 and ${MAX_RECURRING_DURATION_MINUTES}`
+      );
+    }
+    validateTimeZone(window.timezone || "UTC");
+  } else {
+    if (!window.startsAt || !window.endsAt) {
+      throw new Error(
+        "A maintenance window requires startsAt and endsAt, or a cron expression"
+      );
+    }
+    if (new Date(window.endsAt) <= new Date(window.startsAt)) {
+      throw new Error("endsAt must be after startsAt");
+    }
+  }
+
+  const list = { ENDPOINTS: window.endpointIds, TAGS: window.tags }[
+    window.scope
+  ];
+  if (window.scope === "ENDPOINTS" || window.scope === "TAGS") {
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error(
+        `${window.scope} maintenance windows require a non-empty ${
+          window.scope === "ENDPOINTS" ? "endpointIds" : "tags"
+        } list`
+      );
+    }
+    if (
+      window.scope === "ENDPOINTS" &&
+      list.some((id) => !Number.isInteger(id))
+    ) {
+      throw new Error("endpointIds must be a list of endpoint IDs");
+    }
+    if (
+      window.scope === "TAGS" &&
+      list.some((tag) => typeof tag !== "string" || !tag)
+    ) {
+      throw new Error("tags must be a list of tag names");
+    }
+  }
+};
+
+/**
+ * Occurrence of a maintenance window that is open at a given time
+ * @param {Object} window - MaintenanceWindow object
+ * @param {Date} at - Time
+ * @returns {Object|null} { start, end } of the open occurrence, or null
+ */
+const getOpenPeriod = (window, at = new Date()) => {
+  if (!window.cron) {
+    const start = new Date(window.startsAt);
+    const end = new Date(window.endsAt);
+    return start <= at && at < end ? { start, end } : null;
+  }
+
+  const durationMs = window.durationMinutes * 60000;
+  const start = findLastCronMatch(
+    parseCron(window.cron),
+    at,
+    window.durationMinutes,
+    window.timezone || "UTC"
+  );
+  if (!start || start.getTime() + durationMs <= at.getTime()) return null;
+
+  return { start, end: new Date(start.getTime() + durationMs) };
+};
+
+/**
+ * Check whether a maintenance window covers an endpoint
+ * @param {Object} window - MaintenanceWindow object
+ * @param {Object} endpoint - Endpoint object
+ * @returns {boolean} Covers the endpoint
+ */
+const coversEndpoint = (window, endpoint) => {
+  switch (window.scope) {
+    case "ENDPOINTS":
+      return (window.endpointIds || []).includes(endpoint.id);
+    case "TAGS":
+      return (endpoint.tags || []).some((tag) =>
+        (window.tags || []).includes(tag)
+      );
+    default:
+      return true;
+  }
+};
+
+module.exports = {
+  MAINTENANCE_SCOPES,
+  MAX_RECURRING_DURATION_MINUTES,
+  validateMaintenanceWindow,
+  getOpenPeriod,
+  coversEndpoint,
+};
@@ -0,0 +1,320 @@
+/**
+ * OpenAPI Import
+ * Turns the operations of an OpenAPI 3 or Swagger 2 document into endpoint
+ * definitions. Path parameters are filled from the examples in the document;
+ * anything that had to be guessed is reported as a warning.
+ */
+
+const yaml = require("js-yaml");
+
+// Methods an endpoint can probe (see Endpoint.method)
+const SUPPORTED_METHODS = ["get", "post", "put", "delete", "patch", "options"];
+const SKIPPED_METHODS = ["head", "trace"];
+// Guard against reference cycles
+const MAX_REF_DEPTH = 20;
+
+/**
+ * Load a YAML or JSON document
+ * @param {string|Object} document - Document text or an already parsed object
+ * @returns {Object} Parsed document
+ * @throws {Error} When the document can't be parsed
+ */
+const loadDocument = (document) => {
+  let parsed = document;
+  if (typeof document === "string") {
+    try {
+      // JSON is valid YAML, so one parser covers both
+      parsed = yaml.load(document);
+    } catch (error) {
+      throw new Error(`Document is not valid YAML or JSON: ${error.reason}`);
+    }
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("Document must be a YAML or JSON object");
+  }
+  return parsed;
+};
+
+/**
+ * Follow local $refs ("#/components/schemas/Pet")
+ * @param {Object} spec - Whole document
+ * @param {Object} value - Object that may be a reference
+ * @returns {Object} Referenced object, or {} when it can't be resolved
+ */
+const resolveRef = (spec, value) => {
+  let current = value;
+  for (let depth = 0; current && current.$ref; depth++) {
+    if (depth >= MAX_REF_DEPTH || !String(current.$ref).startsWith("#/")) {
+      return {};
+    }
+    current = current.$ref
+      .slice(2)
+      .split("/")
+      .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .reduce((node, part) => (node ? node[part] : undefined), spec);
+  }
+  return current || {};
+};
+
+/**
+ * Example value of a schema (example, default or first enum value)
+ * @param {Object} spec - Whole document
+ * @param {Object} schema - Schema or Swagger 2 parameter
+ * @returns {*} Example, or undefined
+ */
+const getSchemaExample = (spec, schema) => {
+  const resolved = resolveRef(spec, schema);
+  if (resolved.example !== undefined) return resolved.example;
+  if (Array.isArray(resolved.examples) && resolved.examples.length > 0) {
+    return resolved.examples[0];
+  }
+  if (resolved.default !== undefined) return resolved.default;
+  if (Array.isArray(resolved.enum) && resolved.enum.length > 0) {
+    return resolved.enum[0];
+  }
+  return undefined;
+};
+
+/**
+ * Example value of an OpenAPI 3 media type or parameter
+ * @param {Object} spec - Whole document
+ * @param {Object} holder - Object with example, examples or schema
+ * @returns {*} Example, or undefined
+ */
+const getExample = (spec, holder) => {
+  if (holder.example !== undefined) return holder.example;
+  if (holder["x-example"] !== undefined) return holder["x-example"];
+
+  const examples = Object.values(holder.examples || {});
+  if (examples.length > 0) {
+    const example = resolveRef(spec, examples[0]);
+    if (example.value !== undefined) return example.value;
+  }
+
+  // Swagger 2 parameters carry their schema inline
+  return getSchemaExample(spec, holder.schema || holder);
+};
+
+/**
+ * Placeholder for a parameter without an example
+ * @param {Object} spec - Whole document
+ * @param {Object} param - Parameter
+ * @returns {*} Placeholder value
+ */
+const getPlaceholder = (spec, param) => {
+  const schema = resolveRef(spec, param.schema || param);
+  if (schema.type === "integer" || schema.type === "number") return 1;
+  if (schema.type === "boolean") return true;
+  if (schema.format === "uuid") return "00000000-0000-0000-0000-000000000000";
+  return "example";
+};
+
+/**
+ * Base URL the document's operations are served from
+ * @param {Object} spec - Whole document
+ * @returns {string|null} Base URL without trailing slash
+ */
+const getBaseUrl = (spec) => {
+  let url = null;
+
+  if (spec.openapi) {
+    const server = (spec.servers || [])[0];
+    if (server && server.url) {
+      url = server.url.replace(/\{([^}]+)\}/g, (match, name) => {
+        const variable = (server.variables || {})[name];
+        return variable && variable.default !== undefined
+          ? variable.default
+          : match;
+      });
+    }
+  } else if (spec.host) {
+    const scheme = (spec.schemes || ["https"])[0];
+    url = `${scheme}://${spec.host}${spec.basePath || ""}`;
+  } else if (spec.basePath) {
+    url = spec.basePath;
+  }
+
+  return url ? url.replace(/\/+$/, "") : null;
+};
+
+/**
+ * Request body of an operation, from its examples
+ * @param {Object} spec - Whole document
+ * @param {Object} operation - Operation object
+ * @param {Array<Object>} params - Resolved parameters (Swagger 2 bodies)
+ * @returns {Object} { bodyType, body, required }
+ */
+const getRequestBody = (spec, operation, params) => {
+  const none = { bodyType: "NONE", body: null, required: false };
+
+  // Swagger 2: "body" and "formData" parameters
+  if (!spec.openapi) {
+    const bodyParam = params.find((param) => param.in === "body");
+    if (bodyParam) {
+      const example = getSchemaExample(spec, bodyParam.schema || {});
+      return example !== undefined
+        ? { bodyType: "JSON", body: example, required: true }
+        : { ...none, required: bodyParam.required === true };
+    }
+
+    const formParams = params.filter((param) => param.in === "formData");
+    if (formParams.length > 0) {
+      const body = {};
+      formParams.forEach((param) => {
+        const example = getExample(spec, param);
+        if (example !== undefined) body[param.name] = String(example);
+      });
+      return Object.keys(body).length > 0
+        ? { bodyType: "FORM", body, required: true }
+        : { ...none, required: formParams.some((param) => param.required) };
+    }
+
+    return none;
+  }
+
+  const requestBody = resolveRef(spec, operation.requestBody);
+  const content = requestBody.content || {};
+  const required = requestBody.required === true;
+
+  const jsonType = Object.keys(content).find((type) =>
+    /^application\/([\w.-]+\+)?json/i.test(type)
+  );
+  if (jsonType) {
+    const example = getExample(spec, content[jsonType]);
+    if (example !== undefined) {
+      return { bodyType: "JSON", body: example, required };
+    }
+  }
+
+  const form = content["application/x-www-form-urlencoded"];
+  if (form) {
+    const example = getExample(spec, form);
+    if (example && typeof example === "object") {
+      const body = {};
+      Object.keys(example).forEach((name) => {
+        body[name] = String(example[name]);
+      });
+      return { bodyType: "FORM", body, required };
+    }
+  }
+
+  return { ...none, required };
+};
+
+/**
+ * Parse the operations of an OpenAPI 3 or Swagger 2 document
+ * @param {Object} spec - Parsed document
+ * @returns {Object} { title, baseUrl, operations, warnings } where each
+ * operation is { key, method, path, description, headers, queryParams,
+ * bodyType, body, tags, warnings } and key is e.g. "GET /pets/{petId}"
+ * @throws {Error} When the document is neither OpenAPI 3 nor Swagger 2
+ */
+const parseOpenApi = (spec) => {
+  const isOpenApi3 = /^3\./.test(String(spec.openapi || ""));
+  const isSwagger2 = String(spec.swagger || "") === "2.0";
+  if (!isOpenApi3 && !isSwagger2) {
+    throw new Error("Only OpenAPI 3 and Swagger 2 documents are supported");
+  }
+
+  const operations = [];
+  const warnings = [];
+
+  Object.keys(spec.paths || {}).forEach((templatePath) => {
+    const pathItem = resolveRef(spec, spec.paths[templatePath]);
+
+    Object.keys(pathItem).forEach((methodName) => {
+      const method = methodName.toLowerCase();
+      if (SKIPPED_METHODS.includes(method)) {
+        warnings.push(
+          `Skipped ${method.toUpperCase()} ${templatePath}: method not supported`
+        );
+        return;
+      }
+      if (!SUPPORTED_METHODS.includes(method)) return;
+
+      const operation = pathItem[methodName] || {};
+      const operationWarnings = [];
+
+      // Operation parameters override path-level ones with the same name
+      const params = {};
+      [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map((param) => resolveRef(spec, param))
+        .forEach((param) => {
+          params[`${param.in}:${param.name}`] = param;
+        });
+      const paramList = Object.values(params);
+
+      const valueOf = (param) => {
+        const example = getExample(spec, param);
+        if (example !== undefined) return example;
+
+        operationWarnings.push(
+          `No example for ${param.in} parameter "${param.name}", using a placeholder`
+        );
+        return getPlaceholder(spec, param);
+      };
+
+      const path = templatePath.replace(/\{([^}]+)\}/g, (match, name) => {
+        const param = params[`path:${name}`] || { in: "path", name };
+        return encodeURIComponent(String(valueOf(param)));
+      });
+
+      // Optional query parameters and headers are left out of the probe
+      const queryParams = {};
+      const headers = {};
+      paramList
+        .filter((param) => param.required)
+        .forEach((param) => {
+          if (param.in === "query") {
+            queryParams[param.name] = String(valueOf(param));
+          } else if (
+            param.in === "header" &&
+            param.name.toLowerCase() !== "authorization"
+          ) {
+            headers[param.name] = String(valueOf(param));
+          }
+        });
+
+      const { bodyType, body, required } = getRequestBody(
+        spec,
+        operation,
+        paramList
+      );
+      if (required && bodyType === "NONE") {
+        operationWarnings.push(
+          "No example for the required request body, sending none"
+        );
+      }
+
+      operations.push({
+        key: `${method.toUpperCase()} ${templatePath}`,
+        method: method.toUpperCase(),
+        path,
+        description:
+          operation.summary ||
+          operation.description ||
+          operation.operationId ||
+          null,
+        headers: Object.keys(headers).length > 0 ? headers : null,
+        queryParams: Object.keys(queryParams).length > 0 ? queryParams : null,
+        bodyType,
+        body,
+        tags: operation.tags || [],
+        warnings: operationWarnings,
+      });
+    });
+  });
+
+  return {
+    title: spec.info && spec.info.title ? String(spec.info.title) : null,
+    baseUrl: getBaseUrl(spec),
+    operations,
+    warnings,
+  };
+};
+
+module.exports = {
+  loadDocument,
+  parseOpenApi,
+};
@@ -0,0 +1,103 @@
+/**
+ * Redaction
+ * Masks secrets in captured response bodies before they are stored
+ */
+
+/**
+ * Luhn checksum, to tell card numbers from other long numbers (ids, timestamps)
+ * @param {string} value - Digits, possibly with spaces or dashes
+ * @returns {boolean} Whether the checksum is valid
+ */
+const passesLuhn = (value) => {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+};
+
+// Each rule replaces the secret (or the value part of a key/value pair)
+const REDACTION_RULES = [
+  {
+    type: "SECRET",
+    // "password": "...", token=..., api_key: '...'
+    pattern:
+      /(["']?\b(?:password|passwd|pwd|secret|client_secret|api[_-]?key|apikey|token|access_token|refresh_token|id_token|auth|authorization|jwt|private_key)\b["']?\s*[:=]\s*)(["'])(?:(?!\2)[^\\]|\\.)*\2/gi,
+    replace: (match, prefix, quote) =>
+      `${prefix}${quote}[REDACTED:SECRET]${quote}`,
+  },
+  {
+    type: "SECRET",
+    // JSON Web Tokens
+    pattern: /\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,}\b/g,
+    replace: () => "[REDACTED:SECRET]",
+  },
+  {
+    type: "SECRET",
+    pattern: /\bBearer\s+[\w\-.~+/]{16,}=*/g,
+    replace: () => "Bearer [REDACTED:SECRET]",
+  },
+  {
+    type: "SECRET",
+    // AWS access key ids
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    replace: () => "[REDACTED:SECRET]",
+  },
+  {
+    type: "SECRET",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+    replace: () => "[REDACTED:SECRET]",
+  },
+  {
+    type: "CREDIT_CARD",
+    pattern: /\b(?:\d[ -]?){12,15}\d\b/g,
+    validate: passesLuhn,
+    replace: () => "[REDACTED:CREDIT_CARD]",
+  },
+  {
+    type: "SSN",
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    replace: () => "[REDACTED:SSN]",
+  },
+];
+
+/**
+ * Redact secrets in a text
+ * @param {string} text - Text to redact
+ * @returns {{text: string, redactions: Array<Object>}} Redacted text and the
+ * number of redactions per type (e.g. [{ type: "SECRET", count: 2 }])
+ */
+const redactSecrets = (text) => {
+  const counts = {};
+  let redacted = String(text);
+
+  REDACTION_RULES.forEach(({ type, pattern, validate, replace }) => {
+    redacted = redacted.replace(pattern, (...args) => {
+      if (validate && !validate(args[0])) return args[0];
+      counts[type] = (counts[type] || 0) + 1;
+      return replace(...args);
+    });
+  });
+
+  return {
+    text: redacted,
+    redactions: Object.entries(counts).map(([type, count]) => ({
+      type,
+      count,
+    })),
+  };
+};
+
+module.exports = {
+  REDACTION_RULES,
+  redactSecrets,
+};
@@ -0,0 +1,621 @@
+/**
+ * Request Import
+ * Turns Postman v2.1 collections, HAR 1.2 archives and cURL commands into
+ * endpoint definitions (see utils/openapi.js for the operation format), and
+ * endpoints back into cURL commands.
+ */
+
+// Methods an endpoint can probe (see Endpoint.method)
+const SUPPORTED_METHODS = ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"];
+// Set by the HTTP client or the browser, not part of the request definition
+const IGNORED_HEADERS = [
+  "host",
+  "content-length",
+  "connection",
+  "accept-encoding",
+  "user-agent",
+  "referer",
+  "origin",
+];
+// Secrets belong in auth profiles, not in endpoint headers
+const CREDENTIAL_HEADERS = ["authorization", "proxy-authorization", "cookie"];
+// HAR resources that aren't API calls
+const STATIC_MIME_TYPES =
+  /^(image\/|font\/|audio\/|video\/|text\/css|text\/html|(application|text)\/(x-)?javascript)/i;
+
+/**
+ * Split a URL into endpoint fields
+ * @param {string} rawUrl - Absolute URL, or a path when the host is unknown
+ * @returns {Object} { baseUrl, path, queryParams } where baseUrl is null
+ * for relative URLs
+ */
+const splitUrl = (rawUrl) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !/^https?:$/.test(url.protocol)) {
+    const [path, query = ""] = String(rawUrl).split("?");
+    return {
+      baseUrl: null,
+      path: path.startsWith("/") ? path : `/${path}`,
+      queryParams: toParamMap(new URLSearchParams(query)),
+    };
+  }
+
+  // Keep {{variables}} and {params} readable
+  let path = url.pathname;
+  try {
+    path = decodeURI(path);
+  } catch (error) {
+    // Malformed escapes; keep the path as is
+  }
+
+  return {
+    baseUrl: url.origin,
+    path,
+    queryParams: toParamMap(url.searchParams),
+  };
+};
+
+/**
+ * Convert URL search params to a string map
+ * @param {URLSearchParams} searchParams - Search params
+ * @returns {Object|null} Map, or null when there are none
+ */
+const toParamMap = (searchParams) => {
+  const params = {};
+  searchParams.forEach((value, name) => {
+    params[name] = value;
+  });
+  return Object.keys(params).length > 0 ? params : null;
+};
+
+/**
+ * Keep the headers that belong to the request definition
+ * @param {Array<Object>} headers - [{ name, value }]
+ * @param {Array<string>} warnings - Receives a warning per dropped credential
+ * @returns {Object|null} Header map
+ */
+const filterHeaders = (headers, warnings) => {
+  const result = {};
+  headers.forEach(({ name, value }) => {
+    const lowerName = String(name).toLowerCase();
+    // HTTP/2 pseudo headers such as :authority in HAR captures
+    if (lowerName.startsWith(":") || IGNORED_HEADERS.includes(lowerName)) {
+      return;
+    }
+    if (CREDENTIAL_HEADERS.includes(lowerName)) {
+      warnings.push(`Dropped the ${name} header, use an auth profile instead`);
+      return;
+    }
+    result[name] = String(value);
+  });
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+/**
+ * Work out body type and body from a request body
+ * @param {string} text - Body as sent
+ * @param {string} contentType - Content-Type of the body
+ * @returns {Object} { bodyType, body }
+ */
+const toBody = (text, contentType = "") => {
+  if (text === undefined || text === null || text === "") {
+    return { bodyType: "NONE", body: null };
+  }
+
+  if (!/x-www-form-urlencoded/i.test(contentType)) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === "object") {
+        return { bodyType: "JSON", body: parsed };
+      }
+    } catch (error) {
+      // Not JSON
+    }
+  }
+
+  if (
+    /x-www-form-urlencoded/i.test(contentType) ||
+    (!contentType && /^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(text))
+  ) {
+    return {
+      bodyType: "FORM",
+      body: toParamMap(new URLSearchParams(text)) || {},
+    };
+  }
+
+  return { bodyType: "RAW", body: String(text) };
+};
+
+/**
+ * Build an operation from a plain request
+ * @param {Object} request - { key, method, url, headers, body, description }
+ * with headers as [{ name, value }]
+ * @param {Array<string>} skipped - Receives a warning when the request can't
+ * be imported
+ * @returns {Object|null} Operation
+ */
+const toOperation = (request, skipped) => {
+  const method = String(request.method || "GET").toUpperCase();
+  if (!SUPPORTED_METHODS.includes(method)) {
+    skipped.push(`Skipped ${request.key}: method ${method} not supported`);
+    return null;
+  }
+
+  const warnings = [...(request.warnings || [])];
+  const contentType = (
+    request.headers.find(({ name }) => /^content-type$/i.test(name)) || {}
+  ).value;
+
+  return {
+    key: request.key,
+    method,
+    ...splitUrl(request.url),
+    description: request.description || null,
+    headers: filterHeaders(request.headers, warnings),
+    ...toBody(request.body, contentType),
+    tags: request.tags || [],
+    warnings,
+  };
+};
+
+/**
+ * Parse a Postman v2.1 collection
+ * Collection variables are filled in; requests are keyed by their folder
+ * path and name, e.g. "Pets / Get pet".
+ * @param {Object} collection - Parsed collection
+ * @returns {Object} { title, baseUrl, operations, warnings }
+ * @throws {Error} When the document isn't a Postman collection
+ */
+const parsePostman = (collection) => {
+  if (!collection.info || !Array.isArray(collection.item)) {
+    throw new Error("Document is not a Postman collection");
+  }
+  if (!/v2\.1/.test(String(collection.info.schema || ""))) {
+    throw new Error("Only Postman v2.1 collections are supported");
+  }
+
+  const variables = {};
+  (collection.variable || []).forEach((variable) => {
+    if (variable.key && !variable.disabled) {
+      variables[variable.key] = variable.value;
+    }
+  });
+
+  const operations = [];
+  const warnings = [];
+
+  const fill = (text, requestWarnings) =>
+    String(text).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => {
+      if (variables[name] !== undefined) return String(variables[name]);
+      requestWarnings.push(`Variable {{${name}}} is not defined`);
+      return placeholder;
+    });
+
+  const getUrl = (url, requestWarnings) => {
+    if (!url) return "";
+
+    let raw = typeof url === "string" ? url : url.raw;
+    if (!raw) {
+      const host = [].concat(url.host || []).join(".");
+      const path = [].concat(url.path || []).join("/");
+      raw = `${url.protocol ? `${url.protocol}://` : ""}${host}/${path}`;
+      const query = (url.query || []).filter((param) => !param.disabled);
+      if (query.length > 0) {
+        raw += `?${query
+          .map((param) => `${param.key}=${param.value || ""}`)
+          .join("&")}`;
+      }
+    }
+
+    // Path variables such as /pets/:petId
+    (url.variable || []).forEach((variable) => {
+      if (variable.value !== undefined && variable.value !== "") {
+        raw = raw.replace(
+          new RegExp(`/:${variable.key}(?=/|\\?|$)`),
+          `/${encodeURIComponent(variable.value)}`
+        );
+      }
+    });
+
+    const filled = fill(raw, requestWarnings);
+    // An undefined base URL variable leaves a relative path behind
+    return filled.replace(/^\{\{[^}]+\}\}/, "");
+  };
+
+  const getDescription = (item) => {
+    const description = item.description || item.request.description;
+    if (!description) return null;
+    return typeof description === "string" ? description : description.content;
+  };
+
+  const visit = (items, folders) => {
+    items.forEach((item) => {
+      if (Array.isArray(item.item)) {
+        visit(item.item, [...folders, item.name]);
+        return;
+      }
+      if (!item.request) return;
+
+      const request =
+        typeof item.request === "string"
+          ? { url: item.request, method: "GET" }
+          : item.request;
+      const key = [...folders, item.name].join(" / ");
+      const requestWarnings = [];
+
+      if (request.auth && request.auth.type !== "noauth") {
+        requestWarnings.push(
+          `Request uses ${request.auth.type} auth, set up an auth profile`
+        );
+      }
+
+      let body = null;
+      const headers = (request.header || [])
+        .filter((header) => !header.disabled)
+        .map((header) => ({
+          name: header.key,
+          value: fill(header.value, requestWarnings),
+        }));
+
+      if (request.body && request.body.mode === "raw") {
+        body = fill(request.body.raw || "", requestWarnings);
+        const language =
+          request.body.options &&
+          request.body.options.raw &&
+          request.body.options.raw.language;
+        if (
+          language === "json" &&
+          !headers.some(({ name }) => /^content-type$/i.test(name))
+        ) {
+          headers.push({ name: "Content-Type", value: "application/json" });
+        }
+      } else if (request.body && request.body.mode === "urlencoded") {
+        body = new URLSearchParams(
+          (request.body.urlencoded || [])
+            .filter((param) => !param.disabled)
+            .map((param) => [param.key, fill(param.value, requestWarnings)])
+        ).toString();
+        headers.push({
+          name: "Content-Type",
+          value: "application/x-www-form-urlencoded",
+        });
+      } else if (request.body && request.body.mode) {
+        requestWarnings.push(
+          `${request.body.mode} bodies aren't supported, sending none`
+        );
+      }
+
+      const operation = toOperation(
+        {
+          key,
+          method: request.method,
+          url: getUrl(request.url, requestWarnings),
+          headers,
+          body,
+          description: getDescription(item),
+          tags: folders.length > 0 ? [folders[0]] : [],
+          warnings: [...new Set(requestWarnings)],
+        },
+        warnings
+      );
+      if (operation) operations.push(operation);
+    });
+  };
+
+  visit(collection.item, []);
+
+  return {
+    title: collection.info.name || null,
+    baseUrl: null,
+    operations,
+    warnings,
+  };
+};
+
+/**
+ * Parse a HAR 1.2 archive
+ * Static resources (scripts, styles, images...) are skipped, and repeated
+ * calls are keyed by method and path so they import once.
+ * @param {Object} har - Parsed archive
+ * @returns {Object} { title, baseUrl, operations, warnings }
+ * @throws {Error} When the document isn't a HAR archive
+ */
+const parseHar = (har) => {
+  if (!har.log || !Array.isArray(har.log.entries)) {
+    throw new Error("Document is not a HAR archive");
+  }
+
+  const operations = [];
+  const warnings = [];
+  let staticCount = 0;
+
+  har.log.entries.forEach((entry) => {
+    const { request, response } = entry;
+    if (!request || !request.url) return;
+
+    const resourceType = entry._resourceType;
+    const mimeType =
+      (response && response.content && response.content.mimeType) || "";
+    if (
+      (resourceType && !["xhr", "fetch"].includes(resourceType)) ||
+      (!resourceType && STATIC_MIME_TYPES.test(mimeType))
+    ) {
+      staticCount += 1;
+      return;
+    }
+
+    const { path } = splitUrl(request.url);
+    const operation = toOperation(
+      {
+        key: `${String(request.method).toUpperCase()} ${path}`,
+        method: request.method,
+        url: request.url,
+        headers: request.headers || [],
+        body: request.postData ? request.postData.text : null,
+      },
+      warnings
+    );
+    if (operation) operations.push(operation);
+  });
+
+  if (staticCount > 0) {
+    warnings.push(`Skipped ${staticCount} static resource request(s)`);
+  }
+
+  const page = (har.log.pages || [])[0];
+  return {
+    title: page && page.title ? page.title : null,
+    baseUrl: null,
+    operations,
+    warnings,
+  };
+};
+
+/**
+ * Split a shell command line into words, honouring quotes and escapes
+ * @param {string} command - Command line
+ * @returns {Array<string>} Words
+ */
+const tokenize = (command) => {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+    } else if (quote === "$") {
+      if (char === "'") quote = null;
+      else if (char === "\\") {
+        const escaped = command[++i];
+        word += { n: "\n", r: "\r", t: "\t" }[escaped] || escaped;
+      } else word += char;
+    } else if (quote === '"') {
+      if (char === '"') quote = null;
+      else if (char === "\\" && /["\\$`]/.test(command[i + 1])) {
+        word += command[++i];
+      } else word += char;
+    } else if (char === "\\" && command[i + 1] === "\n") {
+      i += 1;
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      word = word || "";
+    } else if (char === "$" && command[i + 1] === "'") {
+      // Bash ANSI-C quoting as produced by browsers' "Copy as cURL"
+      quote = "$";
+      word = word || "";
+      i += 1;
+    } else if (char === "\\") {
+      word = (word || "") + (command[++i] || "");
+    } else {
+      word = (word || "") + char;
+    }
+  }
+
+  if (quote) throw new Error("Unterminated quote in cURL command");
+  if (word !== null) words.push(word);
+  return words;
+};
+
+// cURL options taking a value that doesn't affect the request definition
+const IGNORED_VALUE_OPTIONS = [
+  "-o",
+  "--output",
+  "-m",
+  "--max-time",
+  "--connect-timeout",
+  "-w",
+  "--write-out",
+  "-x",
+  "--proxy",
+  "--cacert",
+  "--cert",
+  "--key",
+  "--retry",
+  "--resolve",
+];
+
+/**
+ * Parse one or more cURL commands (one per line, "\" continuations allowed)
+ * Commands carry no title, so each import needs its own source name.
+ * @param {string} text - Commands
+ * @returns {Object} { title, baseUrl, operations, warnings }
+ * @throws {Error} When a command can't be parsed
+ */
+const parseCurl = (text) => {
+  const commands = String(text)
+    .replace(/\\\r?\n/g, " ")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  if (
+    commands.length === 0 ||
+    !commands.every((line) => /^curl\s/.test(line))
+  ) {
+    throw new Error("Each line must be a cURL command");
+  }
+
+  const operations = [];
+  const warnings = [];
+
+  commands.forEach((command) => {
+    const words = tokenize(command).slice(1);
+    const requestWarnings = [];
+    const headers = [];
+    const data = [];
+    let method = null;
+    let url = null;
+    let asQuery = false;
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      const next = () => words[++i] || "";
+
+      if (word === "-X" || word === "--request") {
+        method = next();
+      } else if (word === "-H" || word === "--header") {
+        const header = next();
+        const separator = header.indexOf(":");
+        if (separator > 0) {
+          headers.push({
+            name: header.slice(0, separator).trim(),
+            value: header.slice(separator + 1).trim(),
+          });
+        }
+      } else if (
+        [
+          "-d",
+          "--data",
+          "--data-raw",
+          "--data-binary",
+          "--data-ascii",
+        ].includes(word)
+      ) {
+        data.push(next());
+      } else if (word === "--data-urlencode") {
+        const value = next();
+        const separator = value.indexOf("=");
+        data.push(
+          separator >= 0
+            ? `${value.slice(0, separator)}=${encodeURIComponent(
+                value.slice(separator + 1)
+              )}`
+            : encodeURIComponent(value)
+        );
+      } else if (word === "--json") {
+        data.push(next());
+        headers.push({ name: "Content-Type", value: "application/json" });
+        headers.push({ name: "Accept", value: "application/json" });
+      } else if (word === "-A" || word === "--user-agent") {
+        next();
+      } else if (
+        word === "-u" ||
+        word === "--user" ||
+        word === "-b" ||
+        word === "--cookie"
+      ) {
+        next();
+        requestWarnings.push(
+          `Dropped ${word} credentials, use an auth profile instead`
+        );
+      } else if (word === "-G" || word === "--get") {
+        asQuery = true;
+      } else if (word === "-I" || word === "--head") {
+        method = "HEAD";
+      } else if (word === "--url") {
+        url = next();
+      } else if (IGNORED_VALUE_OPTIONS.includes(word)) {
+        next();
+      } else if (word.startsWith("-")) {
+        // Flags such as -s, -k, -L, --compressed
+      } else if (!url) {
+        url = word;
+      }
+    }
+
+    if (!url) throw new Error("cURL command has no URL");
+    if (!/^[a-z][a-z\d+.-]*:\/\//i.test(url)) url = `http://${url}`;
+
+    let body = data.length > 0 ? data.join("&") : null;
+    if (asQuery && body) {
+      url += `${url.includes("?") ? "&" : "?"}${body}`;
+      body = null;
+    }
+    // cURL sends data as a form POST unless told otherwise
+    if (body && !headers.some(({ name }) => /^content-type$/i.test(name))) {
+      try {
+        JSON.parse(body);
+      } catch (error) {
+        headers.push({
+          name: "Content-Type",
+          value: "application/x-www-form-urlencoded",
+        });
+      }
+    }
+
+    const resolvedMethod = (method || (body ? "POST" : "GET")).toUpperCase();
+    const operation = toOperation(
+      {
+        key: `${resolvedMethod} ${splitUrl(url).path}`,
+        method: resolvedMethod,
+        url,
+        headers,
+        body,
+        warnings: requestWarnings,
+      },
+      warnings
+    );
+    if (operation) operations.push(operation);
+  });
+
+  return { title: null, baseUrl: null, operations, warnings };
+};
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value
+ * @returns {string} Quoted value
+ */
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+/**
+ * Build a cURL command from an axios request config
+ * @param {Object} requestConfig - { method, url, params, headers, data }
+ * @returns {string} Command
+ */
+const toCurl = (requestConfig) => {
+  const url = new URL(requestConfig.url);
+  Object.entries(requestConfig.params || {}).forEach(([name, value]) => {
+    url.searchParams.set(name, value);
+  });
+
+  const parts = [`curl -X ${requestConfig.method.toUpperCase()}`];
+  parts.push(shellQuote(url.toString()));
+  Object.entries(requestConfig.headers || {}).forEach(([name, value]) => {
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  });
+  if (requestConfig.data !== undefined && requestConfig.data !== null) {
+    parts.push(`--data-raw ${shellQuote(requestConfig.data)}`);
+  }
+
+  return parts.join(" \\\n  ");
+};
+
+module.exports = {
+  parsePostman,
+  parseHar,
+  parseCurl,
+  toCurl,
+};
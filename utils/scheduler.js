@@ -0,0 +1,207 @@
+/**
+ * Job Scheduler
+ * Runs named jobs on their own intervals with start jitter, a global
+ * concurrency cap and protection against overlapping runs of the same job
+ */
+
+class Scheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxConcurrency - Max jobs running at once
+   */
+  constructor({ maxConcurrency = 10 } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.jobs = new Map();
+    this.queue = [];
+    this.activeCount = 0;
+  }
+
+  /**
+   * Add a job, or update it if a job with this name already exists
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} task - Async function to run
+   * @param {Object} options - Job options
+   * @param {number} options.jitterMs - Max random delay before the first run
+   * @param {boolean} options.runImmediately - Run once right away
+   * @param {boolean} options.limited - Count against the concurrency cap
+   * @returns {Object} Scheduled job
+   */
+  schedule(name, intervalMs, task, options = {}) {
+    const { jitterMs = 0, runImmediately = false, limited = true } = options;
+    const existing = this.jobs.get(name);
+
+    if (existing) {
+      existing.task = task;
+      existing.limited = limited;
+
+      // Keep the current timer unless the interval changed
+      if (existing.intervalMs !== intervalMs) {
+        clearTimeout(existing.timer);
+        existing.intervalMs = intervalMs;
+        this.setTimer(existing, intervalMs);
+      }
+      return existing;
+    }
+
+    const job = {
+      name,
+      intervalMs,
+      task,
+      limited,
+      timer: null,
+      running: false,
+      queued: false,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      runCount: 0,
+      skippedRuns: 0,
+    };
+    this.jobs.set(name, job);
+
+    const firstDelay = runImmediately
+      ? 0
+      : Math.floor(Math.random() * Math.min(jitterMs, intervalMs));
+    this.setTimer(job, firstDelay);
+
+    return job;
+  }
+
+  /**
+   * Remove a job (a run in progress is allowed to finish)
+   * @param {string} name - Job name
+   * @returns {boolean} Whether the job existed
+   */
+  unschedule(name) {
+    const job = this.jobs.get(name);
+    if (!job) return false;
+
+    clearTimeout(job.timer);
+    this.jobs.delete(name);
+    this.queue = this.queue.filter((queuedJob) => queuedJob !== job);
+    return true;
+  }
+
+  /**
+   * Check whether a job is scheduled
+   * @param {string} name - Job name
+   * @returns {boolean} Is scheduled
+   */
+  has(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * Names of all scheduled jobs
+   * @returns {Array<string>} Job names
+   */
+  jobNames() {
+    return [...this.jobs.keys()];
+  }
+
+  /**
+   * Remove all jobs
+   */
+  stop() {
+    this.jobs.forEach((job) => clearTimeout(job.timer));
+    this.jobs.clear();
+    this.queue = [];
+  }
+
+  /**
+   * Describe scheduled jobs (for status endpoints)
+   * @returns {Array<Object>} Job status
+   */
+  getStatus() {
+    return [...this.jobs.values()].map((job) => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      queued: job.queued,
+      nextRunAt: job.nextRunAt,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastError: job.lastError,
+      runCount: job.runCount,
+      skippedRuns: job.skippedRuns,
+    }));
+  }
+
+  /**
+   * Arm the timer for the next run of a job
+   * @param {Object} job - Scheduled job
+   * @param {number} delayMs - Delay before the run
+   */
+  setTimer(job, delayMs) {
+    job.nextRunAt = new Date(Date.now() + delayMs);
+    job.timer = setTimeout(() => {
+      // The next run is planned from this tick so slow runs don't cause drift
+      if (this.jobs.get(job.name) === job) {
+        this.setTimer(job, job.intervalMs);
+      }
+      this.trigger(job);
+    }, delayMs);
+  }
+
+  /**
+   * Queue a job run, skipping it if the previous run hasn't finished
+   * @param {Object} job - Scheduled job
+   */
+  trigger(job) {
+    if (job.running || job.queued) {
+      job.skippedRuns += 1;
+      return;
+    }
+
+    if (!job.limited) {
+      this.run(job);
+      return;
+    }
+
+    job.queued = true;
+    this.queue.push(job);
+    this.drain();
+  }
+
+  /**
+   * Start queued jobs while there is spare concurrency
+   */
+  drain() {
+    while (this.activeCount < this.maxConcurrency && this.queue.length > 0) {
+      const job = this.queue.shift();
+      job.queued = false;
+      this.activeCount += 1;
+      this.run(job).finally(() => {
+        this.activeCount -= 1;
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * Run a job once and record the outcome
+   * @param {Object} job - Scheduled job
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    const startTime = Date.now();
+    job.running = true;
+    job.lastRunAt = new Date(startTime);
+
+    try {
+      await job.task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Scheduled job ${job.name} failed:`, error);
+    } finally {
+      job.running = false;
+      job.runCount += 1;
+      job.lastDurationMs = Date.now() - startTime;
+    }
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,119 @@
+/**
+ * Response Schema Validator
+ * Validates monitored response bodies against per-endpoint JSON Schemas
+ */
+
+const Ajv = require("ajv");
+
+// Compiled validators keyed by endpoint, rebuilt when the endpoint changes
+const validatorCache = new Map();
+
+/**
+ * Compile a JSON Schema
+ * Each schema gets its own ajv instance, since ajv registers schemas by
+ * $id and refuses to compile the same $id twice.
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Compiled ajv validator
+ */
+const compileSchema = (schema) =>
+  new Ajv({ allErrors: true, strict: false }).compile(schema);
+
+/**
+ * Check that a value is a JSON Schema ajv can compile
+ * @param {Object} schema - JSON Schema
+ * @throws {Error} When the schema is invalid
+ */
+const validateSchemaDefinition = (schema) => {
+  if (schema === null || schema === undefined) return;
+
+  if (typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error("Response schema must be a JSON Schema object");
+  }
+
+  try {
+    compileSchema(schema);
+  } catch (error) {
+    throw new Error(`Invalid response schema: ${error.message}`);
+  }
+};
+
+/**
+ * Get a compiled validator for an endpoint's response schema
+ * @param {Object} endpoint - Endpoint object
+ * @returns {Function} Compiled ajv validator
+ */
+const getValidator = (endpoint) => {
+  const version = endpoint.updatedAt
+    ? new Date(endpoint.updatedAt).getTime()
+    : 0;
+  const cached = validatorCache.get(endpoint.id);
+
+  if (cached && cached.version === version) {
+    return cached.validate;
+  }
+
+  const validate = compileSchema(endpoint.responseSchema);
+  validatorCache.set(endpoint.id, { version, validate });
+  return validate;
+};
+
+/**
+ * Convert an ajv JSON pointer into a JSON path (e.g. /data/0/id -> $.data[0].id)
+ * @param {string} pointer - JSON pointer
+ * @returns {string} JSON path
+ */
+const pointerToPath = (pointer) => {
+  return pointer
+    .split("/")
+    .slice(1)
+    .reduce((path, segment) => {
+      const key = segment.replace(/~1/g, "/").replace(/~0/g, "~");
+      return /^\d+$/.test(key) ? `${path}[${key}]` : `${path}.${key}`;
+    }, "$");
+};
+
+/**
+ * Validate a parsed response body against an endpoint's response schema
+ * @param {Object} endpoint - Endpoint object with responseSchema
+ * @param {*} data - Parsed response body (undefined if not JSON)
+ * @returns {Object|null} Validation result, or null if no schema is set
+ */
+const validateResponseSchema = (endpoint, data) => {
+  if (!endpoint.responseSchema) {
+    return null;
+  }
+
+  if (data === undefined) {
+    return {
+      valid: false,
+      errors: [{ path: "$", message: "response body is not valid JSON" }],
+    };
+  }
+
+  const validate = getValidator(endpoint);
+  const valid = validate(data);
+
+  return {
+    valid,
+    errors: valid
+      ? []
+      : validate.errors.map((error) => {
+          // Point missing properties at the property itself, not its parent
+          const pointer =
+            error.keyword === "required"
+              ? `${error.instancePath}/${error.params.missingProperty}`
+              : error.instancePath;
+
+          return {
+            path: pointerToPath(pointer),
+            keyword: error.keyword,
+            message: error.message,
+          };
+        }),
+  };
+};
+
+module.exports = {
+  validateSchemaDefinition,
+  validateResponseSchema,
+};
@@ -0,0 +1,175 @@
+/**
+ * Response Shapes
+ * Infers the structure of JSON responses as a flat map of paths to types,
+ * e.g. { "$": "object", "$.id": "number", "$.items[].name": "string" },
+ * and compares shapes to detect schema drift
+ */
+
+const crypto = require("crypto");
+
+// Stop describing very large documents after this many paths
+const MAX_SHAPE_PATHS = 500;
+
+/**
+ * Type name of a JSON value
+ * @param {*} value - JSON value
+ * @returns {string} object, array, string, number, boolean or null
+ */
+const getType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+/**
+ * Infer the shape of a parsed JSON document
+ * Array items are merged into a single "[]" path; an item path whose type
+ * varies between items gets a union such as "number|string".
+ * @param {*} data - Parsed JSON body
+ * @returns {Object} Map of JSONPath-like paths to type names
+ */
+const inferShape = (data) => {
+  const shape = {};
+
+  const addType = (path, type) => {
+    if (shape[path] === undefined) {
+      if (Object.keys(shape).length >= MAX_SHAPE_PATHS) return false;
+      shape[path] = type;
+    } else if (!shape[path].split("|").includes(type)) {
+      shape[path] = [...shape[path].split("|"), type].sort().join("|");
+    }
+    return true;
+  };
+
+  const visit = (value, path) => {
+    if (!addType(path, getType(value))) return;
+
+    if (Array.isArray(value)) {
+      value.forEach((item) => visit(item, `${path}[]`));
+    } else if (value !== null && typeof value === "object") {
+      Object.keys(value).forEach((key) => {
+        const segment = /^[A-Za-z_$][\w$]*$/.test(key)
+          ? `.${key}`
+          : `[${JSON.stringify(key)}]`;
+        visit(value[key], `${path}${segment}`);
+      });
+    }
+  };
+
+  visit(data, "$");
+  return shape;
+};
+
+/**
+ * Fingerprint of a shape, equal for responses with the same structure
+ * @param {Object} shape - Shape from inferShape
+ * @returns {string} Hex digest
+ */
+const hashShape = (shape) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify(
+        Object.keys(shape)
+          .sort()
+          .map((path) => [path, shape[path]])
+      )
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+/**
+ * Compare two shapes
+ * Null values are not treated as a type change (optional fields are often
+ * null), and fields inside arrays are skipped when the array was empty on
+ * the other side, since nothing is known about its items.
+ * @param {Object} before - Known-good shape
+ * @param {Object} after - Current shape
+ * @returns {Object} { added, removed, changed, breaking } where breaking is
+ * true when fields disappeared or changed type
+ */
+const diffShapes = (before, after) => {
+  // Paths of the form "$.items[]..." need the array to have items on both sides
+  const isKnown = (path, shape) => {
+    const arrays = [...path.matchAll(/\[\]/g)].map((match) =>
+      path.slice(0, match.index + 2)
+    );
+    return arrays.every((arrayPath) => shape[arrayPath] !== undefined);
+  };
+  // A new or missing object is reported once, not once per nested field
+  const outermost = (paths) =>
+    paths.filter(
+      (path) =>
+        !paths.some(
+          (other) =>
+            other !== path &&
+            (path.startsWith(`${other}.`) || path.startsWith(`${other}[`))
+        )
+    );
+  const withoutNull = (type) =>
+    type
+      .split("|")
+      .filter((part) => part !== "null")
+      .join("|");
+
+  const added = outermost(
+    Object.keys(after).filter(
+      (path) => before[path] === undefined && isKnown(path, before)
+    )
+  ).map((path) => ({ path, type: after[path] }));
+
+  const removed = outermost(
+    Object.keys(before).filter(
+      (path) => after[path] === undefined && isKnown(path, after)
+    )
+  ).map((path) => ({ path, type: before[path] }));
+
+  const changed = Object.keys(after)
+    .filter((path) => {
+      if (before[path] === undefined) return false;
+      const from = withoutNull(before[path]);
+      const to = withoutNull(after[path]);
+      return from && to && from !== to;
+    })
+    .map((path) => ({ path, from: before[path], to: after[path] }));
+
+  return {
+    added,
+    removed,
+    changed,
+    breaking: removed.length > 0 || changed.length > 0,
+  };
+};
+
+/**
+ * Describe a shape diff for alerts
+ * @param {Object} diff - Result of diffShapes
+ * @returns {string} Description
+ */
+const describeShapeDiff = (diff) => {
+  const parts = [];
+
+  if (diff.removed.length > 0) {
+    parts.push(`removed ${diff.removed.map((field) => field.path).join(", ")}`);
+  }
+  if (diff.changed.length > 0) {
+    parts.push(
+      `changed ${diff.changed
+        .map((field) => `${field.path} (${field.from} -> ${field.to})`)
+        .join(", ")}`
+    );
+  }
+  if (diff.added.length > 0) {
+    parts.push(`added ${diff.added.map((field) => field.path).join(", ")}`);
+  }
+
+  return parts.join("; ");
+};
+
+module.exports = {
+  MAX_SHAPE_PATHS,
+  inferShape,
+  hashShape,
+  diffShapes,
+  describeShapeDiff,
+};
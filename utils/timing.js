@@ -0,0 +1,195 @@
+/**
+ * Request Timing
+ * Per-phase timing (DNS, TCP connect, TLS handshake, first byte, download)
+ * captured through dedicated HTTP(S) agents
+ */
+
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const tls = require("tls");
+
+const TIMING_PHASES = ["dns", "tcp", "tls", "firstByte", "download"];
+
+/**
+ * Attach phase listeners to a freshly created socket
+ * @param {net.Socket} socket - Socket created by an agent
+ * @param {Object} marks - Timestamps for the current request (mutated)
+ */
+const watchSocket = (socket, marks) => {
+  // Timings describe the most recent connection (e.g. the last redirect hop)
+  Object.assign(marks, {
+    socketAt: Date.now(),
+    lookupAt: null,
+    connectAt: null,
+    secureConnectAt: null,
+    firstByteAt: null,
+  });
+
+  socket.once("lookup", () => {
+    marks.lookupAt = Date.now();
+  });
+  socket.once("connect", () => {
+    marks.connectAt = Date.now();
+  });
+  socket.once("secureConnect", () => {
+    marks.secureConnectAt = Date.now();
+  });
+  socket.once("data", () => {
+    marks.firstByteAt = Date.now();
+  });
+};
+
+/**
+ * Open a TLS connection through an HTTP proxy tunnel (CONNECT)
+ * Lookup and connect marks describe the connection to the proxy; the TLS
+ * phase covers the CONNECT exchange and the handshake with the target.
+ * @param {string} proxyUrl - Proxy URL, optionally with user:password
+ * @param {Object} options - Connection options from the HTTPS agent
+ * @param {Object} marks - Timestamps for the current request (mutated)
+ * @param {Function} callback - Called with (error, tlsSocket)
+ */
+const connectThroughProxy = (proxyUrl, options, marks, callback) => {
+  const proxy = new URL(proxyUrl);
+  const target = `${options.host}:${options.port}`;
+  const headers = { Host: target };
+  let done = false;
+
+  const finish = (error, socket) => {
+    if (done) return;
+    done = true;
+    callback(error, socket);
+  };
+
+  if (proxy.username) {
+    const auth = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(
+      proxy.password
+    )}`;
+    headers["Proxy-Authorization"] = `Basic ${Buffer.from(auth).toString(
+      "base64"
+    )}`;
+  }
+
+  const request = http.request({
+    host: proxy.hostname,
+    port: proxy.port || 80,
+    method: "CONNECT",
+    path: target,
+    headers,
+    agent: false,
+  });
+
+  request.once("socket", (socket) => watchSocket(socket, marks));
+  request.once("error", (error) => finish(error));
+  request.once("connect", (response, socket) => {
+    if (response.statusCode !== 200) {
+      socket.destroy();
+      finish(
+        new Error(
+          `Proxy refused tunnel to ${target} with status ${response.statusCode}`
+        )
+      );
+      return;
+    }
+
+    // The proxy's CONNECT reply is not the first byte of the response
+    marks.secureConnectAt = null;
+    marks.firstByteAt = null;
+
+    const tlsSocket = tls.connect({
+      ...options,
+      socket,
+      servername:
+        options.servername ||
+        (net.isIP(options.host) ? undefined : options.host),
+    });
+    tlsSocket.once("secureConnect", () => {
+      marks.secureConnectAt = Date.now();
+    });
+    tlsSocket.once("data", () => {
+      marks.firstByteAt = Date.now();
+    });
+    finish(null, tlsSocket);
+  });
+
+  request.end();
+};
+
+/**
+ * Create one-shot HTTP and HTTPS agents that record connection timings
+ * Sockets are never reused, so every probe pays (and measures) the full
+ * DNS, connect and TLS cost like a new client would.
+ * @param {Object} httpsOptions - Extra TLS options for the HTTPS agent
+ * @param {string} proxyUrl - Proxy to tunnel HTTPS connections through
+ * (plain HTTP requests are proxied by the HTTP client itself)
+ * @returns {Object} { httpAgent, httpsAgent, getTimings, destroy }
+ */
+const createTimingAgents = (httpsOptions = {}, proxyUrl = null) => {
+  const marks = {};
+
+  class TimingHttpAgent extends http.Agent {
+    createConnection(options, callback) {
+      const socket = super.createConnection(options, callback);
+      watchSocket(socket, marks);
+      return socket;
+    }
+  }
+
+  class TimingHttpsAgent extends https.Agent {
+    createConnection(options, callback) {
+      if (proxyUrl) {
+        // Returning nothing makes the agent wait for the callback
+        connectThroughProxy(proxyUrl, options, marks, callback);
+        return undefined;
+      }
+
+      const socket = super.createConnection(options, callback);
+      watchSocket(socket, marks);
+      return socket;
+    }
+  }
+
+  const httpAgent = new TimingHttpAgent({ keepAlive: false });
+  const httpsAgent = new TimingHttpsAgent({
+    keepAlive: false,
+    ...httpsOptions,
+  });
+
+  return {
+    httpAgent,
+    httpsAgent,
+
+    /**
+     * Phase durations in milliseconds (null when a phase didn't happen)
+     * @param {number} endAt - When the response body was fully received
+     * @returns {Object|null} Timings, or null if no socket was opened
+     */
+    getTimings(endAt = Date.now()) {
+      if (!marks.socketAt) return null;
+
+      const { socketAt, lookupAt, connectAt, secureConnectAt, firstByteAt } =
+        marks;
+      const diff = (from, to) =>
+        from !== null && to !== null ? Math.max(0, to - from) : null;
+
+      return {
+        // No lookup event means the host was already an IP address
+        dns: lookupAt !== null ? diff(socketAt, lookupAt) : 0,
+        tcp: diff(lookupAt ?? socketAt, connectAt),
+        tls: diff(connectAt, secureConnectAt),
+        firstByte: diff(secureConnectAt ?? connectAt, firstByteAt),
+        download: diff(firstByteAt, endAt),
+      };
+    },
+
+    destroy() {
+      httpAgent.destroy();
+      httpsAgent.destroy();
+    },
+  };
+};
+
+module.exports = {
+  TIMING_PHASES,
+  createTimingAgents,
+};
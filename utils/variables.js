@@ -0,0 +1,129 @@
+/**
+ * Variable Helpers
+ * {{variable}} substitution and response value extraction for multi-step checks
+ */
+
+const { getJsonPathValue } = require("./assertions");
+
+const EXTRACTOR_SOURCES = ["JSON_PATH", "HEADER", "REGEX"];
+
+/**
+ * Replace {{name}} placeholders with variable values
+ * Strings, arrays and plain objects are handled recursively; unknown
+ * placeholders are left untouched so missing variables are easy to spot.
+ * @param {*} value - Template value
+ * @param {Object} variables - Variable values by name
+ * @returns {*} Value with placeholders replaced
+ */
+const interpolate = (value, variables = {}) => {
+  if (typeof value === "string") {
+    return value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) =>
+      variables[name] !== undefined && variables[name] !== null
+        ? String(variables[name])
+        : placeholder
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(item, variables));
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, val]) => [
+        key,
+        interpolate(val, variables),
+      ])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Validate an extractor list before it is saved on a transaction step
+ * @param {Array} extractors - Extractor definitions
+ * @throws {Error} When an extractor is malformed
+ */
+const validateExtractors = (extractors) => {
+  if (extractors === null || extractors === undefined) return;
+
+  if (!Array.isArray(extractors)) {
+    throw new Error("Extractors must be an array");
+  }
+
+  extractors.forEach((extractor, index) => {
+    const label = `Extractor ${index + 1}`;
+
+    if (!extractor || !/^[\w.-]+$/.test(extractor.name || "")) {
+      throw new Error(
+        `${label}: name must contain only letters, digits, _, . or -`
+      );
+    }
+    if (!EXTRACTOR_SOURCES.includes(extractor.source)) {
+      throw new Error(
+        `${label}: source must be one of ${EXTRACTOR_SOURCES.join(", ")}`
+      );
+    }
+    if (!extractor.expression) {
+      throw new Error(`${label}: expression is required`);
+    }
+    if (extractor.source === "REGEX") {
+      try {
+        new RegExp(extractor.expression);
+      } catch (error) {
+        throw new Error(`${label}: invalid regular expression`);
+      }
+    }
+  });
+};
+
+/**
+ * Pull variable values out of a response
+ * @param {Array} extractors - Extractor definitions
+ * @param {Object} response - Probe response ({ headers, body, data })
+ * @returns {{values: Object, missing: Array<string>}} Extracted values and
+ * the names of extractors that found nothing
+ */
+const extractVariables = (extractors, response) => {
+  const values = {};
+  const missing = [];
+
+  (extractors || []).forEach((extractor) => {
+    let value;
+
+    switch (extractor.source) {
+      case "JSON_PATH":
+        if (response.data !== undefined) {
+          value = getJsonPathValue(response.data, extractor.expression).value;
+        }
+        break;
+      case "HEADER":
+        value = response.headers[extractor.expression.toLowerCase()];
+        break;
+      case "REGEX": {
+        // Use the first capture group when there is one
+        const match = new RegExp(extractor.expression).exec(
+          response.body || ""
+        );
+        value = match ? match[1] ?? match[0] : undefined;
+        break;
+      }
+    }
+
+    if (value === undefined || value === null) {
+      missing.push(extractor.name);
+    } else {
+      values[extractor.name] =
+        typeof value === "object" ? JSON.stringify(value) : value;
+    }
+  });
+
+  return { values, missing };
+};
+
+module.exports = {
+  interpolate,
+  validateExtractors,
+  extractVariables,
+};